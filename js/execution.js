@@ -3,11 +3,26 @@
  * Este arquivo contém a lógica para executar o código C99 analisado
  */
 
+/**
+ * Erro de tempo de execução do programa simulado (divisão por zero, índice inválido...)
+ */
+class CRuntimeError extends Error {
+    /**
+     * @param {string} message - Descrição do erro
+     * @param {number | null} address - Endereço envolvido no erro, destacado na visualização
+     */
+    constructor(message, address = null) {
+        super(message);
+        this.name = 'CRuntimeError';
+        this.address = address;
+    }
+}
+
 class CExecutor {
     constructor() {
-        this.parser = new CParser();
         this.memory = new Memory();
-        this.output = [];
+        this.parser = new CParser(this.memory);
+        this.output = []; // Trechos escritos pelo programa (stdout) e mensagens do simulador, em ordem
         this.ast = null;
         this.currentFunction = null;
         this.currentStatement = null;
@@ -16,6 +31,180 @@ class CExecutor {
         this.isRunning = false;
         this.isPaused = false;
         this.completedFrames = []; // Armazenará os frames que foram finalizados
+        this.functionCode = new Map(); // Instruções aplanadas de cada função (nome -> lista)
+        this.callStack = []; // Continuações das funções que aguardam o retorno de uma chamada
+        this.pendingEvaluation = null; // Avaliação suspensa a ser retomada com o valor de retorno
+        this.pendingReturnValue = null;
+        this.lastReturn = null; // Último retorno de função { function, value }, para visualização
+        this.staticVariables = new Map(); // Declaração de local static -> chave no segmento de dados
+        this.errorAddress = null; // Endereço envolvido no último erro de execução
+        this.jumpTargets = []; // Destinos de break/continue dos laços e switches sendo aplanados
+        this.input = ''; // Bytes da entrada padrão ainda não lidos pelo programa (um caractere por byte)
+        this.inputClosed = true; // Se a entrada terminou: sem dados, as leituras devolvem EOF em vez de esperar
+        this.waitingForInput = false; // Se a execução está parada numa leitura, esperando o usuário digitar
+        this.randomState = null; // Últimos 31 valores do gerador de rand (null até a primeira chamada ou srand)
+        this.implicitDeclarations = new Set(); // Funções da biblioteca já avisadas como declaração implícita
+        this.nativeFunctions = new Map(CExecutor.LIBRARY_FUNCTIONS); // Biblioteca e nativas registradas neste executor
+    }
+
+    /**
+     * Profundidade máxima de chamadas antes de acusar estouro de pilha
+     */
+    static MAX_CALL_DEPTH = 1000;
+
+    /**
+     * Marcadores que apenas indicam destinos de salto e não são passos visíveis
+     */
+    static SILENT_MARKERS = new Set(['case_marker', 'label_marker', 'switch_end']);
+
+    /**
+     * Tipos de ponto flutuante
+     */
+    static FLOATING_TYPES = new Set(['float', 'double', 'long double']);
+
+    /**
+     * Conversões aceitas pelo printf (além de %%)
+     */
+    static PRINTF_CONVERSIONS = new Set(['d', 'i', 'u', 'o', 'x', 'X', 'c', 's', 'p', 'f', 'F', 'e', 'E', 'g', 'G']);
+
+    /**
+     * Conversões aceitas pelo scanf (além de %%)
+     */
+    static SCANF_CONVERSIONS = new Set(['d', 'i', 'u', 'o', 'x', 'X', 'c', 's', 'f', 'F', 'e', 'E', 'g', 'G']);
+
+    /**
+     * Tipo de ponto flutuante escrito por cada modificador de tamanho do scanf (%f, %lf, %Lf)
+     */
+    static SCANF_FLOATING_TYPES = { '': 'float', l: 'double', L: 'long double' };
+
+    /**
+     * Fluxos padrão declarados em stdio.h
+     */
+    static STANDARD_STREAMS = ['stdin', 'stdout', 'stderr'];
+
+    /**
+     * Sinal lançado por uma leitura que precisa de mais entrada: a chamada é refeita quando o usuário digitar
+     */
+    static WAITING_FOR_INPUT = Object.freeze({ type: 'input' });
+
+    /**
+     * Tipo inteiro de cada modificador de tamanho do printf e do scanf (size_t e ptrdiff_t têm 32 bits)
+     */
+    static PRINTF_LENGTH_TYPES = { '': 'int', hh: 'char', h: 'short', l: 'long', ll: 'long long', j: 'long long', z: 'int', t: 'int', L: 'long long' };
+
+    /**
+     * Funções de math.h: recebem e devolvem double
+     */
+    static MATH_FUNCTIONS = {
+        sqrt: Math.sqrt,
+        cbrt: Math.cbrt,
+        pow: (x, y) => x === 1 || y === 0 ? 1 : Math.pow(x, y), // pow(1, y) e pow(x, 0) valem 1 mesmo com NaN
+        exp: Math.exp,
+        log: Math.log,
+        log10: Math.log10,
+        log2: Math.log2,
+        sin: Math.sin,
+        cos: Math.cos,
+        tan: Math.tan,
+        asin: Math.asin,
+        acos: Math.acos,
+        atan: Math.atan,
+        atan2: Math.atan2,
+        sinh: Math.sinh,
+        cosh: Math.cosh,
+        tanh: Math.tanh,
+        hypot: Math.hypot,
+        fabs: Math.abs,
+        floor: Math.floor,
+        ceil: Math.ceil,
+        round: x => Math.sign(x) * Math.round(Math.abs(x)), // Metades se afastam do zero: round(-2.5) é -3
+        trunc: Math.trunc,
+        fmod: (x, y) => x % y // O resto do JavaScript tem o sinal do dividendo, como fmod
+    };
+
+    /**
+     * Classes de caracteres de ctype.h no locale "C" (só ASCII)
+     */
+    static CTYPE_CLASSES = {
+        isalnum: /[0-9A-Za-z]/,
+        isalpha: /[A-Za-z]/,
+        isblank: /[ \t]/,
+        iscntrl: /[\x00-\x1F\x7F]/,
+        isdigit: /[0-9]/,
+        isgraph: /[!-~]/,
+        islower: /[a-z]/,
+        isprint: /[ -~]/,
+        ispunct: /[!-\/:-@[-`{-~]/,
+        isspace: /[ \t\n\v\f\r]/,
+        isupper: /[A-Z]/,
+        isxdigit: /[0-9A-Fa-f]/
+    };
+
+    /**
+     * Funções da biblioteca padrão, no formato das funções nativas (nome -> { name, returnType,
+     * parameters, variadic, header, implementation }). São definidas no fim deste arquivo, e cada
+     * executor começa com uma cópia: as nativas registradas em um executor não aparecem nos outros
+     */
+    static LIBRARY_FUNCTIONS = new Map();
+
+    /**
+     * Cria a descrição de uma função nativa a partir do seu protótipo em C
+     * @param {string} prototype - Protótipo em C, como 'int printf(const char *format, ...)'
+     * @param {Function} implementation - (args, context) => valor de retorno
+     * @param {string | null} header - Cabeçalho que declara a função
+     * @returns {Object} { name, returnType, parameters, variadic, header, implementation }
+     * @throws {CSyntaxError} Se o protótipo for inválido
+     */
+    static createNativeFunction(prototype, implementation, header = null) {
+        const { name, returnType, parameters } = new CParser().parsePrototype(prototype, header);
+        const variadic = parameters.at(-1)?.type === '...';
+        return Object.freeze({
+            name,
+            returnType,
+            parameters: variadic ? parameters.slice(0, -1) : parameters,
+            variadic,
+            header,
+            implementation
+        });
+    }
+
+    /**
+     * Define as funções da biblioteca padrão declaradas por um cabeçalho
+     * @param {string} header - Cabeçalho, como 'stdio.h'
+     * @param {Object} definitions - Protótipo -> implementação, como em registerNativeFunction
+     */
+    static defineLibrary(header, definitions) {
+        for (const [prototype, implementation] of Object.entries(definitions)) {
+            const native = CExecutor.createNativeFunction(prototype, implementation, header);
+            CExecutor.LIBRARY_FUNCTIONS.set(native.name, native);
+        }
+    }
+
+    /**
+     * Registra neste executor uma função nativa, que o programa chama como qualquer função da biblioteca
+     * (e que tem prioridade sobre uma da biblioteca com o mesmo nome).
+     * A implementação recebe os argumentos já convertidos para os tipos do protótipo: números
+     * chegam como valores e ponteiros como { value, type, origin }, usados com o contexto para
+     * acessar a memória simulada. Depois de '...', os argumentos chegam como { value, type, origin? }.
+     * O valor devolvido é convertido para o tipo de retorno.
+     * Uma implementação que lê a entrada pode bloquear: a chamada é refeita por inteiro quando
+     * o usuário digitar mais, então ela não deve ter efeitos antes de ler tudo que precisa.
+     * Uma implementação geradora (function*) pode repassar com yield os pedidos do executor,
+     * como o qsort faz com as chamadas da função de comparação do programa
+     * @example
+     * window.simulator.executor.registerNativeFunction('void print_array(int *v, int n)', ([v, n], context) => {
+     *     const values = [];
+     *     for (let i = 0; i < n; i++) values.push(context.load(v, i));
+     *     context.print(`[${values.join(', ')}]\n`);
+     * });
+     * @param {string} prototype - Protótipo em C, como 'int printf(const char *format, ...)'
+     * @param {Function} implementation - (args, context) => valor de retorno; o contexto é descrito em createNativeContext
+     * @param {Object} options - { header }: cabeçalho que declara a função (sem ele, a chamada gera o aviso de declaração implícita)
+     * @throws {CSyntaxError} Se o protótipo for inválido
+     */
+    registerNativeFunction(prototype, implementation, options = {}) {
+        const native = CExecutor.createNativeFunction(prototype, implementation, options.header ?? null);
+        this.nativeFunctions.set(native.name, native);
     }
 
     /**
@@ -24,7 +213,13 @@ class CExecutor {
      */
     initialize(code) {
         this.reset();
-        this.ast = this.parser.parse(code);
+        try {
+            this.ast = this.parser.parse(code);
+        } catch (error) {
+            if (!(error instanceof CSyntaxError)) throw error;
+            this.reportMessage(`Erro de sintaxe: ${error.message}`);
+            return;
+        }
         this.prepareExecution();
     }
 
@@ -37,31 +232,216 @@ class CExecutor {
         // Encontra a função main
         const mainFunction = this.ast.functions.find(func => func.name === 'main');
         if (!mainFunction) {
-            this.output.push('Erro: Função main não encontrada');
+            this.reportMessage('Erro: Função main não encontrada');
+            return;
+        }
+
+        // Tipos struct/union definidos no programa (o layout é calculado pela memória)
+        for (const [type, definition] of this.ast.structs) {
+            this.memory.defineStruct(type, definition);
+        }
+        // Enums: a memória exibe o nome da constante junto ao valor
+        for (const [type, definition] of this.ast.enums) {
+            this.memory.defineEnum(type, definition);
+        }
+        // Cada função ocupa um espaço no segmento de código
+        for (const func of this.ast.functions) {
+            this.memory.defineFunction(func.name);
+        }
+        // Os fluxos padrão de stdio.h são objetos FILE da biblioteca
+        if (this.ast.includes.includes('stdio.h')) {
+            for (const name of CExecutor.STANDARD_STREAMS) {
+                this.memory.defineStream(name);
+            }
+        }
+
+        // Variáveis globais e locais static vivem no segmento de dados e são inicializadas antes da main
+        try {
+            this.initializeStaticStorage();
+        } catch (error) {
+            if (!(error instanceof CRuntimeError)) throw error;
+            this.reportMessage(`Erro: ${error.message}`);
             return;
         }
 
         // Inicializa a pilha de execução com as instruções da main
-        this.executionStack = [];
-        this.flattenInstructions('main', mainFunction.body);
+        this.executionStack = this.getFunctionCode('main');
         
         // Inicializa um frame na pilha para main
-        this.memory.pushStackFrame('main', {});
+        this.memory.pushStackFrame('main', [], null, this.getFrameSize(mainFunction));
         
         this.executionPointer = 0;
         this.isRunning = true;
         this.isPaused = false;
+        this.applyScopeMarkers();
+    }
+
+    /**
+     * Aloca e inicializa as variáveis globais e as locais static de todas as funções
+     */
+    initializeStaticStorage() {
+        for (const declaration of this.ast.globals) {
+            this.runInitializer(this.executeVariableDeclaration(declaration, 'global'), declaration.name);
+        }
+
+        for (const func of this.ast.functions) {
+            for (const declaration of this.findDeclarations(func.body).filter(d => d.storage === 'static')) {
+                const namespace = `static:${this.staticVariables.size}`;
+                this.runInitializer(this.allocateVariable(declaration, namespace, func.name), declaration.name);
+                this.staticVariables.set(declaration, `${namespace}:${declaration.name}`);
+            }
+        }
+    }
+
+    /**
+     * Espaço que o frame de uma função reserva na pilha ao ser criado: os parâmetros e todas
+     * as variáveis locais de tamanho fixo, como um compilador faz (cada uma com o seu lugar,
+     * mesmo as de blocos internos). Arrays de tamanho variável são alocados abaixo, na declaração
+     * @param {Object} functionDef - Definição da função
+     * @returns {number} Tamanho em bytes (com folga para o alinhamento de cada variável)
+     */
+    getFrameSize(functionDef) {
+        const sizeOf = type => this.memory.getSizeForType(type) + this.memory.getAlignmentForType(type) - 1;
+        let size = 0;
+        for (const parameter of functionDef.parameters) {
+            size += sizeOf(parameter.type);
+        }
+        for (const declaration of this.findDeclarations(functionDef.body)) {
+            if (declaration.storage === 'static' || declaration.storage === 'extern') continue;
+            if (declaration.type === 'variable_declaration') {
+                size += sizeOf(declaration.varType);
+            } else if (declaration.dimensions.every(dimension => typeof dimension === 'number')) {
+                const count = declaration.dimensions.reduce((total, dimension) => total * dimension, 1);
+                size += count * this.memory.getSizeForType(declaration.varType) + this.memory.getAlignmentForType(declaration.varType) - 1;
+            }
+        }
+        return size;
+    }
+
+    /**
+     * Executa a inicialização de uma variável estática, que não pode chamar funções
+     * @param {Generator} initialization - Execução da declaração
+     * @param {string} name - Nome da variável
+     */
+    runInitializer(initialization, name) {
+        if (!initialization.next().done) {
+            this.runtimeError(`O inicializador de '${name}' deve ser uma expressão constante.`);
+        }
+    }
+
+    /**
+     * Procura as declarações de variáveis dentro do corpo de uma função (incluindo blocos aninhados)
+     * @param {Array} statements - Instruções da AST
+     * @returns {Array} Nós de declaração
+     */
+    findDeclarations(statements) {
+        const declarations = [];
+        for (const statement of statements || []) {
+            switch (statement.type) {
+                case 'variable_declaration':
+                case 'array_declaration':
+                    declarations.push(statement);
+                    break;
+                case 'block':
+                    declarations.push(...this.findDeclarations(statement.body));
+                    break;
+                case 'if':
+                    declarations.push(...this.findDeclarations(statement.then));
+                    declarations.push(...this.findDeclarations(statement.else));
+                    break;
+                case 'while_loop':
+                case 'do_while_loop':
+                case 'switch':
+                    declarations.push(...this.findDeclarations(statement.body));
+                    break;
+                case 'case_label':
+                case 'label':
+                    declarations.push(...this.findDeclarations([statement.statement]));
+                    break;
+                case 'for_loop':
+                    declarations.push(...this.findDeclarations(statement.initialization));
+                    declarations.push(...this.findDeclarations(statement.body));
+                    break;
+            }
+        }
+        return declarations;
+    }
+
+    /**
+     * Obtém as instruções aplanadas de uma função, terminadas por um marcador de fim
+     * Cada função é aplanada uma única vez; cada chamada percorre a lista com seu próprio ponteiro
+     * @param {string} functionName - Nome da função
+     * @returns {Array} Instruções aplanadas
+     */
+    getFunctionCode(functionName) {
+        if (!this.functionCode.has(functionName)) {
+            const functionDef = this.ast.functions.find(f => f.name === functionName);
+            const instructions = [];
+            this.flattenInstructions(functionName, functionDef.body, instructions);
+            this.resolveGotos(instructions);
+
+            // Alcançar o fim da função sem 'return' retorna implicitamente
+            instructions.push({
+                function: functionName,
+                instruction: { type: 'function_end', loc: this.getClosingBraceLoc(functionDef) },
+                visited: false
+            });
+            this.functionCode.set(functionName, instructions);
+        }
+        return this.functionCode.get(functionName);
+    }
+
+    /**
+     * Liga cada goto ao marcador do seu rótulo (o parser já garantiu que o rótulo existe)
+     * @param {Array} instructions - Instruções aplanadas de uma função
+     */
+    resolveGotos(instructions) {
+        const labels = new Map();
+        for (const { instruction } of instructions) {
+            if (instruction.type === 'label_marker') {
+                labels.set(instruction.name, instruction);
+            }
+        }
+        for (const { instruction } of instructions) {
+            if (instruction.type === 'goto') {
+                instruction.target = labels.get(instruction.label);
+            }
+        }
     }
 
     /**
      * Aplana as instruções para facilitar a execução passo a passo
      * @param {string} functionName - Nome da função atual
      * @param {Array} instructions - Instruções a serem aplanadas
+     * @param {Array} target - Lista que recebe as instruções aplanadas
      */
-    flattenInstructions(functionName, instructions) {
+    flattenInstructions(functionName, instructions, target = this.executionStack) {
         for (const instruction of instructions) {
+            // Blocos aninhados abrem um escopo próprio
+            if (instruction.type === 'block') {
+                this.flattenScope(functionName, 'bloco', instruction.loc, instruction, instruction.body, target);
+                continue;
+            }
+
+            // Rótulos viram marcadores (destinos de salto) seguidos da instrução rotulada
+            if (instruction.type === 'case_label' || instruction.type === 'label') {
+                this.flattenLabel(functionName, instruction, target);
+                continue;
+            }
+
+            // break e continue saltam para o destino do laço (ou switch) mais interno
+            if (instruction.type === 'break' || instruction.type === 'continue') {
+                const jumpTarget = this.jumpTargets[this.jumpTargets.length - 1][instruction.type];
+                target.push({
+                    function: functionName,
+                    instruction: { type: 'jump', ...jumpTarget, loc: instruction.loc },
+                    visited: false
+                });
+                continue;
+            }
+
             // Adiciona instrução à pilha de execução
-            this.executionStack.push({
+            target.push({
                 function: functionName,
                 instruction,
                 visited: false
@@ -70,132 +450,184 @@ class CExecutor {
             // Se for uma instrução condicional, aplana os blocos
             if (instruction.type === 'if') {
                 // Adiciona marcador de início do bloco if
-                this.executionStack.push({
+                target.push({
                     function: functionName,
-                    instruction: { type: 'if_condition', condition: instruction.condition },
+                    instruction: { type: 'if_condition', condition: instruction.condition, loc: instruction.condition.loc },
                     visited: false
                 });
                 
                 // Aplana o bloco then
-                this.flattenInstructions(functionName, instruction.then);
+                this.flattenScope(functionName, 'if', instruction.loc, { loc: instruction.thenLoc }, instruction.then, target);
                 
                 // Adiciona marcador de fim do bloco if
-                this.executionStack.push({
+                target.push({
                     function: functionName,
-                    instruction: { type: 'if_end' },
+                    instruction: { type: 'if_end', loc: instruction.condition.loc },
                     visited: false
                 });
                 
                 // Se tiver bloco else, aplana também
                 if (instruction.else) {
-                    this.executionStack.push({
+                    target.push({
                         function: functionName,
-                        instruction: { type: 'else_start' },
+                        instruction: { type: 'else_start', loc: instruction.elseLoc },
                         visited: false
                     });
                     
-                    this.flattenInstructions(functionName, instruction.else);
+                    this.flattenScope(functionName, 'else', instruction.elseLoc, instruction, instruction.else, target);
                     
-                    this.executionStack.push({
+                    target.push({
                         function: functionName,
-                        instruction: { type: 'else_end' },
+                        instruction: { type: 'else_end', loc: instruction.elseLoc },
                         visited: false
                     });
                 }
             } else if (instruction.type === 'while_loop') {
-                const conditionCheckMarkerIndex = this.executionStack.length;
-                this.executionStack.push({
+                // The markers reference each other directly instead of by index
+                const conditionCheck = {
+                    type: 'while_condition_check',
+                    condition: instruction.condition,
+                    loopEnd: null, // Placeholder, will be updated later
+                    originalInstruction: instruction,
+                    loc: instruction.condition.loc // For line highlighting
+                };
+                target.push({
                     function: functionName,
-                    instruction: {
-                        type: 'while_condition_check',
-                        condition: instruction.condition,
-                        loopBodyStartIndex: conditionCheckMarkerIndex + 1, // Instruction after this marker
-                        loopEndMarkerIndex: -1, // Placeholder, will be updated later
-                        originalInstruction: instruction // For line highlighting
-                    },
+                    instruction: conditionCheck,
                     visited: false
                 });
 
-                // Flatten the loop body
-                this.flattenInstructions(functionName, instruction.body);
+                conditionCheck.loopEnd = {
+                    type: 'while_loop_end',
+                    conditionCheck,
+                    originalInstruction: instruction,
+                    loc: instruction.condition.loc // Jumping back highlights the condition again
+                };
 
-                // Now we know where the loop body ends and the 'while_loop_end' marker will be placed
-                const loopEndMarkerActualIndex = this.executionStack.length;
-                
-                // Update the placeholder in the 'while_condition_check' marker
-                if (conditionCheckMarkerIndex < this.executionStack.length) { // Ensure marker is still there
-                   this.executionStack[conditionCheckMarkerIndex].instruction.loopEndMarkerIndex = loopEndMarkerActualIndex;
-                }
+                // Flatten the loop body (a new scope on every iteration).
+                // break leaves past the loop end; continue goes back to the condition
+                this.jumpTargets.push({
+                    break: { target: conditionCheck.loopEnd, offset: 0 },
+                    continue: { target: conditionCheck, offset: -1 }
+                });
+                this.flattenScope(functionName, 'while', instruction.loc, instruction, instruction.body, target);
+                this.jumpTargets.pop();
 
-                this.executionStack.push({
+                target.push({
                     function: functionName,
-                    instruction: {
-                        type: 'while_loop_end',
-                        conditionCheckMarkerIndex: conditionCheckMarkerIndex,
-                        originalInstruction: instruction // For line highlighting
-                    },
+                    instruction: conditionCheck.loopEnd,
                     visited: false
                 });
             } else if (instruction.type === 'for_loop') {
                 // 1. Flatten Initialization Statement (if any)
-                if (instruction.initialization && instruction.initialization.trim() !== '') {
-                    // The parser stores init, cond, incr as strings.
-                    // We need to parse the init string into AST statement(s).
-                    // parseBody expects a block of statements, so add a semicolon if not present.
-                    let initString = instruction.initialization;
-                    if (!initString.endsWith(';')) {
-                        initString += ';';
-                    }
-                    const initAstStatements = this.parser.parseBody(initString);
-                    if (initAstStatements && initAstStatements.length > 0) {
-                        // Flatten these initialization statements. They will be executed once.
-                        this.flattenInstructions(functionName, initAstStatements);
-                    }
-                }
+                // The parser already stores it as AST statement(s). They will be executed once,
+                // inside a scope that lasts for the whole loop (for (int i = 0; ...))
+                const forScope = this.pushScopeMarker(functionName, 'for', instruction.loc, target);
+                this.flattenInstructions(functionName, instruction.initialization, target);
 
                 // 2. Condition Check Marker
-                const conditionCheckMarkerIndex = this.executionStack.length;
-                this.executionStack.push({
+                const conditionCheck = {
+                    type: 'for_condition_check',
+                    condition: instruction.condition, // Condition expression (null means always true)
+                    loopEnd: null, // Placeholder, updated later
+                    originalAstNode: instruction,
+                    loc: instruction.condition ? instruction.condition.loc : instruction.header // For line highlighting
+                };
+                target.push({
                     function: functionName,
-                    instruction: {
-                        type: 'for_condition_check',
-                        condition: instruction.condition, // Condition string
-                        incrementStatementString: instruction.increment, // Increment string
-                        // loopBodyStartIndex is implicitly conditionCheckMarkerIndex + 1
-                        loopEndMarkerIndex: -1, // Placeholder, updated later
-                        originalAstNode: instruction // For line highlighting
-                    },
+                    instruction: conditionCheck,
                     visited: false
                 });
 
-                // 3. Flatten Loop Body
-                this.flattenInstructions(functionName, instruction.body);
+                const incrementExecute = {
+                    type: 'for_increment_execute',
+                    increment: instruction.increment, // Increment expression (may be null)
+                    originalAstNode: instruction,
+                    loc: instruction.increment ? instruction.increment.loc : instruction.header // Highlight the increment itself
+                };
+                conditionCheck.loopEnd = {
+                    type: 'for_loop_end',
+                    conditionCheck,
+                    originalAstNode: instruction,
+                    loc: instruction.header // For line highlighting
+                };
+
+                // 3. Flatten Loop Body (a new scope on every iteration).
+                // break leaves past the loop end; continue goes to the increment
+                this.jumpTargets.push({
+                    break: { target: conditionCheck.loopEnd, offset: 0 },
+                    continue: { target: incrementExecute, offset: -1 }
+                });
+                this.flattenScope(functionName, 'corpo do for', instruction.loc, instruction, instruction.body, target);
+                this.jumpTargets.pop();
 
                 // 4. Increment Execution Marker
-                this.executionStack.push({
+                target.push({
                     function: functionName,
-                    instruction: {
-                        type: 'for_increment_execute',
-                        incrementStatementString: instruction.increment,
-                        originalAstNode: instruction // Highlight the for loop line during increment
-                    },
+                    instruction: incrementExecute,
                     visited: false
                 });
                 
-                // 5. Loop End Marker and Update Placeholder
-                const loopEndMarkerActualIndex = this.executionStack.length;
-                // Update placeholder in 'for_condition_check' marker
-                if(conditionCheckMarkerIndex < this.executionStack.length) { // Should always be true
-                    this.executionStack[conditionCheckMarkerIndex].instruction.loopEndMarkerIndex = loopEndMarkerActualIndex;
-                }
+                // 5. Loop End Marker
+                target.push({
+                    function: functionName,
+                    instruction: conditionCheck.loopEnd,
+                    visited: false
+                });
+
+                // 6. The loop variable's lifetime ends here
+                this.popScopeMarker(functionName, forScope, instruction, target);
+            } else if (instruction.type === 'do_while_loop') {
+                // O corpo vem antes da condição; se ela for verdadeira, volta ao início do corpo
+                const conditionCheck = {
+                    type: 'do_condition_check',
+                    condition: instruction.condition,
+                    loopStart: instruction,
+                    loc: instruction.condition.loc
+                };
+
+                // break sai logo após a verificação; continue vai para a verificação
+                this.jumpTargets.push({
+                    break: { target: conditionCheck, offset: 0 },
+                    continue: { target: conditionCheck, offset: -1 }
+                });
+                this.flattenScope(functionName, 'do-while', instruction.loc, { loc: instruction.bodyLoc }, instruction.body, target);
+                this.jumpTargets.pop();
+
+                target.push({
+                    function: functionName,
+                    instruction: conditionCheck,
+                    visited: false
+                });
+            } else if (instruction.type === 'switch') {
+                // A seleção salta para o marcador do case correspondente (ou default) dentro do corpo;
+                // sem correspondência, ou com break, a execução segue após o switch
+                const switchEnd = { type: 'switch_end', loc: this.getClosingBraceLoc(instruction) };
+                const selection = {
+                    type: 'switch_selection',
+                    discriminant: instruction.discriminant,
+                    cases: [], // Marcadores 'case_marker' do corpo, preenchidos ao aplaná-lo
+                    switchEnd,
+                    loc: instruction.discriminant.loc
+                };
+                target.push({
+                    function: functionName,
+                    instruction: selection,
+                    visited: false
+                });
+
+                const enclosing = this.jumpTargets[this.jumpTargets.length - 1];
+                this.jumpTargets.push({
+                    break: { target: switchEnd, offset: 0 },
+                    continue: enclosing ? enclosing.continue : null,
+                    selection
+                });
+                this.flattenScope(functionName, 'switch', instruction.loc, instruction, instruction.body, target);
+                this.jumpTargets.pop();
 
-                this.executionStack.push({
+                target.push({
                     function: functionName,
-                    instruction: {
-                        type: 'for_loop_end',
-                        conditionCheckMarkerIndex: conditionCheckMarkerIndex,
-                        originalAstNode: instruction // For line highlighting
-                    },
+                    instruction: switchEnd,
                     visited: false
                 });
             }
@@ -203,15 +635,88 @@ class CExecutor {
     }
 
     /**
-     * Executa o próximo passo da execução
-     * @returns {Object} Informações sobre o estado atual da execução
+     * Aplana um rótulo (case, default ou rótulo de goto): um marcador seguido da instrução rotulada
+     * @param {string} functionName - Nome da função atual
+     * @param {Object} instruction - Nó 'case_label' ou 'label'
+     * @param {Array} target - Lista que recebe as instruções aplanadas
+     */
+    flattenLabel(functionName, instruction, target) {
+        let marker;
+        if (instruction.type === 'label') {
+            marker = { type: 'label_marker', name: instruction.name, loc: instruction.loc };
+        } else {
+            // O case pertence ao switch mais interno que está sendo aplanado
+            marker = { type: 'case_marker', value: instruction.value, loc: instruction.loc };
+            const selection = [...this.jumpTargets].reverse().find(jumpTarget => jumpTarget.selection).selection;
+            selection.cases.push(marker);
+        }
+        target.push({
+            function: functionName,
+            instruction: marker,
+            visited: false
+        });
+        this.flattenInstructions(functionName, [instruction.statement], target);
+    }
+
+    /**
+     * Aplana instruções que formam um bloco de escopo próprio, delimitado por marcadores
+     * @param {string} functionName - Nome da função atual
+     * @param {string} name - Tipo do bloco ('bloco', 'if', 'else', 'while'...)
+     * @param {Object} loc - Localização da instrução que abre o bloco
+     * @param {Object} closingNode - Nó cujo último caractere fecha o bloco
+     * @param {Array} instructions - Instruções do bloco
+     * @param {Array} target - Lista que recebe as instruções aplanadas
+     */
+    flattenScope(functionName, name, loc, closingNode, instructions, target) {
+        const scopeEnter = this.pushScopeMarker(functionName, name, loc, target);
+        this.flattenInstructions(functionName, instructions, target);
+        this.popScopeMarker(functionName, scopeEnter, closingNode, target);
+    }
+
+    /**
+     * Adiciona o marcador de abertura de um escopo
+     * @param {string} functionName - Nome da função atual
+     * @param {string} name - Tipo do bloco
+     * @param {Object} loc - Localização da instrução que abre o bloco
+     * @param {Array} target - Lista que recebe as instruções aplanadas
+     * @returns {Object} Marcador 'scope_enter'
+     */
+    pushScopeMarker(functionName, name, loc, target) {
+        const scopeEnter = { type: 'scope_enter', name, loc };
+        target.push({
+            function: functionName,
+            instruction: scopeEnter,
+            visited: false
+        });
+        return scopeEnter;
+    }
+
+    /**
+     * Adiciona o marcador de fechamento de um escopo
+     * @param {string} functionName - Nome da função atual
+     * @param {Object} scopeEnter - Marcador de abertura correspondente
+     * @param {Object} closingNode - Nó cujo último caractere fecha o bloco
+     * @param {Array} target - Lista que recebe as instruções aplanadas
+     */
+    popScopeMarker(functionName, scopeEnter, closingNode, target) {
+        target.push({
+            function: functionName,
+            instruction: { type: 'scope_exit', scopeEnter, loc: this.getClosingBraceLoc(closingNode) },
+            visited: false
+        });
+    }
+
+    /**
+     * Executa o próximo passo da execução. O estado completo (memória, saída...) vem de
+     * getExecutionState, montado uma vez a cada atualização da interface
+     * @returns {Object} { done, function, statement }
      */
     step() {
         if (!this.isRunning || this.isPaused) {
             return { done: true };
         }
         
-        if (this.executionPointer >= this.executionStack.length) {
+        if (!this.pendingEvaluation && this.executionPointer >= this.executionStack.length) {
             this.isRunning = false;
             return { done: true };
         }
@@ -222,29 +727,81 @@ class CExecutor {
         this.currentFunction = currentExecution.function;
         this.currentStatement = currentExecution.instruction;
         
-        // Executa a instrução atual
-        this.executeInstruction(currentExecution);
+        // Executa a instrução atual, ou retoma a que aguardava o retorno de uma chamada.
+        // Erros de execução interrompem o programa
+        try {
+            let evaluation;
+            let result;
+            this.waitingForInput = false;
+            if (this.pendingEvaluation) {
+                evaluation = this.pendingEvaluation;
+                this.pendingEvaluation = null;
+                result = evaluation.next(this.pendingReturnValue);
+            } else {
+                this.lastReturn = null;
+                evaluation = this.executeInstruction(currentExecution);
+                result = evaluation.next();
+            }
+            
+            if (!result.done && result.value.type === 'input') {
+                // Uma leitura não encontrou dados suficientes: a instrução fica suspensa até chegar mais entrada
+                this.pendingEvaluation = evaluation;
+                this.pendingReturnValue = null;
+                this.waitingForInput = true;
+            } else if (!result.done && result.value.type === 'exit') {
+                // exit encerra o programa no meio da instrução, que é abandonada
+                this.exitProgram(result.value.status);
+            } else if (!result.done) {
+                // A instrução chamou uma função: ela fica suspensa até o retorno
+                this.enterFunction(result.value, evaluation);
+            } else if (!this.pendingEvaluation) {
+                this.executionPointer++;
+            }
+        } catch (error) {
+            if (!(error instanceof CRuntimeError)) throw error;
+            this.reportMessage(`Erro: ${error.message}`);
+            this.errorAddress = error.address === null ? null : this.formatAddress(error.address);
+            this.isRunning = false;
+        }
         
-        this.executionPointer++;
+        this.applyScopeMarkers();
         
         return {
             done: !this.isRunning,
             function: this.currentFunction,
-            statement: this.currentStatement,
-            memory: this.memory.getMemorySnapshot(),
-            stack: this.memory.getStackSnapshot(),
-            output: [...this.output],
-            completedFrames: [...this.completedFrames] // Inclui os frames finalizados
+            statement: this.currentStatement
         };
     }
 
+    /**
+     * Aplica os marcadores de abertura e fechamento de escopo que estão na posição atual.
+     * Abrir um bloco não é um passo visível; fechar um bloco que declarou variáveis é,
+     * para que o fim do tempo de vida delas apareça na chave de fechamento.
+     * Rótulos (case, default, goto) e o fim de um switch também não são passos visíveis
+     */
+    applyScopeMarkers() {
+        while (this.isRunning && !this.pendingEvaluation && this.executionPointer < this.executionStack.length) {
+            const { instruction } = this.executionStack[this.executionPointer];
+            if (instruction.type === 'scope_enter') {
+                this.executeScopeEnter(instruction);
+            } else if (instruction.type === 'scope_exit' && !this.memory.currentScopeHasVariables()) {
+                this.memory.popScope();
+            } else if (CExecutor.SILENT_MARKERS.has(instruction.type)) {
+                // Apenas marca a posição de um destino de salto
+            } else {
+                break;
+            }
+            this.executionPointer++;
+        }
+    }
+
     /**
      * Executa todas as instruções até o final
-     * @returns {Object} Informações sobre o estado final da execução
+     * @returns {Object} Resultado do último passo { done, function, statement }
      */
     run() {
         let result;
-        while (this.isRunning && !this.isPaused) {
+        while (this.isRunning && !this.isPaused && !this.waitingForInput) {
             result = this.step();
         }
         return result;
@@ -278,583 +835,3211 @@ class CExecutor {
         this.isRunning = false;
         this.isPaused = false;
         this.completedFrames = []; // Limpa os frames finalizados
+        this.functionCode.clear();
+        this.callStack = [];
+        this.pendingEvaluation = null;
+        this.pendingReturnValue = null;
+        this.lastReturn = null;
+        this.staticVariables.clear();
+        this.errorAddress = null;
+        this.input = '';
+        this.inputClosed = true;
+        this.waitingForInput = false;
+        this.randomState = null;
+        this.implicitDeclarations.clear();
+    }
+
+    /**
+     * Define a entrada padrão do programa (depois de initialize). No modo interativo a entrada
+     * fica aberta: quando os dados acabam, a leitura pausa a execução até o usuário digitar mais
+     * (provideInput) ou encerrar a entrada (closeInput)
+     * @param {string} text - Texto digitado antes da execução
+     * @param {boolean} interactive - Se o usuário pode digitar durante a execução
+     */
+    setInput(text, interactive = false) {
+        this.input = this.encodeText(text);
+        this.inputClosed = !interactive;
+        this.waitingForInput = false;
+    }
+
+    /**
+     * Acrescenta texto à entrada padrão; a leitura que esperava é refeita no próximo passo
+     * @param {string} text - Texto digitado (uma linha inclui o '\n')
+     */
+    provideInput(text) {
+        if (this.inputClosed) return;
+        this.input += this.encodeText(text);
+        this.waitingForInput = false;
+    }
+
+    /**
+     * Encerra a entrada padrão (como Ctrl+D no terminal): as leituras passam a devolver EOF
+     */
+    closeInput() {
+        this.inputClosed = true;
+        this.waitingForInput = false;
+    }
+
+    /**
+     * Estado da entrada padrão para exibição
+     * @returns {Object} { buffer: texto ainda não lido, closed, waiting }
+     */
+    getInputState() {
+        return { buffer: this.decodeText(this.input), closed: this.inputClosed, waiting: this.waitingForInput };
     }
 
     /**
      * Executa uma instrução específica
+     * As instruções são geradores: cada chamada de função dentro delas é emitida
+     * com yield e a instrução é retomada com o valor de retorno
      * @param {Object} execution - Objeto com informações da execução atual
+     * @yields {Object} Pedido de chamada de função { type: 'call', ... }
      */
-    executeInstruction(execution) {
+    *executeInstruction(execution) {
         const instruction = execution.instruction;
         const functionName = execution.function;
+        // As variáveis são procuradas no frame da ativação atual da função
+        const scope = this.memory.getCurrentFrame().id;
         
         switch (instruction.type) {
             case 'variable_declaration':
-                this.executeVariableDeclaration(instruction, functionName);
-                break;
-                
-            case 'assignment':
-                this.executeAssignment(instruction, functionName);
+            case 'array_declaration':
+                yield* this.executeVariableDeclaration(instruction, scope);
                 break;
                 
-            case 'function_call':
-                this.executeFunctionCall(instruction, functionName);
+            case 'expression_statement':
+                yield* this.executeExpressionStatement(instruction, scope);
                 break;
                 
             case 'return':
-                this.executeReturn(instruction, functionName);
+                yield* this.executeReturn(instruction, functionName, scope);
                 break;
                 
             case 'if_condition':
-                this.executeIfCondition(instruction, functionName);
+                yield* this.executeIfCondition(instruction, scope);
                 break;
                 
-            case 'if_end':
             case 'else_start':
+                this.executeElseStart(instruction, scope);
+                break;
+                
+            case 'if':
+            case 'while_loop':
+            case 'do_while_loop':
+            case 'for_loop':
+            case 'switch':
+            case 'if_end':
             case 'else_end':
+            case 'empty':
                 // Instruções de controle, não fazem nada diretamente
                 break;
 
             case 'while_condition_check':
-                this.executeWhileConditionCheck(instruction, functionName);
+                yield* this.executeWhileConditionCheck(instruction, scope);
                 break;
 
             case 'while_loop_end':
-                this.executeWhileLoopEnd(instruction, functionName);
+                this.executeWhileLoopEnd(instruction, scope);
                 break;
 
             case 'for_condition_check':
-                this.executeForConditionCheck(instruction, functionName);
+                yield* this.executeForConditionCheck(instruction, scope);
                 break;
 
             case 'for_increment_execute':
-                this.executeForIncrement(instruction, functionName);
+                yield* this.executeForIncrement(instruction, scope);
                 break;
 
             case 'for_loop_end':
-                this.executeForLoopEnd(instruction, functionName);
+                this.executeForLoopEnd(instruction, scope);
+                break;
+
+            case 'do_condition_check':
+                yield* this.executeDoConditionCheck(instruction, scope);
+                break;
+
+            case 'switch_selection':
+                yield* this.executeSwitchSelection(instruction, scope);
+                break;
+
+            case 'jump':
+                // break e continue
+                this.transferControl(instruction.target, instruction.offset);
+                break;
+
+            case 'goto':
+                this.transferControl(instruction.target);
+                break;
+
+            case 'case_marker':
+            case 'label_marker':
+            case 'switch_end':
+                break;
+                
+            case 'scope_enter':
+                this.executeScopeEnter(instruction);
+                break;
+
+            case 'scope_exit':
+                // Fim do bloco: as variáveis declaradas nele deixam de existir
+                this.memory.popScope();
                 break;
                 
             case 'function_end':
-                // Marca explicitamente a transição de volta para a função chamadora
-                this.currentFunction = instruction.returnTo;
+                // Fim da função sem 'return': retorna sem valor
+                this.returnFromFunction(functionName, undefined);
                 break;
                 
             default:
-                this.output.push(`Aviso: Instrução não suportada: ${instruction.type}`);
+                this.reportMessage(`Aviso: Instrução não suportada: ${instruction.type}`);
         }
     }
 
     /**
      * Executa uma declaração de variável
      * @param {Object} instruction - Instrução a ser executada
-     * @param {string} functionName - Nome da função atual
+     * @param {number} scope - Id do frame atual
      */
-    executeVariableDeclaration(instruction, functionName) {
-        const { name, varType, initialValue, type } = instruction; // type is 'variable_declaration' or 'array_declaration'
-        
-        const scope = functionName === 'global' ? 'global' : functionName;
-        let address;
+    *executeVariableDeclaration(instruction, scope) {
+        const { name } = instruction;
 
-        if (instruction.type === 'array_declaration') { // AST node for array
-            // Pass the whole instruction object which matches the array AST node structure
-            address = this.memory.declareVariable(name, instruction, null, scope);
-        } else { // Simple variable
-            address = this.memory.declareVariable(name, varType, initialValue, scope);
+        // extern apenas se refere a uma variável global definida em outro lugar
+        if (instruction.storage === 'extern') {
+            return;
         }
-                
-        if (scope !== 'global' && address !== undefined) {
-            const currentFrame = this.memory.getCurrentFrame();
-            if (currentFrame) {
-                currentFrame.variables.set(name, address);
+
+        if (this.memory.isDeclaredInCurrentBlock(name, scope)) {
+            // Um goto para trás no mesmo bloco executa a declaração de novo sobre o mesmo objeto
+            if (this.memory.getVariableInfo(name, scope).declaration === instruction) {
+                yield* this.reinitializeVariable(instruction, scope);
+                return;
             }
+            this.runtimeError(`Redefinição de '${name}' no mesmo escopo.`);
         }
-        
-        // Avalia o valor inicial se for uma expressão
-        if (initialValue && !this.isLiteral(initialValue)) {
-            const value = this.evaluateExpression(initialValue, scope);
-            this.memory.setVariable(name, value, scope);
+
+        // Locais static já estão no segmento de dados: o bloco apenas passa a enxergá-las
+        if (this.staticVariables.has(instruction)) {
+            this.memory.bindVariable(name, scope, this.staticVariables.get(instruction));
+        } else {
+            yield* this.allocateVariable(instruction, scope);
         }
+        this.memory.getVariableInfo(name, scope).declaration = instruction;
     }
 
     /**
-     * Executa uma atribuição
-     * @param {Object} instruction - Instrução a ser executada
-     * @param {string} functionName - Nome da função atual
+     * Executa de novo uma declaração cuja variável ainda existe (goto para trás no mesmo bloco):
+     * apenas o inicializador é reavaliado; sem inicializador, o valor anterior permanece
+     * @param {Object} instruction - Nó de declaração
+     * @param {number} scope - Id do frame atual
      */
-    executeAssignment(instruction, functionName) {
-        const { name, value } = instruction; // 'name' can be a string or an array_access object
-        const scope = functionName === 'global' ? 'global' : functionName;
-        
-        const evaluatedRhsValue = this.evaluateExpression(value, scope);
+    *reinitializeVariable(instruction, scope) {
+        const { name, varType, initialValue } = instruction;
+        const info = this.memory.getVariableInfo(name, scope);
+        if (!initialValue || this.staticVariables.has(instruction)) return;
 
-        if (typeof name === 'object' && name.type === 'array_access') {
-            const arrayName = name.name;
-            const indexExpression = name.indexExpression;
+        if (instruction.type === 'array_declaration') {
+            const values = yield* this.evaluateArrayDeclarationInitializer(instruction, scope);
+            this.memory.initializeArray(info.address, info.elementType, info.arraySize, values);
+        } else {
+            this.memory.store(info.address, yield* this.evaluateInitializer(initialValue, varType, scope), varType);
+        }
+    }
 
-            const arrayInfo = this.memory.getVariableInfo(arrayName, scope);
-            if (!arrayInfo || arrayInfo.type !== 'array') {
-                this.output.push(`Erro: '${arrayName}' não é um array ou não foi declarado no escopo '${scope}'.`);
-                console.error(`Erro: '${arrayName}' não é um array ou não foi declarado. arrayInfo:`, arrayInfo);
-                this.isRunning = false;
-                return;
-            }
+    /**
+     * Cria, sem valor inicial definido, uma variável cuja declaração foi pulada por um salto
+     * para dentro do seu bloco (em C ela existe em todo o bloco, mesmo antes da declaração)
+     * @param {Object} instruction - Nó de declaração
+     * @param {number} scope - Id do frame atual
+     */
+    declareSkippedVariable(instruction, scope) {
+        const { name } = instruction;
+        if (instruction.storage === 'extern' || this.memory.isDeclaredInCurrentBlock(name, scope)) return;
+
+        if (this.staticVariables.has(instruction)) {
+            this.memory.bindVariable(name, scope, this.staticVariables.get(instruction));
+        } else if (instruction.type === 'array_declaration') {
+            if (instruction.dimensions.some(dimension => typeof dimension !== 'number')) {
+                this.runtimeError(`O salto não pode entrar no escopo do array de tamanho variável '${name}' sem passar pela sua declaração.`);
+            }
+            this.memory.declareVariable(name, { ...instruction, initialValue: null }, null, scope);
+        } else {
+            this.memory.declareVariable(name, instruction.varType, null, scope);
+        }
+        this.memory.getVariableInfo(name, scope).declaration = instruction;
+    }
+
+    /**
+     * Aloca uma variável (ou array) e avalia o seu inicializador
+     * @param {Object} instruction - Nó de declaração
+     * @param {number | string} scope - Id do frame atual ou escopo do segmento de dados
+     * @param {string | null} owner - Função dona de uma variável local static
+     */
+    *allocateVariable(instruction, scope, owner = null) {
+        const { name, varType, initialValue } = instruction;
+        let address;
+
+        if (instruction.type === 'array_declaration') { // AST node for array
+            // Arrays de tamanho variável (VLA) recebem as dimensões calculadas agora, no frame atual
+            let declaration = instruction;
+            if (instruction.dimensions.some(dimension => dimension !== null && typeof dimension !== 'number')) {
+                const dimensions = yield* this.evaluateArrayDimensions(instruction, scope);
+                declaration = { ...instruction, size: dimensions[0], dimensions };
+            }
+
+            const arrayInitializer = yield* this.evaluateArrayDeclarationInitializer(instruction, scope);
+            address = this.memory.declareVariable(name, { ...declaration, initialValue: arrayInitializer }, null, scope, owner);
+        } else { // Simple variable
+            address = this.memory.declareVariable(name, varType, null, scope, owner);
+        }
+        
+        // Avalia o valor inicial
+        if (instruction.type === 'variable_declaration' && initialValue && address !== undefined) {
+            const value = yield* this.evaluateInitializer(initialValue, varType, scope);
+            this.memory.store(address, value, varType);
+        }
+    }
+
+    /**
+     * Avalia o inicializador de uma declaração de array no formato esperado pela memória:
+     * uma lista de valores (em ordem de linha) ou null. Uma string inicializa um array de char
+     * com os seus bytes e o terminador
+     * @param {Object} instruction - Nó 'array_declaration'
+     * @param {number | string} scope - Id do frame atual ou escopo do segmento de dados
+     * @returns {Array | null} Valores iniciais
+     */
+    *evaluateArrayDeclarationInitializer(instruction, scope) {
+        const { name, varType, initialValue } = instruction;
+        if (!initialValue) return null;
+        if (initialValue.type === 'initializer_list' || initialValue.type === 'string_literal') {
+            return yield* this.evaluateArrayInitializer(initialValue, varType, instruction.dimensions, scope);
+        }
+        this.runtimeError(`O array '${name}' deve ser inicializado com uma lista entre chaves.`);
+    }
+
+    /**
+     * Calcula as dimensões de um array de tamanho variável no momento da sua declaração
+     * @param {Object} instruction - Nó 'array_declaration' com dimensões não constantes
+     * @param {number} scope - Id do frame atual
+     * @returns {Array} Dimensões calculadas
+     */
+    *evaluateArrayDimensions(instruction, scope) {
+        const { name } = instruction;
+        const dimensions = [];
+        for (const dimension of instruction.dimensions) {
+            const size = typeof dimension === 'number' ? dimension : Math.trunc(Number(yield* this.evaluateExpression(dimension, scope)));
+            if (!(size > 0)) {
+                this.runtimeError(`O tamanho do array '${name}' deve ser positivo (valor calculado: ${size}).`);
+            }
+            dimensions.push(size);
+        }
+        return dimensions;
+    }
+
+    /**
+     * Avalia o inicializador de um objeto. Escalares aceitam uma expressão (ou uma lista com
+     * um único elemento); structs aceitam outra struct do mesmo tipo ou uma lista entre chaves,
+     * em que os membros não inicializados ficam zerados
+     * @param {Object} node - Expressão, 'initializer_list' ou 'string_literal'
+     * @param {string} type - Tipo do objeto inicializado
+     * @param {number | string} scope - Id do frame atual
+     * @returns {*} Valor a armazenar ({ fields } para structs)
+     */
+    *evaluateInitializer(node, type, scope) {
+        if (!this.memory.isStructType(type)) {
+            if (node.type === 'initializer_list') {
+                if (node.elements.length !== 1) {
+                    this.runtimeError(`Um objeto do tipo '${type}' deve ser inicializado com um único valor.`);
+                }
+                return yield* this.evaluateInitializer(node.elements[0], type, scope);
+            }
+            return this.convertForAssignment(yield* this.evaluate(node, scope), type);
+        }
+
+        // Campos não mencionados no inicializador valem zero
+        const fields = new Map();
+        for (const field of this.memory.getScalarFields(type)) {
+            fields.set(field.offset, { offset: field.offset, type: field.type, value: this.memory.getDefaultValueForType(field.type) });
+        }
+        for (const field of yield* this.evaluateFields(node, { type }, scope)) {
+            fields.set(field.offset, field);
+        }
+        return { fields: [...fields.values()] };
+    }
+
+    /**
+     * Avalia a lista de inicialização de um array, possivelmente multidimensional, como os
+     * valores dos elementos em ordem de linha. Sublistas ({{1, 2}, {3, 4}}) e strings (em arrays
+     * de char) preenchem uma linha inteira; valores soltos preenchem os elementos em sequência.
+     * Elementos sem inicializador ficam vazios no resultado (e são zerados)
+     * @param {Object} node - Nó 'initializer_list' ou 'string_literal'
+     * @param {string} elementType - Tipo dos elementos
+     * @param {Array} dimensions - Dimensões do array
+     * @param {number | string} scope - Id do frame atual
+     * @returns {Array} Valores dos elementos (esparso)
+     */
+    *evaluateArrayInitializer(node, elementType, dimensions, scope) {
+        const [count, ...inner] = dimensions;
+        const rowSize = inner.reduce((total, dimension) => total * dimension, 1);
+        const values = [];
+
+        if (node.type === 'string_literal') {
+            if (inner.length > 0 || !elementType.includes('char')) {
+                this.runtimeError('Uma string só pode inicializar um array de char.');
+            }
+            [...node.value, '\0'].slice(0, count).forEach((char, i) => {
+                values[i] = char.charCodeAt(0);
+            });
+            return values;
+        }
+
+        const total = count * rowSize;
+        let position = 0;
+        const checkSpace = () => {
+            if (position >= total) {
+                this.runtimeError(`Excesso de elementos no inicializador de um array de ${count} elemento(s).`);
+            }
+        };
+
+        for (const element of node.elements) {
+            if (inner.length > 0 && (element.type === 'initializer_list' || element.type === 'string_literal')) {
+                // Uma sublista começa sempre no início de uma linha
+                position = Math.ceil(position / rowSize) * rowSize;
+                checkSpace();
+                const row = yield* this.evaluateArrayInitializer(element, elementType, inner, scope);
+                row.forEach((value, i) => {
+                    values[position + i] = value;
+                });
+                position += rowSize;
+                continue;
+            }
+            checkSpace();
+            values[position++] = yield* this.evaluateInitializer(element, elementType, scope);
+        }
+
+        return values;
+    }
+
+    /**
+     * Avalia um inicializador como uma lista de campos escalares { offset, type, value },
+     * com deslocamentos relativos ao início do objeto. Trata membros struct e array recursivamente
+     * @param {Object} node - Nó do inicializador
+     * @param {Object} object - Tipo do objeto { type } ou layout de um membro (com arraySize para arrays)
+     * @param {number | string} scope - Id do frame atual
+     * @returns {Array} Campos inicializados
+     */
+    *evaluateFields(node, object, scope) {
+        const { type } = object;
+
+        if (object.arraySize !== undefined) {
+            if (node.type !== 'initializer_list' && node.type !== 'string_literal') {
+                this.runtimeError('Um membro array deve ser inicializado com uma lista entre chaves.');
+            }
+            const values = yield* this.evaluateArrayInitializer(node, type, object.dimensions, scope);
+            const fields = [];
+            values.forEach((value, i) => {
+                const offset = i * object.elementSize;
+                if (this.memory.isStructType(type)) {
+                    fields.push(...value.fields.map(field => ({ ...field, offset: field.offset + offset })));
+                } else {
+                    fields.push({ offset, type, value });
+                }
+            });
+            return fields;
+        }
+
+        if (!this.memory.isStructType(type)) {
+            return [{ offset: 0, type, value: yield* this.evaluateInitializer(node, type, scope) }];
+        }
+
+        // Uma struct pode ser inicializada com o valor de outra do mesmo tipo
+        if (node.type !== 'initializer_list') {
+            const result = yield* this.evaluate(node, scope);
+            if (result.type !== type) {
+                this.runtimeError(`Não é possível inicializar '${type}' com um valor do tipo '${result.type}'.`);
+            }
+            return result.value.fields;
+        }
+
+        const layout = this.memory.getStructLayout(type);
+        const fields = [];
+        let index = 0;
+        let initialized = 0;
+        for (const element of node.elements) {
+            const designated = element.type === 'designated_initializer';
+            if (designated) {
+                index = layout.members.findIndex(member => member.name === element.member);
+                if (index === -1) {
+                    this.runtimeError(`'${type}' não tem um membro chamado '${element.member}'.`);
+                }
+            }
+            const member = layout.members[index++];
+            // Sem designador, uma union só pode inicializar o seu primeiro membro
+            if (!member || (layout.kind === 'union' && initialized > 0)) {
+                this.runtimeError(`Excesso de elementos no inicializador de '${type}'.`);
+            }
+            initialized++;
+            for (const field of yield* this.evaluateFields(designated ? element.value : element, member, scope)) {
+                fields.push({ ...field, offset: field.offset + member.offset });
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Executa uma instrução de expressão (atribuição, chamada de função, i++...)
+     * @param {Object} instruction - Instrução a ser executada
+     * @param {number} scope - Id do frame atual
+     */
+    *executeExpressionStatement(instruction, scope) {
+        yield* this.evaluate(instruction.expression, scope);
+    }
+
+    /**
+     * Avalia uma chamada de função dentro de uma expressão
+     * Funções do programa suspendem a avaliação: o pedido de chamada é emitido com yield
+     * e a avaliação é retomada com o valor realmente retornado pela função
+     * @param {Object} expression - Nó 'function_call'
+     * @param {number} scope - Id do frame de quem chama
+     * @yields {Object} Pedido de chamada { type: 'call', functionDef, args, expression } ou espera por entrada { type: 'input' }
+     * @returns {Object} Valor de retorno { value, type }
+     */
+    *evaluateFunctionCall(expression, scope) {
+        const { name } = expression;
+        
+        // Os argumentos são avaliados antes da chamada (e podem conter outras chamadas)
+        const operands = [];
+        for (const argument of expression.arguments) {
+            operands.push(yield* this.evaluate(argument, scope));
+        }
+        
+        // Uma função do programa com o nome de uma da biblioteca tem prioridade sobre ela
+        const functionDef = this.ast.functions.find(f => f.name === name);
+        if (!functionDef) {
+            // Funções da biblioteca padrão (e as nativas registradas) são executadas diretamente. Uma leitura
+            // sem dados suficientes na entrada suspende a avaliação e é refeita por inteiro quando o usuário digitar mais
+            const native = this.nativeFunctions.get(name);
+            if (!native) {
+                this.runtimeError(`Função '${name}' não definida`);
+            }
+            this.warnImplicitDeclaration(native);
+            for (;;) {
+                try {
+                    return yield* this.callNativeFunction(native, operands, expression);
+                } catch (signal) {
+                    if (signal !== CExecutor.WAITING_FOR_INPUT) throw signal;
+                }
+                yield CExecutor.WAITING_FOR_INPUT;
+            }
+        }
+        
+        // A quantidade de argumentos deve ser a de parâmetros (com '...', pelo menos a dos parâmetros fixos)
+        const parameters = functionDef.parameters.filter(parameter => parameter.type !== '...');
+        const variadic = parameters.length < functionDef.parameters.length;
+        if (variadic ? operands.length < parameters.length : operands.length !== parameters.length) {
+            this.runtimeError(`A função '${name}' espera ${variadic ? 'pelo menos ' : ''}${parameters.length} argumento(s), mas recebeu ${operands.length}.`);
+        }
+
+        // Cada argumento é convertido para o tipo do parâmetro, como numa atribuição
+        const parameterValues = operands.map((operand, i) => {
+            const parameter = functionDef.parameters[i];
+            return parameter ? this.convertForAssignment(operand, parameter.type) : operand.value;
+        });
+        const value = yield { type: 'call', functionDef, args: parameterValues, expression };
+        return { value: value ?? 0, type: functionDef.returnType };
+    }
+
+    /**
+     * Avisa, uma vez por função, quando uma função da biblioteca é chamada sem o #include do
+     * cabeçalho que a declara: em C99 não existe declaração implícita
+     * @param {Object} native - Função da biblioteca { name, header }
+     */
+    warnImplicitDeclaration({ name, header }) {
+        if (!header || this.ast.includes.includes(header) || this.implicitDeclarations.has(name)) return;
+        this.implicitDeclarations.add(name);
+        this.reportMessage(`Aviso: declaração implícita da função '${name}' (falta #include <${header}>).`);
+    }
+
+    /**
+     * Chama uma função nativa (da biblioteca ou registrada), com os argumentos convertidos para os
+     * tipos do protótipo. Uma implementação geradora tem os seus pedidos repassados com yield
+     * @param {Object} native - Função nativa
+     * @param {Array} operands - Argumentos já avaliados { value, type, origin? }
+     * @param {Object} expression - Nó 'function_call'
+     * @yields {Object} Pedidos da implementação, como { type: 'call', ... } ou { type: 'exit', status }
+     * @returns {Object} Valor de retorno { value, type, origin? }
+     */
+    *callNativeFunction(native, operands, expression) {
+        const { name, parameters, variadic, returnType } = native;
+        if (variadic ? operands.length < parameters.length : operands.length !== parameters.length) {
+            this.runtimeError(`${name} espera ${variadic ? 'pelo menos ' : ''}${parameters.length} argumento(s), mas recebeu ${operands.length}.`);
+        }
+
+        const args = operands.map((operand, i) => i < parameters.length
+            ? this.marshalNativeArgument(name, operand, i + 1, parameters[i].type)
+            : this.promoteArgument(operand));
+        let result = native.implementation(args, this.createNativeContext(name, expression));
+        if (typeof result?.next === 'function' && typeof result[Symbol.iterator] === 'function') {
+            result = yield* result;
+        }
+
+        if (returnType === 'void') {
+            return { value: 0, type: 'void' };
+        }
+        // Um ponteiro devolvido como { value, origin } continua apontando para o mesmo objeto
+        if (this.isPointerType(returnType) && typeof result === 'object' && result !== null) {
+            return this.libraryPointer(result, returnType);
+        }
+        return { value: this.memory.convertScalar(result ?? 0, returnType), type: returnType };
+    }
+
+    /**
+     * Converte um argumento de uma função nativa para o tipo do parâmetro do protótipo
+     * @param {string} name - Nome da função
+     * @param {Object} operand - Argumento { value, type, origin? }
+     * @param {number} position - Posição do argumento
+     * @param {string} type - Tipo do parâmetro
+     * @returns {number | Object} Valor, ou { value, type, origin } para ponteiros
+     */
+    marshalNativeArgument(name, operand, position, type) {
+        if (!this.isPointerType(type)) {
+            return this.numericArgument(name, operand, position, type);
+        }
+        // Além de ponteiros, só a constante 0 (NULL) pode ser passada
+        if (!this.isPointerType(operand.type) && !operand.type.includes('(*)') && operand.value !== 0) {
+            this.runtimeError(`${name} espera um ponteiro no argumento ${position}, mas recebeu '${operand.type}'.`);
+        }
+        return this.libraryPointer(operand, type);
+    }
+
+    /**
+     * Promoções dos argumentos variádicos (depois de '...'): char e short viram int e float vira double
+     * @param {Object} operand - Argumento { value, type, origin? }
+     * @returns {Object} Argumento com o tipo promovido
+     */
+    promoteArgument(operand) {
+        const type = operand.type === 'float' ? 'double' : this.promoteInteger(operand.type);
+        return type === operand.type ? operand : { ...operand, type };
+    }
+
+    /**
+     * Contexto recebido por uma função nativa. Os acessos à memória através de ponteiros têm as
+     * mesmas verificações dos acessos do programa, e os erros interrompem a execução como os do C:
+     * - load(pointer, index = 0, type?) e store(pointer, index, value, type?): elemento do tipo apontado (ou do tipo indicado)
+     * - readString(pointer, limit?) e writeString(pointer, text): strings terminadas em '\0', como texto UTF-8
+     * - readBytes(pointer, count): bytes crus
+     * - print(text) e writeBytes(bytes): escrevem na saída padrão; warn(message): aviso do simulador
+     * - peekInput(position) e consumeInput(count): entrada padrão; ler além do digitado bloqueia a chamada
+     * - waitForInput(): bloqueia a chamada até o usuário digitar mais
+     * - error(message, address?): erro de execução
+     * - memory, executor, line e expression: acesso direto ao simulador, à linha e ao nó da chamada
+     *   (o nó acompanha os pedidos { type: 'call', functionDef, args, expression } de uma implementação geradora)
+     * @param {string} name - Nome da função nativa (prefixo das mensagens de erro)
+     * @param {Object} expression - Nó 'function_call'
+     * @returns {Object} Contexto
+     */
+    createNativeContext(name, expression) {
+        return {
+            executor: this,
+            memory: this.memory,
+            line: expression.loc.start.line,
+            expression,
+            load: (pointer, index = 0, type) => {
+                const lvalue = this.nativeAccess(name, pointer, index, type, false);
+                return this.memory.load(lvalue.address, lvalue.type);
+            },
+            store: (pointer, index, value, type) => {
+                const lvalue = this.nativeAccess(name, pointer, index, type, true);
+                this.memory.store(lvalue.address, value, lvalue.type);
+            },
+            readString: (pointer, limit = Infinity) => this.decodeText(this.readString(name, pointer, limit)),
+            writeString: (pointer, text) => this.writeString(name, pointer, 0, `${this.encodeText(text)}\0`),
+            readBytes: (pointer, count) => this.readBytes(name, pointer, count),
+            print: text => this.writeOutput(this.encodeText(String(text))),
+            writeBytes: bytes => this.writeOutput(bytes),
+            warn: message => this.reportMessage(`Aviso: ${name}: ${message}`),
+            peekInput: position => this.peekInput(position),
+            consumeInput: count => this.consumeInput(count),
+            waitForInput: () => {
+                throw CExecutor.WAITING_FOR_INPUT;
+            },
+            error: (message, address = null) => this.runtimeError(`${name}: ${message}`, address)
+        };
+    }
+
+    /**
+     * Verifica o acesso de uma função nativa a um elemento através de um ponteiro
+     * @param {string} name - Nome da função
+     * @param {Object} pointer - Ponteiro { value, type, origin? }
+     * @param {number} index - Índice do elemento
+     * @param {string | undefined} type - Tipo do elemento (o apontado, se não for indicado)
+     * @param {boolean} write - Se o acesso é uma escrita
+     * @returns {Object} Lvalue do elemento { address, type }
+     */
+    nativeAccess(name, pointer, index, type = pointer.type.slice(0, -1), write = false) {
+        if (type === 'void') {
+            this.runtimeError(`${name}: o tipo do elemento acessado através de '${pointer.type}' precisa ser indicado.`);
+        }
+        if (!pointer.value) {
+            this.runtimeError(`${name}: ponteiro nulo (NULL) recebido como argumento.`);
+        }
+        const address = pointer.value + index * this.memory.getSizeForType(type);
+        const problem = this.memory.checkAccess(address, this.memory.getSizeForType(type), pointer.origin ?? pointer.value, write);
+        if (problem) {
+            this.runtimeError(`${name}: acesso inválido à memória: ${problem}`, address);
+        }
+        return { address, type };
+    }
+
+    /**
+     * Converte um argumento numérico de uma função da biblioteca para o tipo do parâmetro,
+     * como numa chamada com protótipo
+     * @param {string} name - Nome da função
+     * @param {Object} operand - Argumento { value, type }
+     * @param {number} position - Posição do argumento (para a mensagem de erro)
+     * @param {string} type - Tipo do parâmetro
+     * @returns {number} Valor convertido
+     */
+    numericArgument(name, operand, position, type) {
+        if (this.isPointerType(operand.type) || operand.type.includes('(*)') || this.memory.isStructType(operand.type)) {
+            this.runtimeError(`${name} espera um número no argumento ${position}, mas recebeu '${operand.type}'.`);
+        }
+        return this.convertForAssignment(operand, type);
+    }
+
+    /**
+     * Reinicia o gerador de rand com uma semente, como o srand da glibc: a tabela de 31 valores
+     * é preenchida por um gerador congruencial e os 310 primeiros resultados são descartados
+     * @param {number} seed - Semente (unsigned int; 0 equivale a 1)
+     */
+    seedRandom(seed) {
+        let word = seed === 0 ? 1 : seed | 0;
+        const table = [word];
+        for (let i = 1; i < 31; i++) {
+            // 16807 * word % (2^31 - 1) sem estourar 32 bits (método de Schrage)
+            const high = Math.trunc(word / 127773);
+            const low = word % 127773;
+            word = 16807 * low - 2836 * high;
+            if (word < 0) word += 2147483647;
+            table.push(word);
+        }
+        for (let i = 31; i < 34; i++) {
+            table.push(table[i - 31]);
+        }
+        for (let i = 34; i < 344; i++) {
+            table.push((table[i - 31] + table[i - 3]) >>> 0);
+        }
+        this.randomState = table.slice(-31);
+    }
+
+    /**
+     * Próximo valor de rand: cada termo é a soma (em 32 bits) dos termos 31 e 3 posições atrás
+     * @returns {number} Valor entre 0 e RAND_MAX
+     */
+    nextRandom() {
+        const state = this.randomState;
+        const value = (state[0] + state[28]) >>> 0;
+        state.shift();
+        state.push(value);
+        return value >>> 1;
+    }
+
+    /**
+     * Encerra o programa com exit: as funções ainda ativas são abandonadas sem retornar
+     * @param {number} status - Código de saída
+     */
+    exitProgram(status) {
+        while (this.memory.getCurrentFrame()) {
+            this.completedFrames.push({ ...this.memory.getCurrentFrame() });
+            this.memory.popStackFrame();
+        }
+        this.callStack = [];
+        this.pendingEvaluation = null;
+        this.isRunning = false;
+        this.reportMessage(`O programa terminou com exit(${status}).`);
+        this.reportMemoryLeaks();
+    }
+
+    /**
+     * Função do programa recebida por uma função da biblioteca através de um ponteiro
+     * (a comparação do qsort e do bsearch)
+     * @param {string} name - Nome da função da biblioteca
+     * @param {Object} pointer - Argumento { value, type }
+     * @param {number} position - Posição do argumento (para a mensagem de erro)
+     * @param {number} parameterCount - Quantidade de parâmetros esperada
+     * @returns {Object} Nó da função
+     */
+    getCallback(name, pointer, position, parameterCount) {
+        const entry = [...this.memory.functionAddresses].find(([, address]) => address === pointer.value);
+        if (!entry) {
+            this.runtimeError(`${name}: o argumento ${position} não é uma função do programa (tipo '${pointer.type}').`, pointer.value);
+        }
+        const functionDef = this.ast.functions.find(f => f.name === entry[0]);
+        if (functionDef.parameters.length !== parameterCount) {
+            this.runtimeError(`${name}: a função '${functionDef.name}' deve receber ${parameterCount} parâmetros, mas recebe ${functionDef.parameters.length}.`);
+        }
+        return functionDef;
+    }
+
+    /**
+     * Chama a função de comparação com dois ponteiros (const void*) e devolve o resultado
+     * @param {Object} functionDef - Função de comparação
+     * @param {Array} addresses - Endereços dos dois elementos
+     * @param {Object} expression - Nó da chamada da função da biblioteca (a linha de retorno)
+     * @yields {Object} Pedido de chamada
+     * @returns {number} Resultado da comparação
+     */
+    *callComparison(functionDef, addresses, expression) {
+        const args = addresses.map((address, i) =>
+            this.convertForAssignment({ value: address, type: 'void*' }, functionDef.parameters[i].type));
+        const value = yield { type: 'call', functionDef, args, expression };
+        return Number(value ?? 0);
+    }
+
+    /**
+     * Ordena um array com qsort: os elementos são ordenados por intercalação (estável, como na glibc),
+     * chamando a função de comparação do programa com ponteiros para os elementos no array original,
+     * que só é reescrito em ordem no final
+     * @param {Array} args - Argumentos do qsort: base, quantidade, tamanho de cada elemento e função de comparação
+     * @param {Object} expression - Nó da chamada
+     * @yields {Object} Pedidos de chamada da função de comparação
+     */
+    *executeQsort([base, length, width, compare], expression) {
+        const functionDef = this.getCallback('qsort', compare, 4, 2);
+        if (length === 0 || width === 0) return;
+
+        const elements = [];
+        for (let i = 0; i < length; i++) {
+            elements.push({ address: base.value + i * width, bytes: this.readBytes('qsort', { ...base, value: base.value + i * width }, width) });
+        }
+        const sorted = yield* this.mergeSort(elements, (left, right) =>
+            this.callComparison(functionDef, [left.address, right.address], expression));
+        this.writeBytes('qsort', base, 0, sorted.flatMap(element => element.bytes));
+    }
+
+    /**
+     * Ordenação por intercalação em que cada comparação pode chamar uma função do programa
+     * @param {Array} items - Elementos
+     * @param {Function} compare - Gerador que compara dois elementos
+     * @yields {Object} Pedidos de chamada feitos pelas comparações
+     * @returns {Array} Elementos em ordem
+     */
+    *mergeSort(items, compare) {
+        if (items.length <= 1) return items;
+        const middle = Math.floor(items.length / 2);
+        const left = yield* this.mergeSort(items.slice(0, middle), compare);
+        const right = yield* this.mergeSort(items.slice(middle), compare);
+        const merged = [];
+        while (left.length > 0 && right.length > 0) {
+            merged.push((yield* compare(left[0], right[0])) <= 0 ? left.shift() : right.shift());
+        }
+        return [...merged, ...left, ...right];
+    }
+
+    /**
+     * Busca binária com bsearch: a função de comparação recebe a chave e um elemento
+     * @param {Array} args - Argumentos do bsearch: chave, base, quantidade, tamanho de cada elemento e função de comparação
+     * @param {Object} expression - Nó da chamada
+     * @yields {Object} Pedidos de chamada da função de comparação
+     * @returns {Object | number} Ponteiro para o elemento encontrado { value, origin? }, ou NULL (0)
+     */
+    *executeBsearch([key, base, count, width, compare], expression) {
+        const functionDef = this.getCallback('bsearch', compare, 5, 2);
+        let low = 0;
+        let high = count;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            // O elemento comparado precisa estar dentro do array recebido
+            this.checkLibraryAccess('bsearch', base, middle * width);
+            this.checkLibraryAccess('bsearch', base, middle * width + width - 1);
+            const comparison = yield* this.callComparison(functionDef, [key.value, base.value + middle * width], expression);
+            if (comparison < 0) {
+                high = middle;
+            } else if (comparison > 0) {
+                low = middle + 1;
+            } else {
+                return { ...base, value: base.value + middle * width };
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Byte da entrada padrão numa posição a partir do próximo não lido. Se a entrada ainda
+     * não chegou até ali, a leitura espera o usuário digitar (e a chamada é refeita)
+     * @param {number} position - Posição a partir do próximo byte não lido
+     * @returns {number | null} Byte, ou null no fim da entrada (EOF)
+     * @throws {Object} CExecutor.WAITING_FOR_INPUT se a entrada ainda está aberta
+     */
+    peekInput(position) {
+        if (position < this.input.length) {
+            return this.input.charCodeAt(position);
+        }
+        if (this.inputClosed) {
+            return null;
+        }
+        throw CExecutor.WAITING_FOR_INPUT;
+    }
+
+    /**
+     * Remove da entrada padrão os bytes lidos
+     * @param {number} count - Quantidade de bytes
+     */
+    consumeInput(count) {
+        this.input = this.input.slice(count);
+    }
+
+    /**
+     * Interrompe a execução se o fluxo recebido por uma função de leitura não for stdin
+     * @param {string} name - Nome da função
+     * @param {Object} stream - Argumento { value }
+     */
+    expectInputStream(name, stream) {
+        if (stream.value === this.memory.streamAddresses.get('stdin')) return;
+        const streamName = [...this.memory.streamAddresses].find(([, address]) => address === stream.value)?.[0];
+        if (streamName) {
+            this.runtimeError(`${name}: ${streamName} é um fluxo de saída; só é possível ler de stdin.`);
+        }
+        this.runtimeError(`${name}: o argumento não é um fluxo válido (use stdin).`, stream.value);
+    }
+
+    /**
+     * Verifica um acesso que uma função da biblioteca faz através de um ponteiro recebido,
+     * com as mesmas regras dos acessos do programa (limites do objeto, memória liberada...)
+     * @param {string} name - Nome da função
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @param {number} offset - Posição do byte acessado a partir do ponteiro
+     * @param {boolean} write - Se o acesso é uma escrita
+     */
+    checkLibraryAccess(name, pointer, offset, write = false) {
+        if (!pointer.value) {
+            this.runtimeError(`${name}: ponteiro nulo (NULL) recebido como argumento.`);
+        }
+        const address = pointer.value + offset;
+        const problem = this.memory.checkAccess(address, 1, pointer.origin ?? pointer.value, write);
+        if (problem) {
+            this.runtimeError(`${name}: acesso inválido à memória: ${problem}`, address);
+        }
+    }
+
+    /**
+     * Lê uma string terminada em '\0' byte a byte. Uma string sem terminador faz a leitura
+     * sair do objeto, o que é acusado como acesso fora dos limites
+     * @param {string} name - Nome da função que lê
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @param {number} limit - Quantidade máxima de bytes lidos
+     * @returns {string} Bytes lidos (um caractere por byte), sem o terminador
+     */
+    readString(name, pointer, limit = Infinity) {
+        let text = '';
+        for (let i = 0; i < limit; i++) {
+            this.checkLibraryAccess(name, pointer, i);
+            const byte = this.memory.readByte(pointer.value + i);
+            if (byte === 0) break;
+            text += String.fromCharCode(byte);
+        }
+        return text;
+    }
+
+    /**
+     * Lê uma quantidade fixa de bytes a partir de um ponteiro
+     * @param {string} name - Nome da função que lê
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @param {number} count - Quantidade de bytes
+     * @returns {Array} Bytes lidos
+     */
+    readBytes(name, pointer, count) {
+        const bytes = [];
+        for (let i = 0; i < count; i++) {
+            this.checkLibraryAccess(name, pointer, i);
+            bytes.push(this.memory.readByte(pointer.value + i));
+        }
+        return bytes;
+    }
+
+    /**
+     * Escreve bytes a partir de um ponteiro, um de cada vez: num estouro, os bytes que
+     * couberam já foram escritos quando o acesso inválido é acusado
+     * @param {string} name - Nome da função que escreve
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @param {number} offset - Posição do primeiro byte a partir do ponteiro
+     * @param {Array} bytes - Bytes a escrever
+     */
+    writeBytes(name, pointer, offset, bytes) {
+        bytes.forEach((byte, i) => {
+            this.checkLibraryAccess(name, pointer, offset + i, true);
+            this.memory.writeByte(pointer.value + offset + i, byte);
+        });
+    }
+
+    /**
+     * Escreve os caracteres de uma string como char (aparecem como células do heap)
+     * @param {string} name - Nome da função que escreve
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @param {number} offset - Posição do primeiro byte a partir do ponteiro
+     * @param {string} text - Bytes a escrever (um caractere por byte), incluindo o terminador se houver
+     */
+    writeString(name, pointer, offset, text) {
+        [...text].forEach((character, i) => {
+            this.checkLibraryAccess(name, pointer, offset + i, true);
+            this.memory.store(pointer.value + offset + i, character.charCodeAt(0), 'char');
+        });
+    }
+
+    /**
+     * Compara duas sequências de bytes como unsigned char, como strcmp e memcmp
+     * @param {string} left - Bytes da primeira sequência
+     * @param {string} right - Bytes da segunda sequência
+     * @returns {number} Diferença entre os primeiros bytes diferentes (0 se forem iguais)
+     */
+    compareBytes(left, right) {
+        for (let i = 0; i < Math.min(left.length, right.length); i++) {
+            if (left.charCodeAt(i) !== right.charCodeAt(i)) {
+                return left.charCodeAt(i) - right.charCodeAt(i);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Valor absoluto de abs, labs e llabs: o do menor inteiro negativo não cabe no tipo
+     * @param {string} name - Nome da função
+     * @param {number | bigint} value - Argumento
+     * @param {string} type - Tipo do argumento e do resultado
+     * @returns {number | bigint} Valor absoluto
+     */
+    absoluteValue(name, value, type) {
+        const result = this.memory.convertScalar(value < 0 ? -BigInt(value) : value, type);
+        if (result < 0) {
+            this.runtimeError(`Comportamento indefinido: ${name}(${value}) não pode ser representado em '${type}'.`);
+        }
+        return result;
+    }
+
+    /**
+     * Converte uma string em inteiro, como atoi, atol e atoll: lê o maior prefixo que forma um
+     * inteiro, depois de espaços; sem dígitos o resultado é 0
+     * @param {string} name - Nome da função
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @returns {number | bigint} Valor lido (convertido depois para o tipo de retorno)
+     */
+    parseInteger(name, pointer) {
+        const [, number] = /^[ \t\n\v\f\r]*([+-]?\d*)/.exec(this.readString(name, pointer));
+        return /\d/.test(number) ? BigInt(number) : 0;
+    }
+
+    /**
+     * Caractere recebido por uma função de ctype.h. O argumento precisa ser EOF ou um unsigned char:
+     * um char negativo (como os bytes de 'é') é indefinido
+     * @param {string} name - Nome da função
+     * @param {number} character - Argumento
+     * @returns {string} Caractere do argumento
+     */
+    characterArgument(name, character) {
+        if (character !== -1 && (character < 0 || character > 255)) {
+            this.runtimeError(`Comportamento indefinido: ${name} recebeu ${character}, que não é EOF nem um valor de unsigned char (converta o char para unsigned char).`);
+        }
+        return String.fromCharCode(character);
+    }
+
+    /**
+     * Ponteiro devolvido por uma função da biblioteca que retorna um dos seus argumentos:
+     * continua apontando para o mesmo objeto
+     * @param {Object} pointer - Argumento { value, origin? }
+     * @param {string} type - Tipo de retorno
+     * @returns {Object} { value, type, origin }
+     */
+    libraryPointer(pointer, type) {
+        return { value: pointer.value, type, origin: pointer.origin ?? pointer.value };
+    }
+
+    /**
+     * Formata um endereço em hexadecimal, como na visualização da memória
+     * @param {number} address - Endereço
+     * @returns {string} Endereço no formato 0x1A2B
+     */
+    formatAddress(address) {
+        return `0x${Number(address).toString(16).toUpperCase()}`;
+    }
+
+    /**
+     * Informa os blocos do heap que não foram liberados até o fim da main
+     */
+    reportMemoryLeaks() {
+        const leaks = this.memory.getLeakedBlocks();
+        if (leaks.length === 0) return;
+
+        const total = leaks.reduce((sum, block) => sum + block.requested, 0);
+        const lines = leaks.map(block => `  ${this.formatAddress(block.address)}: ${block.requested} bytes alocados na linha ${block.line}`);
+        this.reportMessage([`Vazamento de memória: ${leaks.length} bloco(s) não liberado(s), ${total} bytes no total`, ...lines].join('\n'));
+    }
+
+    /**
+     * Escreve bytes na saída padrão. A saída é um fluxo de caracteres: só '\n' quebra a linha
+     * @param {string} bytes - Bytes escritos (um caractere por byte)
+     */
+    writeOutput(bytes) {
+        const last = this.output[this.output.length - 1];
+        if (last?.stream === 'stdout') {
+            last.text += bytes;
+        } else {
+            this.output.push({ stream: 'stdout', text: bytes });
+        }
+    }
+
+    /**
+     * Registra uma mensagem do simulador (erro, aviso, vazamento), exibida separada da saída do programa
+     * @param {string} message - Mensagem
+     */
+    reportMessage(message) {
+        this.output.push({ stream: 'message', text: message });
+    }
+
+    /**
+     * Saída para exibição: os bytes escritos pelo programa são texto em UTF-8, como os literais do código
+     * @returns {Array} Trechos { stream: 'stdout' | 'message', text }
+     */
+    getOutput() {
+        return this.output.map(({ stream, text }) => ({
+            stream,
+            text: stream === 'stdout' ? this.decodeText(text) : text
+        }));
+    }
+
+    /**
+     * Converte texto digitado em bytes UTF-8 (um caractere por byte)
+     * @param {string} text - Texto
+     * @returns {string} Bytes
+     */
+    encodeText(text) {
+        return Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    }
+
+    /**
+     * Converte bytes UTF-8 (um caractere por byte) em texto para exibição
+     * @param {string} bytes - Bytes
+     * @returns {string} Texto
+     */
+    decodeText(bytes) {
+        return new TextDecoder().decode(Uint8Array.from(bytes, character => character.charCodeAt(0)));
+    }
+
+    /**
+     * Entra em uma função chamada: guarda a continuação de quem chamou e empilha um novo frame
+     * @param {Object} request - Pedido de chamada emitido pela avaliação
+     * @param {Generator} evaluation - Avaliação suspensa da instrução que fez a chamada
+     */
+    enterFunction(request, evaluation) {
+        const { functionDef, args, expression } = request;
+        const callerFunction = this.currentFunction;
+        
+        if (this.callStack.length >= CExecutor.MAX_CALL_DEPTH) {
+            this.runtimeError(`Estouro de pilha: mais de ${CExecutor.MAX_CALL_DEPTH} chamadas aninhadas (recursão sem caso base?)`);
+        }
+        
+        // Prepara os parâmetros para a chamada
+        const params = [];
+        for (let i = 0; i < functionDef.parameters.length && i < args.length; i++) {
+            const { name, type } = functionDef.parameters[i];
+            params.push({ name, type, value: args[i] });
+        }
+        
+        // Guarda onde a função chamadora deve continuar
+        this.callStack.push({
+            function: callerFunction,
+            instructions: this.executionStack,
+            pointer: this.executionPointer,
+            evaluation
+        });
+        
+        // Cria um novo frame na pilha para a função chamada
+        this.memory.pushStackFrame(functionDef.name, params, callerFunction, this.getFrameSize(functionDef));
+        this.memory.getCurrentFrame().returnAddress = expression.loc.start.line;
+        this.resolveVariableLengthParameters(functionDef);
+        
+        // Continua a execução no início da função chamada
+        this.executionStack = this.getFunctionCode(functionDef.name);
+        this.executionPointer = 0;
+    }
+
+    /**
+     * Define o tipo dos parâmetros VLA (int m[l][c]) a partir dos parâmetros anteriores já
+     * recebidos: m passa a apontar para linhas de c elementos
+     * @param {Object} functionDef - Nó da função chamada
+     */
+    resolveVariableLengthParameters(functionDef) {
+        const scope = this.memory.getCurrentFrame().id;
+        for (const parameter of functionDef.parameters) {
+            if (!parameter.rowDimensions) continue;
+
+            const rows = parameter.rowDimensions.map(dimension => {
+                if (typeof dimension === 'number') return dimension;
+                const result = this.evaluate(dimension, scope).next();
+                if (!result.done) {
+                    this.runtimeError(`A dimensão do parâmetro '${parameter.name}' não pode chamar funções.`);
+                }
+                const size = Math.trunc(result.value.value);
+                if (!(size > 0)) {
+                    this.runtimeError(`A dimensão do parâmetro '${parameter.name}' deve ser positiva (valor calculado: ${size}).`);
+                }
+                return size;
+            });
+            this.memory.setVariableType(parameter.name, scope, `${this.getArrayTypeName(parameter.baseType, rows)}*`);
+        }
+    }
+
+    /**
+     * Executa um retorno de função
+     * @param {Object} instruction - Instrução a ser executada
+     * @param {string} functionName - Nome da função atual
+     * @param {number} scope - Id do frame atual
+     */
+    *executeReturn(instruction, functionName, scope) {
+        // Avalia o valor de retorno (o valor pode conter outras chamadas, como fib(n-1) + fib(n-2))
+        const returnValue = instruction.value ? yield* this.evaluate(instruction.value, scope) : undefined;
+        // O valor é convertido para o tipo de retorno da função (char f() { return 300; } retorna 44)
+        const functionDef = this.ast.functions.find(f => f.name === functionName);
+        this.returnFromFunction(functionName, returnValue && this.convertForAssignment(returnValue, functionDef.returnType));
+    }
+
+    /**
+     * Sai da função atual: desempilha o frame e retoma a instrução que fez a chamada
+     * @param {string} functionName - Nome da função que está retornando
+     * @param {*} returnValue - Valor retornado (undefined para funções sem valor de retorno)
+     */
+    returnFromFunction(functionName, returnValue) {
+        // Define o valor de retorno no frame atual
+        if (returnValue !== undefined) {
+            this.memory.setReturnValue(returnValue);
+        }
+        
+        // Armazena uma cópia do frame atual antes de removê-lo da pilha
+        const currentFrame = this.memory.getCurrentFrame();
+        if (currentFrame) {
+            // Adiciona à lista de frames completados para visualização
+            this.completedFrames.push({...currentFrame, returnValue});
+        }
+        
+        // Remove o frame atual da pilha
+        this.memory.popStackFrame();
+        this.lastReturn = { function: functionName, value: returnValue };
+        
+        // Se estiver retornando da main, finaliza a execução
+        if (this.callStack.length === 0) {
+            this.isRunning = false;
+            this.reportMemoryLeaks();
+            return;
+        }
+        
+        // Volta para a instrução que fez a chamada; ela é retomada no próximo passo
+        const continuation = this.callStack.pop();
+        this.executionStack = continuation.instructions;
+        this.executionPointer = continuation.pointer;
+        this.pendingEvaluation = continuation.evaluation;
+        this.pendingReturnValue = returnValue;
+    }
+
+    /**
+     * Executa uma condição if
+     * @param {Object} instruction - Instrução a ser executada
+     * @param {number} scope - Id do frame atual
+     */
+    *executeIfCondition(instruction, scope) {
+        const { condition } = instruction;
+        
+        // Avalia a condição
+        const result = yield* this.evaluateExpression(condition, scope);
+        
+        // Se a condição for falsa, pula para o else ou para o fim do if
+        if (!result) {
+            // Procura o próximo else_start ou if_end
+            let skipTo = this.executionPointer;
+            let depth = 0;
+            
+            while (skipTo < this.executionStack.length) {
+                skipTo++;
+                const item = this.executionStack[skipTo];
+                
+                if (!item) break;
+                
+                // Controla a profundidade de ifs aninhados
+                if (item.instruction.type === 'if_condition') {
+                    depth++;
+                } else if (item.instruction.type === 'if_end') {
+                    if (depth === 0) {
+                        // Sem else: continua após o if_end
+                        if (this.executionStack[skipTo + 1]?.instruction.type !== 'else_start') {
+                            break;
+                        }
+                        // Com else: entra no bloco else (após o marcador else_start)
+                        skipTo++;
+                        break;
+                    }
+                    depth--;
+                }
+            }
+            
+            if (skipTo < this.executionStack.length) {
+                this.executionPointer = skipTo;
+            }
+        }
+    }
+
+    /**
+     * Executa o marcador de início do else, alcançado apenas ao terminar o bloco then:
+     * nesse caso o bloco else é pulado
+     * @param {Object} instruction - Instrução a ser executada
+     * @param {number} scope - Id do frame atual
+     */
+    executeElseStart(instruction, scope) {
+        let skipTo = this.executionPointer;
+        let depth = 0;
+
+        while (++skipTo < this.executionStack.length) {
+            const type = this.executionStack[skipTo].instruction.type;
+            if (type === 'else_start') {
+                depth++;
+            } else if (type === 'else_end') {
+                if (depth === 0) break;
+                depth--;
+            }
+        }
+
+        if (skipTo < this.executionStack.length) {
+            this.executionPointer = skipTo;
+        }
+    }
+
+    /**
+     * Avalia a condição de um while; se for falsa, pula para o fim do laço
+     * @param {Object} instruction - Marcador 'while_condition_check'
+     * @param {number} scope - Id do frame atual
+     */
+    *executeWhileConditionCheck(instruction, scope) {
+        if (!(yield* this.evaluateExpression(instruction.condition, scope))) {
+            this.jumpTo(instruction.loopEnd);
+        }
+    }
+
+    /**
+     * Abre o escopo de um bloco no frame atual
+     * @param {Object} instruction - Marcador 'scope_enter'
+     */
+    executeScopeEnter(instruction) {
+        this.memory.pushScope(`${instruction.name} (linha ${instruction.loc.start.line})`);
+    }
+
+    /**
+     * Fim do corpo do while: volta para a verificação da condição
+     * @param {Object} instruction - Marcador 'while_loop_end'
+     * @param {number} scope - Id do frame atual
+     */
+    executeWhileLoopEnd(instruction, scope) {
+        this.jumpTo(instruction.conditionCheck, -1);
+    }
+
+    /**
+     * Avalia a condição de um for (ausente = verdadeira); se for falsa, pula para o fim do laço
+     * @param {Object} instruction - Marcador 'for_condition_check'
+     * @param {number} scope - Id do frame atual
+     */
+    *executeForConditionCheck(instruction, scope) {
+        if (instruction.condition && !(yield* this.evaluateExpression(instruction.condition, scope))) {
+            this.jumpTo(instruction.loopEnd);
+        }
+    }
+
+    /**
+     * Executa o incremento de um for
+     * @param {Object} instruction - Marcador 'for_increment_execute'
+     * @param {number} scope - Id do frame atual
+     */
+    *executeForIncrement(instruction, scope) {
+        if (instruction.increment) {
+            yield* this.evaluate(instruction.increment, scope);
+        }
+    }
+
+    /**
+     * Fim do corpo do for: volta para a verificação da condição
+     * @param {Object} instruction - Marcador 'for_loop_end'
+     * @param {number} scope - Id do frame atual
+     */
+    executeForLoopEnd(instruction, scope) {
+        this.jumpTo(instruction.conditionCheck, -1);
+    }
+
+    /**
+     * Avalia a condição de um do-while; se for verdadeira, volta ao início do corpo
+     * @param {Object} instruction - Marcador 'do_condition_check'
+     * @param {number} scope - Id do frame atual
+     */
+    *executeDoConditionCheck(instruction, scope) {
+        if (yield* this.evaluateExpression(instruction.condition, scope)) {
+            this.jumpTo(instruction.loopStart);
+        }
+    }
+
+    /**
+     * Avalia a expressão de um switch e salta para o case correspondente, para o default
+     * ou, se nenhum corresponder, para depois do switch
+     * @param {Object} instruction - Marcador 'switch_selection'
+     * @param {number} scope - Id do frame atual
+     */
+    *executeSwitchSelection(instruction, scope) {
+        const value = Math.trunc(Number(yield* this.evaluateExpression(instruction.discriminant, scope)));
+        const selected = instruction.cases.find(marker => marker.value === value)
+            || instruction.cases.find(marker => marker.value === null);
+        this.transferControl(selected || instruction.switchEnd);
+    }
+
+    /**
+     * Desvia a execução para um marcador da função atual (break, continue, goto, case).
+     * Os blocos que ficam para trás são fechados (liberando as suas variáveis) e os blocos
+     * em que o destino está são abertos, como em um goto para dentro de um bloco
+     * @param {Object} marker - Instrução marcadora de destino
+     * @param {number} offset - Deslocamento em relação ao marcador (-1 faz o próximo passo executá-lo)
+     */
+    transferControl(marker, offset = 0) {
+        const index = this.executionStack.findIndex(item => item.instruction === marker);
+        const next = index + offset + 1; // Posição da próxima instrução executada
+        const current = this.getScopeChain(this.executionPointer);
+        const destination = this.getScopeChain(next);
+
+        let common = 0;
+        while (common < current.length && common < destination.length && current[common] === destination[common]) {
+            common++;
+        }
+        for (let depth = current.length; depth > common; depth--) {
+            this.memory.popScope();
+        }
+
+        // Percorre a função até o destino abrindo os blocos em que ele está. Declarações
+        // puladas nesses blocos (e no bloco comum, num salto para frente) criam a variável sem valor
+        const scope = this.memory.getCurrentFrame().id;
+        const chain = [];
+        let open = common;
+        for (let i = 0; i < next; i++) {
+            const { instruction } = this.executionStack[i];
+            if (instruction.type === 'scope_enter') {
+                chain.push(instruction);
+                if (chain.length === open + 1 && destination[open] === instruction) {
+                    this.executeScopeEnter(instruction);
+                    open++;
+                }
+            } else if (instruction.type === 'scope_exit') {
+                chain.pop();
+            } else if ((instruction.type === 'variable_declaration' || instruction.type === 'array_declaration') &&
+                chain.length === open && (open === 0 || chain[open - 1] === destination[open - 1])) {
+                this.declareSkippedVariable(instruction, scope);
+            }
+        }
+
+        this.executionPointer = index + offset;
+    }
+
+    /**
+     * Blocos abertos ao executar a instrução de uma posição da função atual
+     * @param {number} position - Posição na lista de instruções aplanadas
+     * @returns {Array} Marcadores 'scope_enter' dos blocos, do mais externo ao mais interno
+     */
+    getScopeChain(position) {
+        const chain = [];
+        for (let i = 0; i < position; i++) {
+            const { instruction } = this.executionStack[i];
+            if (instruction.type === 'scope_enter') {
+                chain.push(instruction);
+            } else if (instruction.type === 'scope_exit') {
+                chain.pop();
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * Obtém a localização da chave que fecha o corpo de uma função ou de um bloco
+     * @param {Object} node - Nó da AST que termina na chave de fechamento
+     * @returns {Object} Localização { start, end }
+     */
+    getClosingBraceLoc(node) {
+        const end = node.loc.end;
+        return {
+            start: { line: end.line, column: end.column - 1 },
+            end
+        };
+    }
+
+    /**
+     * Posiciona o ponteiro de execução em um marcador, procurando-o na pilha de execução
+     * @param {Object} marker - Instrução marcadora de destino
+     * @param {number} offset - Deslocamento em relação ao marcador (-1 faz o próximo passo executá-lo)
+     */
+    jumpTo(marker, offset = 0) {
+        const index = this.executionStack.findIndex(item => item.instruction === marker);
+        if (index !== -1) {
+            this.executionPointer = index + offset;
+        }
+    }
+
+    /**
+     * Monta o texto de um formato do printf. Cada conversão tem a forma
+     * %[flags][largura][.precisão][tamanho]conversão, e largura e precisão podem vir de um argumento (*)
+     * @param {string} name - Nome da função (para as mensagens de erro)
+     * @param {Object} formatPointer - Argumento com o endereço da string de formato
+     * @param {Array} operands - Argumentos seguintes ao formato { value, type, origin? }
+     * @returns {string} Bytes do texto (um caractere por byte)
+     */
+    formatOutput(name, formatPointer, operands) {
+        // A string de formato e as strings de %s são lidas da memória simulada
+        const format = this.readString(name, formatPointer);
+        const conversion = /([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|z|j|t|L)?(.?)/y;
+        let argumentIndex = 0;
+        let text = '';
+
+        const nextArgument = (spec, expected) => {
+            if (argumentIndex >= operands.length) {
+                this.runtimeError(`Comportamento indefinido: falta o argumento de ${spec} no formato do ${name}.`);
+            }
+            const operand = operands[argumentIndex++];
+            this.checkFormatArgument(name, spec, operand, argumentIndex + 1, expected);
+            return operand;
+        };
+
+        for (let i = 0; i < format.length; i++) {
+            if (format[i] !== '%') {
+                text += format[i];
+                continue;
+            }
+
+            conversion.lastIndex = i + 1;
+            const [match, flagText, widthText, precisionText, length, type] = conversion.exec(format);
+            const spec = `%${match}`;
+            i += match.length;
+
+            if (type === '') {
+                this.runtimeError(`${name}: o formato termina com uma conversão incompleta ('${spec}').`);
+            }
+            if (type === '%') {
+                text += '%';
+                continue;
+            }
+            if (!CExecutor.PRINTF_CONVERSIONS.has(type) || (length && (type === 'c' || type === 's' || type === 'p'))) {
+                this.runtimeError(`${name}: a conversão '${spec}' não é suportada.`);
+            }
+
+            // Largura e precisão com * são argumentos int; largura negativa alinha à esquerda
+            let flags = flagText;
+            let width = 0;
+            if (widthText === '*') {
+                width = nextArgument(spec, 'integer').value;
+                if (width < 0) {
+                    flags += '-';
+                    width = -width;
+                }
+            } else if (widthText) {
+                width = Number(widthText);
+            }
+            let precision = null;
+            if (precisionText === '*') {
+                const value = nextArgument(spec, 'integer').value;
+                precision = value < 0 ? null : value;
+            } else if (precisionText !== undefined) {
+                precision = Number(precisionText || 0);
+            }
+
+            let prefix = '';
+            let body;
+            let zeroPad = false;
+            if (type === 'c') {
+                body = String.fromCharCode(nextArgument(spec, 'integer').value & 0xFF);
+            } else if (type === 's') {
+                body = this.readString(name, nextArgument(spec, 'string'), precision ?? Infinity);
+            } else if (type === 'p') {
+                const { value } = nextArgument(spec, 'pointer');
+                body = value ? `0x${Number(value).toString(16)}` : '(nil)';
+            } else if ('fFeEgG'.includes(type)) {
+                ({ prefix, body, zeroPad } = this.formatFloating(nextArgument(spec, 'floating').value, type, flags, precision));
+            } else {
+                ({ prefix, body, zeroPad } = this.formatInteger(nextArgument(spec, 'integer').value, type, flags, precision, length ?? ''));
+            }
+            text += this.padField(prefix, body, width, flags, zeroPad);
+        }
+
+        return text;
+    }
+
+    /**
+     * Executa scanf ou fscanf sobre a entrada padrão: os valores lidos são escritos e os bytes
+     * usados saem da entrada só quando a leitura termina, para que uma chamada que esperou
+     * mais entrada possa ser refeita do início
+     * @param {string} name - Nome da função
+     * @param {Array} operands - Argumentos já avaliados
+     * @param {number} formatIndex - Posição da string de formato entre os argumentos
+     * @returns {number} Quantidade de variáveis preenchidas, ou EOF (-1)
+     */
+    executeScanf(name, operands, formatIndex) {
+        const { count, consumed, assignments } = this.scanFormat(name, operands[formatIndex],
+            operands.slice(formatIndex + 1), position => this.peekInput(position), formatIndex + 2);
+        this.storeScanned(name, assignments);
+        this.consumeInput(consumed);
+        return count;
+    }
+
+    /**
+     * Lê a entrada de acordo com um formato do scanf. Cada conversão tem a forma %[*][largura][tamanho]conversão;
+     * um espaço no formato aceita qualquer quantidade de espaços na entrada e os demais caracteres precisam
+     * aparecer nela. A leitura para no primeiro campo que não combina com o formato.
+     * Nada é escrito aqui: os valores são devolvidos para serem guardados depois
+     * @param {string} name - Nome da função (para as mensagens de erro)
+     * @param {Object} formatPointer - Argumento com o endereço da string de formato
+     * @param {Array} operands - Ponteiros que recebem os valores { value, type, origin? }
+     * @param {Function} peek - Byte da entrada numa posição (null no fim)
+     * @param {number} firstPosition - Posição do primeiro ponteiro na chamada (para as mensagens)
+     * @returns {Object} { count, consumed, assignments }: valor de retorno, bytes lidos e valores { operand, value }
+     */
+    scanFormat(name, formatPointer, operands, peek, firstPosition) {
+        const format = this.readString(name, formatPointer);
+        const conversion = /(\*)?(\d+)?(hh|h|ll|l|z|j|t|L)?(.?)/y;
+        const isSpace = byte => byte !== null && ' \t\n\v\f\r'.includes(String.fromCharCode(byte));
+        const assignments = [];
+        let position = 0;
+        let argumentIndex = 0;
+        let conversions = 0;
+        let endOfInput = false;
+
+        const skipSpaces = () => {
+            while (isSpace(peek(position))) position++;
+        };
+        const nextTarget = (spec, type) => {
+            if (argumentIndex >= operands.length) {
+                this.runtimeError(`Comportamento indefinido: falta o argumento de ${spec} no formato do ${name}.`);
+            }
+            const operand = operands[argumentIndex++];
+            this.checkScanTarget(name, spec, operand, firstPosition + argumentIndex - 1, type);
+            return operand;
+        };
+
+        for (let i = 0; i < format.length && !endOfInput; i++) {
+            if (isSpace(format.charCodeAt(i))) {
+                skipSpaces();
+                continue;
+            }
+            if (format[i] !== '%' || format[i + 1] === '%') {
+                // Caractere comum (ou %%): precisa ser o próximo da entrada (%% pula espaços antes)
+                if (format[i] === '%') {
+                    skipSpaces();
+                    i++;
+                }
+                const byte = peek(position);
+                if (byte === null) {
+                    endOfInput = true;
+                } else if (byte !== format.charCodeAt(i)) {
+                    break;
+                } else {
+                    position++;
+                }
+                continue;
+            }
+
+            conversion.lastIndex = i + 1;
+            const [match, suppress, widthText, length = '', type] = conversion.exec(format);
+            const spec = `%${match}`;
+            i += match.length;
+
+            if (type === '') {
+                this.runtimeError(`${name}: o formato termina com uma conversão incompleta ('${spec}').`);
+            }
+            if (!CExecutor.SCANF_CONVERSIONS.has(type) || (length && (type === 'c' || type === 's'))
+                || ('fFeEgG'.includes(type) && !(length in CExecutor.SCANF_FLOATING_TYPES))) {
+                this.runtimeError(`${name}: a conversão '${spec}' não é suportada.`);
+            }
+
+            // Só %c lê os espaços; as outras conversões os pulam antes do campo
+            if (type !== 'c') skipSpaces();
+            if (peek(position) === null) {
+                endOfInput = true;
+                break;
+            }
+
+            const width = widthText ? Number(widthText) : Infinity;
+            let targetType;
+            let value;
+            if (type === 'c') {
+                // %c lê exatamente a largura (1 por padrão), sem terminador
+                value = '';
+                const size = widthText ? width : 1;
+                while (value.length < size && peek(position + value.length) !== null) {
+                    value += String.fromCharCode(peek(position + value.length));
+                }
+                if (value.length < size) {
+                    endOfInput = true;
+                    break;
+                }
+                position += value.length;
+                targetType = 'char';
+            } else if (type === 's') {
+                // %s lê uma palavra (até o próximo espaço) e acrescenta o terminador
+                value = '';
+                while (value.length < width && peek(position + value.length) !== null && !isSpace(peek(position + value.length))) {
+                    value += String.fromCharCode(peek(position + value.length));
+                }
+                targetType = 'char';
+                position += value.length;
+                value += '\0';
+            } else {
+                const text = this.scanNumber(type, width, offset => peek(position + offset));
+                if (text === null) break;
+                position += text.length;
+                if ('fFeEgG'.includes(type)) {
+                    targetType = CExecutor.SCANF_FLOATING_TYPES[length];
+                    value = parseFloat(text);
+                } else {
+                    targetType = CExecutor.PRINTF_LENGTH_TYPES[length];
+                    value = this.parseScannedInteger(text, type);
+                }
+            }
+            conversions++;
+
+            // Com *, o campo é lido e descartado
+            if (!suppress) {
+                assignments.push({ operand: nextTarget(spec, targetType), value });
+            }
+        }
+
+        // EOF se a entrada acabou antes da primeira conversão
+        const count = endOfInput && conversions === 0 ? -1 : assignments.length;
+        return { count, consumed: position, assignments };
+    }
+
+    /**
+     * Maior prefixo da entrada que forma um número para uma conversão do scanf
+     * @param {string} type - Conversão
+     * @param {number} width - Quantidade máxima de caracteres
+     * @param {Function} peek - Byte numa posição a partir do início do campo (null no fim)
+     * @returns {string | null} Texto do número, ou null se o campo não começar com um número
+     */
+    scanNumber(type, width, peek) {
+        let text = '';
+        const accept = pattern => {
+            const byte = text.length < width ? peek(text.length) : null;
+            if (byte === null || !pattern.test(String.fromCharCode(byte))) return false;
+            text += String.fromCharCode(byte);
+            return true;
+        };
+
+        accept(/[+-]/);
+        let digits = 0;
+        if ('fFeEgG'.includes(type)) {
+            while (accept(/\d/)) digits++;
+            if (accept(/\./)) {
+                while (accept(/\d/)) digits++;
+            }
+            if (digits === 0) return null;
+            if (accept(/[eE]/)) {
+                accept(/[+-]/);
+                while (accept(/\d/));
+            }
+            return text;
+        }
+
+        // %i descobre a base pelo prefixo (0x hexadecimal, 0 octal), e %x aceita o prefixo 0x
+        let base = { d: 10, u: 10, o: 8, x: 16, X: 16 }[type] ?? 0;
+        if ((base === 16 || base === 0) && accept(/0/)) {
+            digits++;
+            if (accept(/[xX]/)) {
+                base = 16;
+            } else if (base === 0) {
+                base = 8;
+            }
+        }
+        const digitPattern = { 8: /[0-7]/, 16: /[\da-fA-F]/ }[base] ?? /\d/;
+        while (accept(digitPattern)) digits++;
+        return digits === 0 ? null : text;
+    }
+
+    /**
+     * Valor de um inteiro lido pelo scanf, na base da conversão
+     * @param {string} text - Texto do número (com sinal e prefixo, se houver)
+     * @param {string} type - Conversão
+     * @returns {bigint} Valor (o ajuste ao tipo do destino é feito ao guardar)
+     */
+    parseScannedInteger(text, type) {
+        const negative = text.startsWith('-');
+        let digits = text.replace(/^[+-]/, '');
+        let prefix = '';
+        if (/^0[xX]/.test(digits) && type !== 'd' && type !== 'u' && type !== 'o') {
+            prefix = '0x';
+            digits = digits.slice(2) || '0';
+        } else if (type === 'x' || type === 'X') {
+            prefix = '0x';
+        } else if (type === 'o' || (type === 'i' && digits.length > 1 && digits.startsWith('0'))) {
+            prefix = '0o';
+        }
+        const number = BigInt(prefix + digits);
+        return negative ? -number : number;
+    }
+
+    /**
+     * Interrompe a execução se o destino de uma conversão do scanf não for um ponteiro para o tipo
+     * que ela escreve (%d escreve um int, %lf um double, %s e %c bytes de char...)
+     * @param {string} name - Nome da função
+     * @param {string} spec - Conversão, como escrita no formato
+     * @param {Object} operand - Argumento { value, type }
+     * @param {number} position - Posição do argumento na chamada
+     * @param {string} expected - Tipo que a conversão escreve
+     */
+    checkScanTarget(name, spec, operand, position, expected) {
+        const { type } = operand;
+        if (this.isPointerType(type)) {
+            const pointee = type.slice(0, -1);
+            const pointeeInfo = this.memory.getIntegerInfo(pointee);
+            const expectedInfo = this.memory.getIntegerInfo(expected);
+            if (pointee === expected || (expectedInfo && pointeeInfo?.bits === expectedInfo.bits)) return;
+        }
+
+        let hint = '';
+        if (!this.isPointerType(type)) {
+            hint = ' (faltou o & antes da variável?)';
+        } else if (expected === 'float' && type === 'double*') {
+            hint = ' (use %lf para ler um double)';
+        } else if (this.memory.getIntegerInfo(expected) && this.memory.getIntegerInfo(type.slice(0, -1))) {
+            // Sugere o modificador de tamanho do tipo apontado (%hd para short, %lld para long long...)
+            const length = { 8: 'hh', 16: 'h', 32: '', 64: 'll' }[this.memory.getIntegerInfo(type.slice(0, -1)).bits];
+            hint = ` (use %${length}${spec.slice(-1)} para ${type.slice(0, -1)})`;
+        }
+        this.runtimeError(`Comportamento indefinido: ${spec} no formato do ${name} espera um ponteiro para ${expected}, mas o argumento ${position} tem tipo '${type}'${hint}.`);
+    }
+
+    /**
+     * Guarda os valores lidos pelo scanf nos destinos, com as verificações de acesso através de ponteiro
+     * @param {string} name - Nome da função
+     * @param {Array} assignments - Valores { operand, value }; o valor de %s e %c são os bytes lidos
+     */
+    storeScanned(name, assignments) {
+        for (const { operand, value } of assignments) {
+            if (typeof value === 'string') {
+                this.writeString(name, operand, 0, value);
+            } else {
+                // O valor é convertido para o tipo apontado (um %u negativo dá a volta, como em C)
+                this.checkLibraryAccess(name, operand, 0, true);
+                this.storeLValue({ address: operand.value, type: operand.type.slice(0, -1), origin: operand.origin ?? operand.value }, value);
+            }
+        }
+    }
+
+    /**
+     * Interrompe a execução se o argumento de uma conversão do printf não tiver o tipo que
+     * ela espera (depois das promoções: char e short viram int, float vira double)
+     * @param {string} name - Nome da função
+     * @param {string} spec - Conversão, como escrita no formato
+     * @param {Object} operand - Argumento { value, type }
+     * @param {number} position - Posição do argumento na chamada (o formato é o 1º)
+     * @param {string} expected - 'integer', 'floating', 'string' ou 'pointer'
+     */
+    checkFormatArgument(name, spec, operand, position, expected) {
+        const { type } = operand;
+        const category = type.includes('*') ? 'pointer'
+            : CExecutor.FLOATING_TYPES.has(type) ? 'floating'
+            : this.memory.isStructType(type) || type === 'void' ? 'other'
+            : 'integer';
+        if (category === expected || (expected === 'string' && category === 'pointer')) return;
+
+        const descriptions = {
+            integer: 'um inteiro',
+            floating: 'um double',
+            string: 'um ponteiro para char',
+            pointer: 'um ponteiro'
+        };
+        this.runtimeError(`Comportamento indefinido: ${spec} no formato do ${name} espera ${descriptions[expected]}, mas o argumento ${position} tem tipo '${type}'.`);
+    }
+
+    /**
+     * Escreve um inteiro no formato de uma conversão (d, i, u, o, x, X), depois de convertê-lo
+     * para o tipo indicado pelo modificador de tamanho (%hhd lê um char, %lu um unsigned long...)
+     * @param {number | bigint} value - Valor do argumento
+     * @param {string} type - Conversão
+     * @param {string} flags - Flags da conversão
+     * @param {number | null} precision - Quantidade mínima de dígitos
+     * @param {string} length - Modificador de tamanho ('' se não houver)
+     * @returns {Object} { prefix, body, zeroPad }: sinal ou 0x, dígitos e se aceita completar com zeros
+     */
+    formatInteger(value, type, flags, precision, length) {
+        const signed = type === 'd' || type === 'i';
+        const baseType = CExecutor.PRINTF_LENGTH_TYPES[length];
+        // A conversão é feita em BigInt para que valores de 64 bits sem sinal não percam precisão
+        const { bits } = this.memory.getIntegerInfo(baseType);
+        const raw = typeof value === 'bigint' ? value : BigInt(Math.trunc(Number(value)));
+        const number = signed ? BigInt.asIntN(bits, raw) : BigInt.asUintN(bits, raw);
+        const base = { o: 8, x: 16, X: 16 }[type] ?? 10;
+
+        let digits = (number < 0n ? -number : number).toString(base);
+        if (type === 'X') digits = digits.toUpperCase();
+        if (precision !== null) {
+            // Precisão 0 com valor 0 não escreve nenhum dígito
+            digits = precision === 0 && number === 0n ? '' : digits.padStart(precision, '0');
+        }
+
+        let prefix = number < 0n ? '-' : signed && flags.includes('+') ? '+' : signed && flags.includes(' ') ? ' ' : '';
+        if (flags.includes('#')) {
+            if (type === 'o' && !digits.startsWith('0')) digits = `0${digits}`;
+            if ((type === 'x' || type === 'X') && number !== 0n) prefix += `0${type}`;
+        }
+        return { prefix, body: digits, zeroPad: precision === null };
+    }
+
+    /**
+     * Escreve um valor de ponto flutuante no formato de uma conversão (f, e, g e maiúsculas).
+     * Os dígitos vêm da expansão decimal exata do double, arredondada como na glibc
+     * @param {number} value - Valor do argumento
+     * @param {string} type - Conversão
+     * @param {string} flags - Flags da conversão
+     * @param {number | null} precision - Casas decimais (f, e) ou dígitos significativos (g)
+     * @returns {Object} { prefix, body, zeroPad }
+     */
+    formatFloating(value, type, flags, precision) {
+        const upper = type === type.toUpperCase();
+        const negative = value < 0 || Object.is(value, -0);
+        const prefix = negative ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+        const alternate = flags.includes('#');
+
+        if (!Number.isFinite(value)) {
+            const body = Number.isNaN(value) ? 'nan' : 'inf';
+            return { prefix, body: upper ? body.toUpperCase() : body, zeroPad: false };
+        }
+
+        const magnitude = Math.abs(value);
+        let body;
+        switch (type.toLowerCase()) {
+            case 'f':
+                body = this.formatFixed(magnitude, precision ?? 6, alternate);
+                break;
+            case 'e':
+                body = this.formatExponential(magnitude, precision ?? 6, alternate, upper);
+                break;
+            default: {
+                // %g usa o estilo de %e se o expoente for menor que -4 ou não menor que a precisão
+                const significant = precision === 0 ? 1 : precision ?? 6;
+                const { exponent } = this.getSignificantDigits(magnitude, significant);
+                body = exponent >= -4 && exponent < significant
+                    ? this.formatFixed(magnitude, significant - 1 - exponent, alternate)
+                    : this.formatExponential(magnitude, significant - 1, alternate, upper);
+                if (!alternate) {
+                    // Sem '#', zeros no fim da parte fracionária (e o ponto que sobrar) são removidos
+                    const [mantissa, exponentPart = ''] = body.split(/(?=[eE])/);
+                    body = (mantissa.includes('.') ? mantissa.replace(/\.?0+$/, '') : mantissa) + exponentPart;
+                }
+            }
+        }
+        return { prefix, body, zeroPad: true };
+    }
+
+    /**
+     * Escreve um número não negativo com uma quantidade fixa de casas decimais (estilo %f)
+     * @param {number} magnitude - Valor (não negativo)
+     * @param {number} precision - Casas decimais
+     * @param {boolean} alternate - Flag '#': mantém o ponto mesmo sem casas decimais
+     * @returns {string} Texto
+     */
+    formatFixed(magnitude, precision, alternate) {
+        const digits = this.roundDecimal(magnitude, precision).toString().padStart(precision + 1, '0');
+        const integerPart = digits.substring(0, digits.length - precision);
+        const fraction = digits.substring(digits.length - precision);
+        return precision > 0 || alternate ? `${integerPart}.${fraction}` : integerPart;
+    }
+
+    /**
+     * Escreve um número não negativo em notação científica (estilo %e), com ao menos dois
+     * dígitos no expoente
+     * @param {number} magnitude - Valor (não negativo)
+     * @param {number} precision - Casas decimais da mantissa
+     * @param {boolean} alternate - Flag '#': mantém o ponto mesmo sem casas decimais
+     * @param {boolean} upper - Escreve 'E' em vez de 'e'
+     * @returns {string} Texto
+     */
+    formatExponential(magnitude, precision, alternate, upper) {
+        const { digits, exponent } = this.getSignificantDigits(magnitude, precision + 1);
+        const mantissa = precision > 0 || alternate ? `${digits[0]}.${digits.substring(1)}` : digits;
+        const sign = exponent < 0 ? '-' : '+';
+        return `${mantissa}${upper ? 'E' : 'e'}${sign}${String(Math.abs(exponent)).padStart(2, '0')}`;
+    }
+
+    /**
+     * Arredonda um número não negativo para uma quantidade de dígitos significativos
+     * @param {number} magnitude - Valor (não negativo)
+     * @param {number} count - Quantidade de dígitos significativos
+     * @returns {Object} { digits, exponent }: os dígitos e o expoente decimal do primeiro deles
+     */
+    getSignificantDigits(magnitude, count) {
+        if (magnitude === 0) {
+            return { digits: '0'.repeat(count), exponent: 0 };
+        }
+        const { integer, scale } = this.getExactDecimal(magnitude);
+        let exponent = integer.toString().length - 1 - scale;
+        let digits = this.roundDecimal(magnitude, count - 1 - exponent).toString();
+        if (digits.length > count) {
+            // O arredondamento subiu uma casa (9.99 -> 10.0)
+            digits = digits.substring(0, count);
+            exponent++;
+        }
+        return { digits, exponent };
+    }
+
+    /**
+     * Arredonda um número não negativo para uma quantidade de casas decimais, empatando
+     * para o dígito par (como a glibc: printf("%.0f", 2.5) escreve 2)
+     * @param {number} magnitude - Valor (não negativo)
+     * @param {number} places - Casas decimais (pode ser negativo: -2 arredonda para centenas)
+     * @returns {bigint} Valor arredondado multiplicado por 10^places
+     */
+    roundDecimal(magnitude, places) {
+        const { integer, scale } = this.getExactDecimal(magnitude);
+        if (scale <= places) {
+            return integer * 10n ** BigInt(places - scale);
+        }
+        const divisor = 10n ** BigInt(scale - places);
+        let quotient = integer / divisor;
+        const twiceRemainder = 2n * (integer % divisor);
+        if (twiceRemainder > divisor || (twiceRemainder === divisor && quotient % 2n === 1n)) {
+            quotient++;
+        }
+        return quotient;
+    }
+
+    /**
+     * Expansão decimal exata de um double não negativo. Todo double vale m × 2^e, que em
+     * decimal tem uma quantidade finita de dígitos: m × 5^-e / 10^-e quando e é negativo
+     * @param {number} magnitude - Valor (não negativo e finito)
+     * @returns {Object} { integer, scale }: o valor é integer / 10^scale
+     */
+    getExactDecimal(magnitude) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, magnitude);
+        const bits = view.getBigUint64(0);
+        const exponentField = Number(bits >> 52n);
+        let mantissa = bits & ((1n << 52n) - 1n);
+        let exponent = -1074; // Números subnormais
+        if (exponentField !== 0) {
+            mantissa |= 1n << 52n;
+            exponent = exponentField - 1075;
+        }
+        if (exponent >= 0) {
+            return { integer: mantissa << BigInt(exponent), scale: 0 };
+        }
+        return { integer: mantissa * 5n ** BigInt(-exponent), scale: -exponent };
+    }
+
+    /**
+     * Completa um campo do printf até a largura mínima: com espaços à esquerda, com espaços
+     * à direita (flag '-') ou com zeros entre o sinal e os dígitos (flag '0')
+     * @param {string} prefix - Sinal ou prefixo 0x
+     * @param {string} body - Dígitos ou texto
+     * @param {number} width - Largura mínima
+     * @param {string} flags - Flags da conversão
+     * @param {boolean} zeroPad - Se a conversão aceita completar com zeros
+     * @returns {string} Campo completo
+     */
+    padField(prefix, body, width, flags, zeroPad) {
+        const padding = width - prefix.length - body.length;
+        if (padding <= 0) return prefix + body;
+        if (flags.includes('-')) return prefix + body + ' '.repeat(padding);
+        if (zeroPad && flags.includes('0')) return prefix + '0'.repeat(padding) + body;
+        return ' '.repeat(padding) + prefix + body;
+    }
+
+    /**
+     * Avalia uma expressão no contexto atual
+     * @param {Object} expression - Nó da expressão na AST
+     * @param {number} scope - Id do frame atual
+     * @yields {Object} Pedidos de chamada de função
+     * @returns {*} Resultado da expressão
+     */
+    *evaluateExpression(expression, scope) {
+        return (yield* this.evaluate(expression, scope)).value;
+    }
+
+    /**
+     * Avalia uma expressão, retornando o valor junto com o seu tipo C
+     * @param {Object} expression - Nó da expressão na AST
+     * @param {number} scope - Id do frame atual
+     * @yields {Object} Pedidos de chamada de função
+     * @returns {Object} { value, type }
+     */
+    *evaluate(expression, scope) {
+        switch (expression.type) {
+            case 'number': {
+                // Uma constante float (0.1f) já é arredondada para a precisão simples
+                const type = this.getLiteralType(expression);
+                return { value: this.memory.convertScalar(expression.value, type), type };
+            }
+
+            case 'char_literal':
+                // Em C, uma constante de caractere tem tipo int
+                return { value: expression.value, type: 'int' };
+
+            case 'string_literal': {
+                // O literal é um array de char no segmento somente leitura e, como todo array
+                // usado como valor, se converte em ponteiro para o primeiro caractere
+                const address = this.memory.defineStringLiteral(expression.value);
+                return { value: address, type: 'char*', origin: address };
+            }
+
+            case 'identifier': {
+                const designator = this.getStandardStream(expression.name, scope) ?? this.getFunctionDesignator(expression.name, scope);
+                if (designator) return designator;
+                const info = this.lookupVariable(expression.name, scope);
+                if (info.type === 'array') {
+                    // Um array usado como valor se converte em ponteiro para o primeiro elemento
+                    return this.decayArray(yield* this.resolveLValue(expression, scope));
+                }
+                return {
+                    value: this.memory.getVariable(expression.name, scope) ?? 0, // Default to 0 if undefined
+                    type: info.type
+                };
+            }
+
+            case 'array_access': {
+                const lvalue = yield* this.resolveLValue(expression, scope);
+                if (lvalue.type === 'array') {
+                    return this.decayArray(lvalue); // m[i] de uma matriz é uma linha inteira
+                }
+                return { value: this.loadLValue(lvalue), type: lvalue.type };
+            }
+
+            case 'member_access':
+                return yield* this.evaluateMemberAccess(expression, scope);
+
+            case 'function_call':
+                return yield* this.evaluateFunctionCall(expression, scope);
+
+            case 'unary':
+                return yield* this.evaluateUnary(expression, scope);
+
+            case 'postfix':
+                return yield* this.evaluateIncrement(expression.operand, expression.operator, false, scope);
+
+            case 'binary':
+                return yield* this.evaluateBinary(expression, scope);
+
+            case 'assignment':
+                return yield* this.evaluateAssignment(expression, scope);
+
+            case 'conditional': {
+                // Apenas o ramo escolhido é avaliado
+                const condition = yield* this.evaluate(expression.condition, scope);
+                return yield* this.evaluate(condition.value ? expression.then : expression.else, scope);
+            }
+
+            case 'comma': {
+                let result;
+                for (const item of expression.expressions) {
+                    result = yield* this.evaluate(item, scope);
+                }
+                return result;
+            }
+
+            case 'cast':
+                return this.convertValue(yield* this.evaluate(expression.operand, scope), expression.targetType);
+
+            case 'sizeof': {
+                // O operando não é avaliado: só o seu tipo importa. Para um VLA, o tamanho é o calculado na declaração
+                const type = expression.targetType ?? this.getExpressionType(expression.operand, scope);
+                if (type === 'void') {
+                    this.runtimeError("sizeof não pode ser aplicado ao tipo 'void'.");
+                }
+                return { value: this.memory.getSizeForType(type), type: 'unsigned int' };
+            }
+
+            default:
+                this.runtimeError(`Expressão não suportada: ${expression.type}`);
+        }
+    }
+
+    /**
+     * Avalia o acesso a um membro de struct (s.x ou p->x)
+     * @param {Object} expression - Nó 'member_access'
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} { value, type }
+     */
+    *evaluateMemberAccess(expression, scope) {
+        // Structs que não estão na memória (como o retorno de uma função) têm os campos extraídos da cópia
+        if (!expression.arrow && !this.isLValueExpression(expression.object)) {
+            const object = yield* this.evaluate(expression.object, scope);
+            const member = this.getMember(object.type, expression.member);
+            if (member.arraySize !== undefined) {
+                this.runtimeError(`O membro array '${expression.member}' de um valor temporário não pode ser acessado.`);
+            }
+            const fields = object.value.fields
+                .filter(field => field.offset >= member.offset && field.offset < member.offset + member.size)
+                .map(field => ({ ...field, offset: field.offset - member.offset }));
+            const value = this.memory.isStructType(member.type) ? { fields } : fields[0].value;
+            return { value, type: member.type };
+        }
+
+        const lvalue = yield* this.resolveLValue(expression, scope);
+        if (lvalue.type === 'array') {
+            // Um membro array também se converte em ponteiro para o primeiro elemento
+            return this.decayArray(lvalue);
+        }
+        return { value: this.loadLValue(lvalue), type: lvalue.type };
+    }
+
+    /**
+     * Verifica se uma expressão designa um objeto na memória (e pode ser resolvida com resolveLValue)
+     * @param {Object} expression - Nó da expressão
+     * @returns {boolean}
+     */
+    isLValueExpression(expression) {
+        switch (expression.type) {
+            case 'identifier':
+            case 'array_access':
+                return true;
+            case 'unary':
+                return expression.operator === '*';
+            case 'member_access':
+                return expression.arrow || this.isLValueExpression(expression.object);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Procura um membro de uma struct ou union, verificando o tipo do objeto
+     * @param {string} type - Tipo do objeto à esquerda de '.' (ou apontado, em '->')
+     * @param {string} name - Nome do membro
+     * @returns {Object} Layout do membro
+     */
+    getMember(type, name) {
+        if (!this.memory.isStructType(type)) {
+            this.runtimeError(`Acesso ao membro '${name}' de um valor que não é struct ou union (tipo ${type}).`);
+        }
+        const member = this.memory.getStructMember(type, name);
+        if (!member) {
+            this.runtimeError(`'${type}' não tem um membro chamado '${name}'.`);
+        }
+        return member;
+    }
+
+    /**
+     * Determina o tipo de uma expressão sem avaliá-la (usado por sizeof)
+     * Arrays mantêm o tipo array (int[3][4]), com as dimensões reais no caso de VLAs
+     * @param {Object} expression - Nó da expressão
+     * @param {number} scope - Id do frame atual
+     * @returns {string} Tipo C da expressão
+     */
+    getExpressionType(expression, scope) {
+        const typeOf = node => this.getExpressionType(node, scope);
+        const decayedTypeOf = node => this.decayType(typeOf(node));
+
+        switch (expression.type) {
+            case 'number':
+                return this.getLiteralType(expression);
+
+            case 'char_literal':
+                return 'int';
+
+            case 'string_literal':
+                return `char[${expression.value.length + 1}]`;
+
+            case 'identifier': {
+                const designator = this.getStandardStream(expression.name, scope) ?? this.getFunctionDesignator(expression.name, scope);
+                if (designator) return designator.type;
+                const info = this.lookupVariable(expression.name, scope);
+                return info.type === 'array' ? this.getArrayTypeName(info.elementType, info.dimensions || [info.arraySize]) : info.type;
+            }
+
+            case 'array_access':
+                return this.getPointeeType(decayedTypeOf(expression.array), '[]');
+
+            case 'member_access': {
+                const objectType = expression.arrow
+                    ? this.getPointeeType(decayedTypeOf(expression.object), '->')
+                    : typeOf(expression.object);
+                const member = this.getMember(objectType, expression.member);
+                return member.arraySize !== undefined ? this.getArrayTypeName(member.elementType, member.dimensions) : member.type;
+            }
+
+            case 'unary':
+                switch (expression.operator) {
+                    case '*':
+                        return this.getPointeeType(decayedTypeOf(expression.operand), '*');
+                    case '&': {
+                        // Como na avaliação, &array aponta para o primeiro elemento
+                        const type = typeOf(expression.operand);
+                        const arrayType = this.memory.parseArrayType(type);
+                        return arrayType ? `${arrayType.elementType}*` : `${type}*`;
+                    }
+                    case '!':
+                        return 'int';
+                    case '++':
+                    case '--':
+                        return typeOf(expression.operand);
+                    default:
+                        return this.promoteInteger(typeOf(expression.operand));
+                }
+
+            case 'postfix':
+                return typeOf(expression.operand);
+
+            case 'binary': {
+                const left = decayedTypeOf(expression.left);
+                const right = decayedTypeOf(expression.right);
+                if (['<', '>', '<=', '>=', '==', '!=', '&&', '||'].includes(expression.operator)) {
+                    return 'int';
+                }
+                if (this.isPointerType(left) && this.isPointerType(right)) {
+                    return 'int'; // Diferença entre ponteiros
+                }
+                if (expression.operator === '<<' || expression.operator === '>>') {
+                    return this.promoteInteger(left);
+                }
+                return this.getArithmeticType(left, right);
+            }
+
+            case 'assignment':
+                return typeOf(expression.target);
+
+            case 'conditional':
+                return decayedTypeOf(expression.then);
+
+            case 'comma':
+                return decayedTypeOf(expression.expressions[expression.expressions.length - 1]);
+
+            case 'cast':
+                return expression.targetType;
+
+            case 'sizeof':
+                return 'unsigned int';
+
+            case 'function_call': {
+                const functionDef = this.ast.functions.find(f => f.name === expression.name);
+                if (functionDef) return functionDef.returnType;
+                return this.nativeFunctions.get(expression.name)?.returnType ?? 'int';
+            }
+
+            default:
+                this.runtimeError(`Expressão não suportada: ${expression.type}`);
+        }
+    }
+
+    /**
+     * Monta o nome de um tipo array, como "int[3][4]"
+     * @param {string} elementType - Tipo dos elementos
+     * @param {Array} dimensions - Dimensões
+     * @returns {string} Nome do tipo
+     */
+    getArrayTypeName(elementType, dimensions) {
+        return `${elementType}${dimensions.map(dimension => `[${dimension}]`).join('')}`;
+    }
+
+    /**
+     * Tipo resultante quando um valor do tipo informado é usado numa expressão:
+     * arrays se convertem em ponteiro para o primeiro elemento
+     * @param {string} type - Tipo
+     * @returns {string} Tipo após a conversão
+     */
+    decayType(type) {
+        const arrayType = this.memory.parseArrayType(type);
+        if (!arrayType) return type;
+        return `${this.getArrayTypeName(arrayType.elementType, arrayType.dimensions.slice(1))}*`;
+    }
+
+    /**
+     * Tipo apontado por um ponteiro, verificando que o tipo é mesmo um ponteiro
+     * @param {string} type - Tipo ponteiro
+     * @param {string} operator - Operador aplicado ('*', '[]' ou '->'), para a mensagem de erro
+     * @returns {string} Tipo apontado
+     */
+    getPointeeType(type, operator) {
+        if (!this.isPointerType(type)) {
+            this.runtimeError(`O operando de '${operator}' não é um ponteiro (tipo ${type}).`);
+        }
+        return type.slice(0, -1);
+    }
+
+    /**
+     * Avalia uma operação unária prefixada
+     * @param {Object} expression - Nó 'unary'
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} { value, type }
+     */
+    *evaluateUnary(expression, scope) {
+        const { operator, operand } = expression;
+
+        switch (operator) {
+            case '&': {
+                const lvalue = yield* this.resolveLValue(operand, scope);
+                // &array aponta para o início do array
+                const type = lvalue.type === 'array' ? lvalue.elementType : lvalue.type;
+                return { value: lvalue.address, type: `${type}*` };
+            }
+            case '*': {
+                const lvalue = yield* this.resolveLValue(expression, scope);
+                if (lvalue.type === 'array') {
+                    return this.decayArray(lvalue); // *m de uma matriz é a sua primeira linha
+                }
+                return { value: this.loadLValue(lvalue), type: lvalue.type };
+            }
+            case '++':
+            case '--':
+                return yield* this.evaluateIncrement(operand, operator, true, scope);
+        }
+
+        const { value, type } = yield* this.evaluate(operand, scope);
+        if (operator === '!') {
+            return { value: value ? 0 : 1, type: 'int' };
+        }
+        if (this.isPointerType(type) || this.memory.isStructType(type)) {
+            this.runtimeError(`Operador '${operator}' não pode ser aplicado a '${type}'.`);
+        }
+
+        // O operando passa pelas promoções inteiras (char e short viram int)
+        const promoted = this.promoteInteger(type);
+        const integer = this.memory.getIntegerInfo(promoted);
+        const number = this.memory.convertScalar(value, promoted);
+        switch (operator) {
+            case '+':
+                return { value: number, type: promoted };
+            case '-':
+                if (!integer) return { value: -number, type: promoted };
+                return { value: this.checkIntegerResult(-BigInt(number), promoted, `-(${number})`), type: promoted };
+            case '~':
+                if (!integer) {
+                    this.runtimeError(`O operador '~' exige um operando inteiro (tipo ${type}).`);
+                }
+                return { value: this.memory.convertScalar(~BigInt(number), promoted), type: promoted };
+            default:
+                this.runtimeError(`Operador unário não suportado '${operator}'`);
+        }
+    }
+
+    /**
+     * Avalia ++ e -- (prefixados ou pós-fixados)
+     * @param {Object} operand - Expressão que será incrementada (deve ser um lvalue)
+     * @param {string} operator - '++' ou '--'
+     * @param {boolean} prefix - Se o operador é prefixado (retorna o novo valor)
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} { value, type }
+     */
+    *evaluateIncrement(operand, operator, prefix, scope) {
+        const lvalue = yield* this.resolveLValue(operand, scope);
+        if (lvalue.type === 'array' || this.memory.isStructType(lvalue.type)) {
+            this.runtimeError(`Operador '${operator}' não pode ser aplicado a '${lvalue.type}'.`);
+        }
+        const oldValue = this.loadLValue(lvalue);
+        let newValue;
+        if (this.isPointerType(lvalue.type)) {
+            // Ponteiros andam de um elemento por vez
+            const step = this.getPointeeSize(lvalue.type);
+            newValue = operator === '++' ? oldValue + step : oldValue - step;
+        } else {
+            // x++ equivale a x = x + 1: a soma segue as regras de conversão e o resultado volta ao tipo de x
+            const sum = this.applyBinaryOperator(operator[0], { value: oldValue, type: lvalue.type }, { value: 1, type: 'int' });
+            newValue = this.memory.convertScalar(sum.value, lvalue.type);
+        }
+
+        this.storeLValue(lvalue, newValue);
+
+        return { value: prefix ? newValue : oldValue, type: lvalue.type };
+    }
+
+    /**
+     * Avalia uma atribuição simples ou composta (+=, <<=, ...)
+     * @param {Object} expression - Nó 'assignment'
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} Valor atribuído { value, type }
+     */
+    *evaluateAssignment(expression, scope) {
+        const { operator, target } = expression;
+        const lvalue = yield* this.resolveLValue(target, scope);
+        if (lvalue.type === 'array') {
+            this.runtimeError(`Não é possível atribuir a um array ('${lvalue.name}').`);
+        }
+        let result = yield* this.evaluate(expression.value, scope);
+
+        // Structs só podem ser atribuídas inteiras a partir de outra do mesmo tipo
+        if (this.memory.isStructType(lvalue.type) || this.memory.isStructType(result.type)) {
+            if (operator !== '=' || lvalue.type !== result.type) {
+                this.runtimeError(`Tipos incompatíveis na atribuição: '${lvalue.type}' ${operator} '${result.type}'.`);
+            }
+        }
+
+        if (operator !== '=') {
+            const current = { value: this.loadLValue(lvalue), type: lvalue.type };
+            result = this.applyBinaryOperator(operator.slice(0, -1), current, result);
+        }
+
+        // O valor da atribuição é o valor já convertido para o tipo do destino
+        const value = this.convertForAssignment(result, lvalue.type);
+        this.storeLValue(lvalue, value);
+        return { value, type: lvalue.type };
+    }
+
+    /**
+     * Avalia uma operação binária, com curto-circuito para && e ||
+     * @param {Object} expression - Nó 'binary'
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} { value, type }
+     */
+    *evaluateBinary(expression, scope) {
+        const { operator } = expression;
+        const left = yield* this.evaluate(expression.left, scope);
+
+        // && e || só avaliam o lado direito quando necessário
+        if (operator === '&&') {
+            if (!left.value) return { value: 0, type: 'int' };
+            return { value: (yield* this.evaluate(expression.right, scope)).value ? 1 : 0, type: 'int' };
+        }
+        if (operator === '||') {
+            if (left.value) return { value: 1, type: 'int' };
+            return { value: (yield* this.evaluate(expression.right, scope)).value ? 1 : 0, type: 'int' };
+        }
+
+        const right = yield* this.evaluate(expression.right, scope);
+        return this.applyBinaryOperator(operator, left, right);
+    }
+
+    /**
+     * Aplica um operador binário (exceto && e ||) a dois operandos já avaliados
+     * @param {string} operator - Operador
+     * @param {Object} left - Operando esquerdo { value, type }
+     * @param {Object} right - Operando direito { value, type }
+     * @returns {Object} { value, type }
+     */
+    applyBinaryOperator(operator, left, right) {
+        const structOperand = [left, right].find(operand => this.memory.isStructType(operand.type));
+        if (structOperand) {
+            this.runtimeError(`Operador '${operator}' não pode ser aplicado a '${structOperand.type}'.`);
+        }
+
+        // Ensure left and right are numbers for arithmetic operations
+        const numLeft = Number(left.value);
+        const numRight = Number(right.value);
+
+        // NaN só é um valor válido em ponto flutuante (0.0 / 0.0)
+        const isInvalid = (number, operand) => Number.isNaN(number) && !CExecutor.FLOATING_TYPES.has(operand.type);
+        if (isInvalid(numLeft, left) || isInvalid(numRight, right)) {
+            this.runtimeError(`Operação '${operator}' com operandos não numéricos: ${left.value}, ${right.value}`);
+        }
+
+        const leftPointer = this.isPointerType(left.type);
+        const rightPointer = this.isPointerType(right.type);
+        if ((operator === '+' || operator === '-') && (leftPointer || rightPointer)) {
+            return this.applyPointerArithmetic(operator, { ...left, value: numLeft }, { ...right, value: numRight });
+        }
+
+        const comparison = condition => ({ value: condition ? 1 : 0, type: 'int' });
+        const compare = (a, b) => {
+            switch (operator) {
+                case '<': return comparison(a < b);
+                case '>': return comparison(a > b);
+                case '<=': return comparison(a <= b);
+                case '>=': return comparison(a >= b);
+                case '==': return comparison(a === b);
+                case '!=': return comparison(a !== b);
+                default: return null;
+            }
+        };
 
-            const indexValue = this.evaluateExpression(indexExpression, scope);
-            if (typeof indexValue !== 'number' || indexValue < 0 || indexValue >= arrayInfo.arraySize) {
-                this.output.push(`Erro: Índice do array [${indexValue}] fora dos limites para '${arrayName}'. Tamanho: ${arrayInfo.arraySize}.`);
-                console.error(`Erro: Índice do array [${indexValue}] fora dos limites para '${arrayName}'. Tamanho: ${arrayInfo.arraySize}.`);
-                this.isRunning = false; // Halt on out-of-bounds
-                return;
+        // Ponteiros só podem ser comparados (entre si ou com 0)
+        if (leftPointer || rightPointer) {
+            const result = compare(numLeft, numRight);
+            if (!result) {
+                this.runtimeError(`Operador '${operator}' não pode ser aplicado a '${leftPointer ? left.type : right.type}'.`);
             }
+            return result;
+        }
 
-            const targetAddress = arrayInfo.address + (indexValue * arrayInfo.elementSize);
-            this.memory.memory.set(targetAddress, evaluatedRhsValue);
+        // Conversões aritméticas usuais: os dois operandos passam para um tipo comum
+        // (nos deslocamentos, o resultado tem o tipo do operando esquerdo promovido)
+        const isShift = operator === '<<' || operator === '>>';
+        const type = isShift ? this.promoteInteger(left.type) : this.getArithmeticType(left.type, right.type);
+        const a = this.memory.convertScalar(left.value, type);
+        const b = isShift ? numRight : this.memory.convertScalar(right.value, type);
 
-        } else if (typeof name === 'string') {
-            // Simple variable assignment
-            // Check if RHS is an address-of operation, should be handled by evaluateExpression or setVariable
-            let valueToSet = evaluatedRhsValue;
-            if (typeof value === 'string' && value.startsWith('&')) { // Re-check original RHS for '&'
-                 valueToSet = this.evaluateExpression(value, scope); // Let evaluateExpression handle '&'
+        if (this.memory.getIntegerInfo(type)) {
+            if (isShift && !this.memory.getIntegerInfo(this.promoteInteger(right.type))) {
+                this.runtimeError(`O operador '${operator}' exige operandos inteiros.`);
             }
-            this.memory.setVariable(name, valueToSet, scope);
-        } else {
-            this.output.push(`Erro: Lado esquerdo inválido na atribuição: ${JSON.stringify(name)}`);
-            this.isRunning = false;
+            return compare(a, b) || { value: this.applyIntegerOperator(operator, a, b, type), type };
+        }
+
+        // Entre floats o resultado também é arredondado para a precisão simples
+        switch (operator) {
+            case '+': return { value: this.memory.convertScalar(a + b, type), type };
+            case '-': return { value: this.memory.convertScalar(a - b, type), type };
+            case '*': return { value: this.memory.convertScalar(a * b, type), type };
+            case '/': return { value: this.memory.convertScalar(a / b, type), type }; // Divisão real (por zero resulta em infinito, como no IEEE 754)
+        }
+        const result = compare(a, b);
+        if (!result) {
+            this.runtimeError(`O operador '${operator}' exige operandos inteiros (tipo ${type}).`);
         }
+        return result;
     }
 
     /**
-     * Executa uma chamada de função
-     * @param {Object} instruction - Instrução a ser executada
-     * @param {string} callerFunction - Nome da função que está fazendo a chamada
+     * Aplica um operador aritmético ou bit a bit a dois inteiros já convertidos para o tipo comum.
+     * A divisão trunca em direção a zero; em tipos unsigned o resultado dá a volta (módulo 2^bits);
+     * em tipos com sinal, um resultado fora do intervalo é comportamento indefinido
+     * @param {string} operator - Operador
+     * @param {number} left - Operando esquerdo
+     * @param {number} right - Operando direito
+     * @param {string} type - Tipo do resultado
+     * @returns {number} Resultado
      */
-    executeFunctionCall(instruction, callerFunction) {
-        const { name, arguments: args } = instruction;
-        
-        // Caso especial para printf (função da biblioteca padrão)
-        if (name === 'printf') {
-            this.executePrintf(args, callerFunction);
-            return;
-        }
-        
-        // Procura a função no AST
-        const functionDef = this.ast.functions.find(f => f.name === name);
-        if (!functionDef) {
-            this.output.push(`Erro: Função '${name}' não definida`);
-            return;
-        }
-        
-        // Prepara os parâmetros para a chamada
-        const params = {};
-        for (let i = 0; i < functionDef.parameters.length && i < args.length; i++) {
-            const paramName = functionDef.parameters[i].name;
-            let argValue = args[i];
-            
-            // Avalia o argumento se não for literal
-            if (argValue && !this.isLiteral(argValue)) {
-                argValue = this.evaluateExpression(argValue, callerFunction);
-            }
-            
-            params[paramName] = argValue;
+    applyIntegerOperator(operator, left, right, type) {
+        const { bits } = this.memory.getIntegerInfo(type);
+        const a = BigInt(left);
+        const b = BigInt(right);
+        const description = `${left} ${operator} ${right}`;
+
+        switch (operator) {
+            case '+': return this.checkIntegerResult(a + b, type, description);
+            case '-': return this.checkIntegerResult(a - b, type, description);
+            case '*': return this.checkIntegerResult(a * b, type, description);
+            case '/':
+                if (b === 0n) {
+                    this.runtimeError("Divisão por zero.");
+                }
+                return this.checkIntegerResult(a / b, type, description);
+            case '%':
+                if (b === 0n) {
+                    this.runtimeError("Modulo por zero.");
+                }
+                return this.memory.convertScalar(a % b, type);
+            case '<<':
+            case '>>':
+                if (right < 0 || right >= bits) {
+                    this.runtimeError(`Comportamento indefinido: deslocamento de ${right} bits em um valor de ${bits} bits ('${type}').`);
+                }
+                if (operator === '>>') {
+                    return this.memory.convertScalar(a >> b, type);
+                }
+                if (left < 0) {
+                    this.runtimeError(`Comportamento indefinido: deslocamento à esquerda de um valor negativo (${description}).`);
+                }
+                return this.checkIntegerResult(a << b, type, description);
+            case '&': return this.memory.convertScalar(a & b, type);
+            case '|': return this.memory.convertScalar(a | b, type);
+            case '^': return this.memory.convertScalar(a ^ b, type);
+            default:
+                this.runtimeError(`Operador desconhecido '${operator}'`);
         }
-        
-        // Cria um novo frame na pilha para a função chamada
-        const frameId = this.memory.pushStackFrame(name, params, callerFunction);
-        
-        // Adiciona as instruções da função à pilha de execução
-        const insertPoint = this.executionPointer + 1;
-        
-        // Cria um marcador de retorno com referência à função chamadora
-        this.executionStack.splice(insertPoint, 0, {
-            function: name,
-            instruction: { type: 'function_end', returnTo: callerFunction },
-            visited: false
-        });
-        
-        // Adiciona as instruções da função (em ordem reversa para que fiquem na ordem correta na pilha)
-        for (let i = functionDef.body.length - 1; i >= 0; i--) {
-            this.executionStack.splice(insertPoint, 0, {
-                function: name,
-                instruction: functionDef.body[i],
-                visited: false
-            });
+    }
+
+    /**
+     * Converte o resultado exato de uma operação inteira para o seu tipo: unsigned dá a volta,
+     * e um tipo com sinal que não comporta o resultado acusa overflow (comportamento indefinido)
+     * @param {bigint} result - Resultado exato
+     * @param {string} type - Tipo do resultado
+     * @param {string} description - Operação, para a mensagem de erro
+     * @returns {number | bigint} Resultado no tipo
+     */
+    checkIntegerResult(result, type, description) {
+        const value = this.memory.convertScalar(result, type);
+        if (this.memory.getIntegerInfo(type).signed && BigInt(value) !== result) {
+            this.runtimeError(`Comportamento indefinido: overflow de inteiro com sinal em ${description} (o resultado não cabe em '${type}').`);
         }
+        return value;
     }
 
     /**
-     * Executa um retorno de função
-     * @param {Object} instruction - Instrução a ser executada
-     * @param {string} functionName - Nome da função atual
+     * Soma ou subtração envolvendo ponteiros. O inteiro é multiplicado pelo tamanho
+     * do tipo apontado, e a diferença entre dois ponteiros é dada em elementos
+     * @param {string} operator - '+' ou '-'
+     * @param {Object} left - Operando esquerdo { value, type }
+     * @param {Object} right - Operando direito { value, type }
+     * @returns {Object} { value, type }
      */
-    executeReturn(instruction, functionName) {
-        const { value, isRecursive, recursiveVar, recursiveFunc, recursiveArgs } = instruction;
-        
-        let returnValue;
-        
-        // Caso especial para retorno recursivo (fatorial e similares)
-        if (isRecursive) {
-            // Obtém o valor da variável (por exemplo, n em n * fatorial(n-1))
-            const varValue = this.memory.getVariable(recursiveVar, functionName);
-            
-            // Se já temos um valor de retorno para a chamada recursiva, use-o
-            if (recursiveFunc in this.memory.lastReturnValues) {
-                const recursiveReturnValue = this.memory.lastReturnValues[recursiveFunc];
-                returnValue = varValue * recursiveReturnValue;
-            } else {
-                // Se ainda não temos resultado da chamada recursiva, usa apenas o valor da variável
-                returnValue = varValue;
+    applyPointerArithmetic(operator, left, right) {
+        const leftPointer = this.isPointerType(left.type);
+        const rightPointer = this.isPointerType(right.type);
+
+        if (leftPointer && rightPointer) {
+            if (operator === '+') {
+                this.runtimeError('Não é possível somar dois ponteiros.');
             }
-        } else {
-            // Avalia o valor de retorno normal
-            returnValue = value;
-            if (value && !this.isLiteral(value)) {
-                returnValue = this.evaluateExpression(value, functionName);
+            return { value: Math.trunc((left.value - right.value) / this.getPointeeSize(left.type)), type: 'int' };
+        }
+
+        if (!leftPointer) {
+            if (operator === '-') {
+                this.runtimeError('Não é possível subtrair um ponteiro de um inteiro.');
             }
+            // n + p é o mesmo que p + n
+            [left, right] = [right, left];
         }
-        
-        // Define o valor de retorno no frame atual
-        this.memory.setReturnValue(returnValue);
-        
-        // Armazena o valor de retorno para a função atual na memória
-        this.memory.lastReturnValues[functionName] = returnValue;
-        
-        // Armazena uma cópia do frame atual antes de removê-lo da pilha
-        const currentFrame = this.memory.getCurrentFrame();
-        if (currentFrame) {
-            // Adiciona à lista de frames completados para visualização
-            this.completedFrames.push({...currentFrame, returnValue});
+
+        const offset = Math.trunc(Number(right.value)) * this.getPointeeSize(left.type);
+        return {
+            value: operator === '+' ? left.value + offset : left.value - offset,
+            type: left.type,
+            origin: left.origin ?? left.value // O resultado continua apontando para o mesmo objeto
+        };
+    }
+
+    /**
+     * Verifica se um tipo é ponteiro
+     * @param {string} type - Tipo
+     * @returns {boolean} Se é um tipo ponteiro
+     */
+    isPointerType(type) {
+        return type.endsWith('*');
+    }
+
+    /**
+     * Tamanho do tipo apontado por um ponteiro (void* anda de byte em byte, como no GCC)
+     * @param {string} type - Tipo ponteiro
+     * @returns {number} Tamanho em bytes
+     */
+    getPointeeSize(type) {
+        const pointee = type.slice(0, -1);
+        return pointee === 'void' ? 1 : this.memory.getSizeForType(pointee);
+    }
+
+    /**
+     * Obtém a posição de memória apontada por um ponteiro
+     * @param {Object} pointer - Ponteiro { value, type, origin? }
+     * @returns {Object} { address, type, origin } do valor apontado
+     */
+    dereference(pointer) {
+        if (!this.isPointerType(pointer.type)) {
+            this.runtimeError(`O operando de '*' não é um ponteiro (tipo ${pointer.type}).`);
         }
-        
-        // Remove o frame atual da pilha
-        this.memory.popStackFrame();
-        
-        // Se estiver retornando da main, finaliza a execução
-        if (functionName === 'main') {
-            this.isRunning = false;
-            return;
+        if (typeof pointer.value !== 'number' || pointer.value === 0) {
+            this.runtimeError('Desreferência de ponteiro nulo ou inválido.');
         }
-        
-        // Busca o marcador de fim de função
-        let endIndex = this.executionPointer;
-        while (endIndex < this.executionStack.length) {
-            const item = this.executionStack[endIndex];
-            if (item.instruction.type === 'function_end' && item.function === functionName) {
-                break;
-            }
-            endIndex++;
+        const type = pointer.type.slice(0, -1);
+        if (type === 'void') {
+            this.runtimeError("Não é possível desreferenciar um 'void*' sem conversão.");
         }
-        
-        // Ajusta o ponteiro de execução para o fim da função
-        if (endIndex < this.executionStack.length) {
-            this.executionPointer = endIndex;
+        const origin = pointer.origin ?? pointer.value;
+        // Ponteiro para uma linha de matriz (int[4]*): o valor apontado é a linha inteira
+        const arrayType = this.memory.parseArrayType(type);
+        if (arrayType) {
+            return this.arrayLValue(pointer.value, arrayType.elementType, arrayType.dimensions, '*', origin);
         }
+        return { address: pointer.value, type, origin };
     }
 
     /**
-     * Executa uma condição if
-     * @param {Object} instruction - Instrução a ser executada
-     * @param {string} functionName - Nome da função atual
+     * Monta o lvalue de um array (ou de uma linha de matriz)
+     * @param {number} address - Endereço do primeiro elemento
+     * @param {string} elementType - Tipo dos elementos escalares
+     * @param {Array} dimensions - Dimensões, da mais externa para a mais interna
+     * @param {string} name - Nome usado nas mensagens de erro (ex: "m", "m[1]")
+     * @param {number} origin - Origem do ponteiro, quando o array foi alcançado através de um
+     * @returns {Object} { address, type: 'array', elementType, elementSize, arraySize, dimensions, name, origin }
      */
-    executeIfCondition(instruction, functionName) {
-        const { condition } = instruction;
-        
-        // Avalia a condição
-        const result = this.evaluateExpression(condition, functionName);
-        
-        // Se a condição for falsa, pula para o else ou para o fim do if
-        if (!result) {
-            // Procura o próximo else_start ou if_end
-            let skipTo = this.executionPointer;
-            let depth = 0;
-            
-            while (skipTo < this.executionStack.length) {
-                skipTo++;
-                const item = this.executionStack[skipTo];
-                
-                if (!item) break;
-                
-                // Controla a profundidade de ifs aninhados
-                if (item.instruction.type === 'if_condition') {
-                    depth++;
-                } else if (item.instruction.type === 'if_end') {
-                    if (depth === 0) {
-                        break;
-                    }
-                    depth--;
-                } else if (item.instruction.type === 'else_start' && depth === 0) {
-                    break;
-                }
-            }
-            
-            if (skipTo < this.executionStack.length) {
-                this.executionPointer = skipTo;
-            }
-        }
+    arrayLValue(address, elementType, dimensions, name, origin = undefined) {
+        return {
+            address,
+            type: 'array',
+            elementType,
+            elementSize: this.memory.getSizeForType(elementType),
+            arraySize: dimensions[0],
+            dimensions,
+            name,
+            origin
+        };
     }
 
     /**
-     * Executa uma chamada para printf (simulação simplificada)
-     * @param {Array} args - Argumentos para printf
-     * @param {string} functionName - Nome da função chamadora
+     * Converte um array em ponteiro para o seu primeiro elemento. Numa matriz,
+     * o primeiro elemento é uma linha: int m[3][4] vira int[4]*
+     * @param {Object} array - Lvalue do array
+     * @returns {Object} { value, type, origin }
      */
-    executePrintf(args, functionName) {
-        if (args.length === 0) {
-            this.output.push('');
-            return;
-        }
-        
-        // Obtém a string de formato
-        let format = args[0];
-        // Remove aspas duplas
-        if (format.startsWith('"') && format.endsWith('"')) {
-            format = format.substring(1, format.length - 1);
-        }
-        
-        // Substitui especificadores de formato por valores reais
-        let outputStr = format;
-        let argIndex = 1;
-        
-        // Substitui %d, %f, etc.
-        outputStr = outputStr.replace(/%[diouxXfFeEgGaAcs]/g, (match) => {
-            if (argIndex < args.length) {
-                const arg = args[argIndex++];
-                return this.evaluateExpression(arg, functionName);
-            }
-            return match;
-        });
-        
-        this.output.push(outputStr);
+    decayArray(array) {
+        const type = `${this.getArrayTypeName(array.elementType, array.dimensions.slice(1))}*`;
+        return { value: array.address, type, origin: array.origin ?? array.address };
     }
 
     /**
-     * Avalia uma expressão no contexto atual
-     * @param {string} expression - Expressão a ser avaliada
-     * @param {string} scope - Escopo atual
-     * @returns {*} Resultado da expressão
+     * Lê o valor de um lvalue, verificando antes acessos feitos através de ponteiros
+     * @param {Object} lvalue - { address, type, origin? }
+     * @returns {*} Valor armazenado
      */
-    evaluateExpression(expression, scope) {
-        // Verifica se é um operador de endereço
-        if (typeof expression === 'string' && expression.startsWith('&')) {
-            return expression;
-        }
-        
-        // Converte para string se não for
-        if (typeof expression !== 'string') {
-            return expression;
+    loadLValue(lvalue) {
+        this.checkPointerAccess(lvalue);
+        return this.memory.load(lvalue.address, lvalue.type);
+    }
+
+    /**
+     * Escreve em um lvalue, verificando antes acessos feitos através de ponteiros
+     * @param {Object} lvalue - { address, type, origin? }
+     * @param {*} value - Valor a ser armazenado
+     */
+    storeLValue(lvalue, value) {
+        this.checkPointerAccess(lvalue, true);
+        this.memory.store(lvalue.address, value, lvalue.type);
+    }
+
+    /**
+     * Interrompe a execução se um acesso através de ponteiro for inválido: memória liberada,
+     * fora dos limites do objeto apontado, variável que já saiu de escopo ou escrita em
+     * um literal de string. Apenas calcular o endereço (&p[n]) não é verificado, só a leitura ou escrita
+     * @param {Object} lvalue - { address, type, origin? }
+     * @param {boolean} write - Se o acesso é uma escrita
+     */
+    checkPointerAccess(lvalue, write = false) {
+        // Variáveis acessadas pelo nome (e arrays, que já verificam o índice) não têm origem
+        if (lvalue.origin === undefined) return;
+        const problem = this.memory.checkAccess(lvalue.address, this.memory.getSizeForType(lvalue.type), lvalue.origin, write);
+        if (problem) {
+            this.runtimeError(`Acesso inválido à memória: ${problem}`, lvalue.address);
         }
-        
-        expression = expression.trim();
-        
-        // Processa expressões com chamada de função recursiva
-        // Exemplo: n * fatorial(n-1) ou n * factorial(n-1)
-        const recursivePattern = /(\w+)\s*\*\s*(\w+)\(([^)]+)\)/;
-        const recursiveMatch = expression.match(recursivePattern);
-        
-        if (recursiveMatch) {
-            const varName = recursiveMatch[1]; // n
-            const funcName = recursiveMatch[2]; // fatorial
-            const argExpr = recursiveMatch[3]; // n-1
-            
-            // Este é um caso especial para expressões recursivas como fatorial
-            // Obtém o valor da variável (n neste caso)
-            const varValue = this.memory.getVariable(varName, scope);
-            
-            // Obtém o valor do último retorno desta função (se disponível)
-            let returnValue = 0;
-            if (funcName in this.memory.lastReturnValues) {
-                returnValue = this.memory.lastReturnValues[funcName];
-                
-                // Retorna o cálculo completo: n * (valor retornado pela chamada recursiva)
-                return varValue * returnValue;
-            }
-            
-            // Se ainda não temos um valor de retorno, um cálculo preciso não é possível
-            // Então apenas avalia um lado da expressão
-            return varValue;
+    }
+
+    /**
+     * Determina o tipo do resultado de uma operação aritmética
+     * @param {string} leftType - Tipo do operando esquerdo
+     * @param {string} rightType - Tipo do operando direito
+     * @returns {string} Tipo do resultado
+     */
+    getArithmeticType(leftType, rightType) {
+        if (leftType.includes('*')) return leftType;
+        if (rightType.includes('*')) return rightType;
+        for (const floating of ['long double', 'double', 'float']) {
+            if (leftType === floating || rightType === floating) return floating;
         }
-        
-        // Chamada de função simples
-        const functionCallMatch = expression.match(/(\w+)\s*\((.*)\)/);
-        if (functionCallMatch) {
-            const functionName = functionCallMatch[1];
-            const argsStr = functionCallMatch[2];
-            
-            // Se já tivermos um valor de retorno para esta função, use-o
-            if (functionName in this.memory.lastReturnValues) {
-                return this.memory.lastReturnValues[functionName];
-            }
-            
-            return 0; // Valor padrão se não conhecemos o resultado
+
+        // Conversões aritméticas usuais entre inteiros (já promovidos)
+        const left = this.promoteInteger(leftType);
+        const right = this.promoteInteger(rightType);
+        if (left === right) return left;
+
+        const leftInfo = this.memory.getIntegerInfo(left);
+        const rightInfo = this.memory.getIntegerInfo(right);
+        if (!leftInfo || !rightInfo) return 'int';
+        if (leftInfo.signed === rightInfo.signed) {
+            return this.getIntegerRank(left) >= this.getIntegerRank(right) ? left : right;
         }
-        
-        // Operações matemáticas básicas
-        const tokens = this.parser.parseExpression(expression); // Now returns a list of tokens/objects
 
-        // This is a placeholder for a more robust expression evaluation (e.g., Shunting-yard)
-        // For now, we'll handle simple cases and array access as a primary value.
-        if (tokens.length === 1) {
-            return this.getExpressionValue(tokens[0], scope);
+        const [unsigned, signed] = leftInfo.signed ? [right, left] : [left, right];
+        if (this.getIntegerRank(unsigned) >= this.getIntegerRank(signed)) return unsigned;
+        // O tipo com sinal fica se comportar todos os valores do unsigned (long com unsigned int)
+        if (this.memory.getIntegerInfo(signed).bits > this.memory.getIntegerInfo(unsigned).bits) return signed;
+        return `unsigned ${signed}`;
+    }
+
+    /**
+     * Ordem dos tipos inteiros nas conversões (rank), sem considerar o sinal
+     */
+    static INTEGER_RANKS = { '_Bool': 0, 'char': 1, 'short': 2, 'int': 3, 'long': 4, 'long long': 5 };
+
+    /**
+     * Posição de um tipo inteiro na ordem das conversões
+     * @param {string} type - Tipo inteiro
+     * @returns {number} Rank
+     */
+    getIntegerRank(type) {
+        return CExecutor.INTEGER_RANKS[type.replace(/^(un)?signed /, '')] ?? CExecutor.INTEGER_RANKS.int;
+    }
+
+    /**
+     * Promoção inteira: tipos menores que int (char, short, _Bool, enums) viram int
+     * @param {string} type - Tipo do operando
+     * @returns {string} Tipo promovido (tipos não inteiros não mudam)
+     */
+    promoteInteger(type) {
+        if (!this.memory.getIntegerInfo(type)) return type;
+        if (this.memory.isEnumType(type) || this.getIntegerRank(type) < CExecutor.INTEGER_RANKS.int) return 'int';
+        return type;
+    }
+
+    /**
+     * Tipo de uma constante numérica: o primeiro tipo da lista do C99 (conforme o sufixo e a base)
+     * que comporta o valor. Constantes decimais sem 'u' nunca são unsigned
+     * @param {Object} expression - Nó 'number'
+     * @returns {string} Tipo da constante
+     */
+    getLiteralType(expression) {
+        const { value, suffix } = expression;
+        if (expression.isFloat) {
+            if (suffix.includes('f')) return 'float';
+            return suffix.includes('l') ? 'long double' : 'double';
         }
 
-        if (tokens.length === 3) {
-            const left = this.getExpressionValue(tokens[0], scope);
-            const operator = tokens[1]; // Should be a string
-            const right = this.getExpressionValue(tokens[2], scope);
-            
-            // Ensure left and right are numbers for arithmetic operations
-            // This is a simplification; type checking should be more robust.
-            const numLeft = Number(left);
-            const numRight = Number(right);
-
-            if (isNaN(numLeft) || isNaN(numRight)) {
-                 // Handle specific non-arithmetic cases like string ops or logical ops if any
-                 if (operator === '&&') return (left && right) ? 1 : 0;
-                 if (operator === '||') return (left || right) ? 1 : 0;
-                 // Potentially handle string concatenation if '+' is overloaded, though C doesn't do that for strings.
-                 // For now, if not arithmetic, and not logical, it's an error or unhandled op
-                 this.output.push(`Erro: Operação '${operator}' com operandos não numéricos: ${left}, ${right}`);
-                 this.isRunning = false;
-                 return undefined;
-            }
+        const unsigned = suffix.includes('u');
+        const longs = suffix.replace(/u/g, '').length;
+        const candidates = ['int', 'long', 'long long']
+            .slice(longs)
+            .flatMap(type => {
+                if (unsigned) return [`unsigned ${type}`];
+                return expression.decimal ? [type] : [type, `unsigned ${type}`];
+            });
+        return candidates.find(type => this.memory.toBigInt(value, type) === BigInt(value)) ?? candidates[candidates.length - 1];
+    }
 
-            switch (operator) {
-                case '+': return numLeft + numRight;
-                case '-': return numLeft - numRight;
-                case '*': return numLeft * numRight;
-                case '/': 
-                    if (numRight === 0) {
-                        this.output.push("Erro: Divisão por zero.");
-                        this.isRunning = false;
-                        return undefined;
-                    }
-                    return Math.floor(numLeft / numRight); // Divisão inteira em C
-                case '%': 
-                    if (numRight === 0) {
-                        this.output.push("Erro: Modulo por zero.");
-                        this.isRunning = false;
-                        return undefined;
-                    }
-                    return numLeft % numRight;
-                case '<': return numLeft < numRight ? 1 : 0;
-                case '>': return numLeft > numRight ? 1 : 0;
-                case '<=': return numLeft <= numRight ? 1 : 0;
-                case '>=': return numLeft >= numRight ? 1 : 0;
-                case '==': return left === right ? 1 : 0; // Use original left/right for potential type diffs if not strictly numbers
-                case '!=': return left !== right ? 1 : 0;
-                case '&&': return (numLeft && numRight) ? 1 : 0; // Logical ops on numbers (0 is false, non-0 is true)
-                case '||': return (numLeft || numRight) ? 1 : 0;
-                default:
-                     this.output.push(`Erro: Operador desconhecido '${operator}'`);
-                     this.isRunning = false;
-                     return undefined;
-            }
+    /**
+     * Converte um valor para outro tipo (cast explícito). (void) descarta o valor;
+     * os demais casts exigem um operando escalar
+     * @param {Object} operand - Valor { value, type }
+     * @param {string} targetType - Tipo de destino
+     * @returns {Object} { value, type }
+     */
+    convertValue(operand, targetType) {
+        if (targetType === 'void') {
+            return { value: undefined, type: 'void' };
         }
-        
-        // Fallback for single token or more complex expressions not handled by 3-part logic
-        if (tokens.length > 0) {
-             return this.getExpressionValue(tokens[0], scope); // Simplistic: evaluate first token only
+        if (this.memory.isStructType(operand.type)) {
+            this.runtimeError(`Cast inválido: um valor do tipo '${operand.type}' não pode ser convertido para '${targetType}'.`);
         }
-        this.output.push(`Erro: Expressão inválida ou muito complexa para avaliação simplificada: ${expression}`);
-        this.isRunning = false;
-        return undefined; // Should ideally throw or handle error
+        return { value: this.convertForAssignment(operand, targetType), type: targetType };
     }
 
     /**
-     * Obtém o valor de uma parte da expressão (token individual)
-     * @param {string | number | object} token - Parte da expressão (pode ser string, número ou objeto array_access)
-     * @param {string} scope - Escopo atual
-     * @returns {*} Valor da expressão
+     * Converte um valor para o tipo do objeto que o recebe (atribuição, inicialização,
+     * argumento, retorno ou cast). De ponto flutuante para inteiro a parte fracionária é
+     * descartada; se o que sobra não cabe no tipo inteiro, o comportamento é indefinido
+     * @param {Object} operand - Valor { value, type }
+     * @param {string} targetType - Tipo de destino
+     * @returns {*} Valor convertido
      */
-    getExpressionValue(token, scope) {
-        if (typeof token === 'number') {
-            return token; // Already a literal number
-        }
-        if (typeof token === 'string') {
-            token = token.trim();
-            // Constantes numéricas (string form)
-            if (!isNaN(token)) {
-                return parseFloat(token);
+    convertForAssignment(operand, targetType) {
+        const integer = this.memory.getIntegerInfo(targetType);
+        if (integer && targetType !== '_Bool' && CExecutor.FLOATING_TYPES.has(operand.type)) {
+            const truncated = Math.trunc(operand.value);
+            if (!(truncated >= integer.min && truncated <= integer.max)) {
+                this.runtimeError(`Comportamento indefinido: o valor ${operand.value} não pode ser representado em '${targetType}' (conversão de ponto flutuante para inteiro).`);
             }
-            // String literals (e.g. "text", though C strings are char arrays)
-            if ((token.startsWith('"') && token.endsWith('"')) || (token.startsWith("'") && token.endsWith("'"))) {
-                // For now, returning string literals as is. Printf handles them.
-                // In expressions, they'd typically be addresses of char arrays.
-                return token;
-            }
-            // Simple variable name
-            return this.memory.getVariable(token, scope) ?? 0; // Default to 0 if undefined
         }
-        if (typeof token === 'object' && token.type === 'array_access') {
-            const arrayName = token.name;
-            const indexExpression = token.indexExpression; // This is a string
+        return this.memory.convertScalar(operand.value, targetType);
+    }
 
-            const arrayInfo = this.memory.getVariableInfo(arrayName, scope);
-            if (!arrayInfo || arrayInfo.type !== 'array') {
-                this.output.push(`Erro: '${arrayName}' não é um array ou não foi declarado no escopo '${scope}'.`);
-                console.error(`Erro: '${arrayName}' não é um array ou não foi declarado. arrayInfo:`, arrayInfo);
-                this.isRunning = false;
-                return undefined; // Halt
+    /**
+     * Resolve uma expressão que designa uma posição de memória (lvalue)
+     * @param {Object} expression - Identificador, acesso a array ou desreferência
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} { address, type } da posição designada
+     */
+    *resolveLValue(expression, scope) {
+        switch (expression.type) {
+            case 'identifier': {
+                const info = this.lookupVariable(expression.name, scope);
+                if (info.type === 'array') {
+                    const dimensions = info.dimensions || [info.arraySize];
+                    return this.arrayLValue(info.address, info.elementType, dimensions, expression.name);
+                }
+                return { address: info.address, type: info.type };
             }
 
-            const indexValue = this.evaluateExpression(indexExpression, scope); // Recursive call for index
-            if (typeof indexValue !== 'number' || indexValue < 0 || indexValue >= arrayInfo.arraySize) {
-                this.output.push(`Erro: Índice do array [${indexValue}] fora dos limites para '${arrayName}'. Tamanho: ${arrayInfo.arraySize}.`);
-                console.error(`Erro: Índice do array [${indexValue}] fora dos limites para '${arrayName}'. Tamanho: ${arrayInfo.arraySize}.`);
-                this.isRunning = false; // Halt on out-of-bounds
-                return undefined;
+            case 'array_access':
+                return yield* this.getArrayElement(expression, scope);
+
+            case 'member_access': {
+                let object;
+                if (expression.arrow) {
+                    const pointer = yield* this.evaluate(expression.object, scope);
+                    if (this.isPointerType(pointer.type) && !this.memory.isStructType(pointer.type.slice(0, -1))) {
+                        this.runtimeError(`O operando de '->' deve ser ponteiro para struct ou union (tipo ${pointer.type}).`);
+                    }
+                    object = this.dereference(pointer);
+                } else {
+                    object = yield* this.resolveLValue(expression.object, scope);
+                }
+                const member = this.getMember(object.type, expression.member);
+                const address = object.address + member.offset;
+                if (member.arraySize !== undefined) {
+                    return this.arrayLValue(address, member.elementType, member.dimensions, member.name, object.origin);
+                }
+                return { address, type: member.type, origin: object.origin };
             }
-            const elementAddress = arrayInfo.address + (indexValue * arrayInfo.elementSize);
-            return this.memory.memory.get(elementAddress);
+
+            case 'unary':
+                if (expression.operator === '*') {
+                    return this.dereference(yield* this.evaluate(expression.operand, scope));
+                }
+                break;
         }
-        
-        this.output.push(`Erro: Token de expressão desconhecido: ${JSON.stringify(token)}`);
-        this.isRunning = false;
-        return undefined; // Should throw or handle error
+
+        this.runtimeError('A expressão não designa uma posição de memória (lvalue).');
     }
 
     /**
-     * Verifica se um valor é um literal (número, string, etc)
-     * @param {string} value - Valor a verificar
-     * @returns {boolean} Se é um literal
+     * Calcula o endereço de um elemento de array, verificando os limites
+     * Para ponteiros (e outras expressões), p[i] equivale a *(p + i)
+     * @param {Object} expression - Nó 'array_access'
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} { address, type } do elemento
      */
-    isLiteral(value) {
-        if (typeof value !== 'string') {
-            return true;
+    *getArrayElement(expression, scope) {
+        const array = this.isLValueExpression(expression.array) ? yield* this.resolveLValue(expression.array, scope) : null;
+        if (!array || array.type !== 'array') {
+            const base = array ? { value: this.loadLValue(array), type: array.type } : yield* this.evaluate(expression.array, scope);
+            const index = yield* this.evaluate(expression.index, scope);
+            return this.dereference(this.applyBinaryOperator('+', base, index));
         }
-        
-        // Número
-        if (!isNaN(value)) {
-            return true;
+
+        const indexValue = yield* this.evaluateExpression(expression.index, scope); // Recursive call for index
+        if (typeof indexValue !== 'number' || indexValue < 0 || indexValue >= array.arraySize) {
+            this.runtimeError(`Índice do array [${indexValue}] fora dos limites para '${array.name}'. Tamanho: ${array.arraySize}.`, array.address);
         }
-        
-        // String entre aspas
-        if ((value.startsWith('"') && value.endsWith('"')) || 
-            (value.startsWith("'") && value.endsWith("'"))) {
-            return true;
+
+        // Em ordem de linha, cada índice avança o tamanho de tudo o que vem depois dele
+        const inner = array.dimensions.slice(1);
+        const stride = inner.reduce((total, dimension) => total * dimension, 1) * array.elementSize;
+        const address = array.address + indexValue * stride;
+        if (inner.length > 0) {
+            return this.arrayLValue(address, array.elementType, inner, `${array.name}[${indexValue}]`, array.origin);
         }
-        
-        return false;
+        return { address, type: array.elementType, origin: array.origin };
+    }
+
+    /**
+     * Procura uma variável visível no escopo atual (blocos do frame e globais)
+     * @param {string} name - Nome da variável
+     * @param {number} scope - Id do frame atual
+     * @returns {Object} Metadados da variável
+     */
+    lookupVariable(name, scope) {
+        const info = this.memory.getVariableInfo(name, scope);
+        if (!info) {
+            this.runtimeError(`Identificador não declarado: '${name}' não existe neste escopo.`);
+        }
+        return info;
+    }
+
+    /**
+     * Fluxo padrão (stdin, stdout, stderr) referido por um identificador que não é uma variável do programa
+     * @param {string} name - Nome do identificador
+     * @param {number} scope - Id do frame atual
+     * @returns {Object | null} Ponteiro para o objeto FILE { value, type }
+     */
+    getStandardStream(name, scope) {
+        const address = this.memory.streamAddresses.get(name);
+        if (address === undefined || this.memory.getVariableInfo(name, scope)) return null;
+        return { value: address, type: 'struct _IO_FILE*' };
+    }
+
+    /**
+     * Nome de uma função do programa usado como valor (como a comparação passada ao qsort):
+     * ele se converte em um ponteiro para a função, o seu endereço no segmento de código
+     * @param {string} name - Nome do identificador
+     * @param {number} scope - Id do frame atual
+     * @returns {Object | null} Ponteiro para a função { value, type }
+     */
+    getFunctionDesignator(name, scope) {
+        const address = this.memory.functionAddresses.get(name);
+        if (address === undefined || this.memory.getVariableInfo(name, scope)) return null;
+        const functionDef = this.ast.functions.find(f => f.name === name);
+        return { value: address, type: `${functionDef.returnType} (*)(${functionDef.parameters.map(p => p.type).join(', ')})` };
+    }
+
+    /**
+     * Interrompe a execução com um erro de tempo de execução
+     * @param {string} message - Mensagem de erro
+     * @throws {CRuntimeError}
+     */
+    runtimeError(message, address = null) {
+        throw new CRuntimeError(message, address);
     }
 
     /**
      * Obtém o estado atual da execução
+     * @param {Object} options - { hexDump }: se os bytes crus devem ser incluídos (percorrer a
+     * memória byte a byte é caro, então só quando o hex dump estiver visível)
      * @returns {Object} Estado atual
      */
-    getExecutionState() {
+    getExecutionState({ hexDump = false } = {}) {
         return {
             isRunning: this.isRunning,
             isPaused: this.isPaused,
             currentFunction: this.currentFunction,
             currentStatement: this.currentStatement,
+            function: this.currentFunction,
+            statement: this.currentStatement,
+            lastReturn: this.lastReturn,
             memory: this.memory.getMemorySnapshot(),
             stack: this.memory.getStackSnapshot(),
-            output: [...this.output],
+            heap: this.memory.getHeapSnapshot(),
+            hexDump: hexDump ? this.memory.getHexDump() : null,
+            segments: this.memory.getSegments(),
+            output: this.getOutput(),
+            input: this.getInputState(),
+            errorAddress: this.errorAddress,
             completedFrames: [...this.completedFrames] // Inclui os frames finalizados
         };
     }
 }
 
+// Funções da biblioteca padrão, definidas com protótipos como as nativas registradas pelos plugins
+CExecutor.defineLibrary('stdio.h', {
+    'int printf(const char *format, ...)': ([format, ...values], { executor }) => {
+        const text = executor.formatOutput('printf', format, values);
+        executor.writeOutput(text);
+        return text.length;
+    },
+    'int puts(const char *s)': ([s], { executor }) => {
+        const text = `${executor.readString('puts', s)}\n`;
+        executor.writeOutput(text);
+        return text.length;
+    },
+    // Escreve o argumento convertido para unsigned char e o retorna
+    'int putchar(int c)': ([c], { executor }) => {
+        const byte = c & 0xFF;
+        executor.writeOutput(String.fromCharCode(byte));
+        return byte;
+    },
+    // Devolve o próximo byte como unsigned char, ou EOF (-1) no fim da entrada
+    'int getchar(void)': (args, { executor }) => {
+        const byte = executor.peekInput(0);
+        if (byte === null) return -1;
+        executor.consumeInput(1);
+        return byte;
+    },
+    // Lê no máximo size - 1 bytes, parando depois do '\n' (que fica na string), e termina com '\0'
+    'char *fgets(char *s, int size, FILE *stream)': ([s, size, stream], { executor }) => {
+        executor.expectInputStream('fgets', stream);
+        const limit = size - 1;
+        let line = '';
+        while (line.length < limit) {
+            const byte = executor.peekInput(line.length);
+            if (byte === null) break;
+            line += String.fromCharCode(byte);
+            if (byte === 10) break;
+        }
+        // No fim da entrada, sem ler nenhum byte, devolve NULL e não altera o destino
+        if (limit < 0 || (line.length === 0 && limit > 0)) return 0;
+        executor.writeString('fgets', s, 0, `${line}\0`);
+        executor.consumeInput(line.length);
+        return s;
+    },
+    'int scanf(const char *format, ...)': (args, { executor }) => executor.executeScanf('scanf', args, 0),
+    'int fscanf(FILE *stream, const char *format, ...)': (args, { executor }) => {
+        executor.expectInputStream('fscanf', args[0]);
+        return executor.executeScanf('fscanf', args, 1);
+    },
+    // Lê de uma string da memória, cujo fim funciona como o fim da entrada
+    'int sscanf(const char *str, const char *format, ...)': ([str, format, ...pointers], { executor }) => {
+        const source = executor.readString('sscanf', str);
+        const peek = position => position < source.length ? source.charCodeAt(position) : null;
+        const { count, assignments } = executor.scanFormat('sscanf', format, pointers, peek, 3);
+        executor.storeScanned('sscanf', assignments);
+        return count;
+    }
+});
+
+CExecutor.defineLibrary('stdlib.h', {
+    'void *malloc(size_t size)': ([size], { executor, line }) => executor.memory.heapAllocate(size, line),
+    'void *calloc(size_t nmemb, size_t size)': ([count, size], { memory, line }) => {
+        const address = memory.heapAllocate(count * size, line);
+        if (address !== 0) {
+            // calloc zera o bloco; elementos com o tamanho de um inteiro aparecem como células zeradas
+            memory.fillBytes(address, count * size, 0);
+            const cellType = { 1: 'char', 2: 'short', 4: 'int', 8: 'long long' }[size];
+            for (let i = 0; cellType && i < count; i++) {
+                memory.store(address + i * size, 0, cellType);
+            }
+        }
+        return address;
+    },
+    'void *realloc(void *ptr, size_t size)': ([ptr, size], { executor, memory, line }) => {
+        const address = memory.heapReallocate(ptr.value, size, line);
+        if (address === null) {
+            executor.runtimeError(`realloc: o endereço ${executor.formatAddress(ptr.value)} não é um bloco alocado no heap (é ${memory.describeAddress(ptr.value)}).`, ptr.value);
+        }
+        return address;
+    },
+    'void free(void *ptr)': ([ptr], { executor, memory }) => {
+        const status = memory.heapFree(ptr.value);
+        if (status === 'double') {
+            executor.runtimeError(`free: o bloco em ${executor.formatAddress(ptr.value)} já foi liberado (double free).`, ptr.value);
+        }
+        if (status === 'invalid') {
+            executor.runtimeError(`free: o endereço ${executor.formatAddress(ptr.value)} não é o início de um bloco alocado no heap (é ${memory.describeAddress(ptr.value)}).`, ptr.value);
+        }
+    },
+    'int abs(int j)': ([j], { executor }) => executor.absoluteValue('abs', j, 'int'),
+    'long labs(long j)': ([j], { executor }) => executor.absoluteValue('labs', j, 'long'),
+    'long long llabs(long long j)': ([j], { executor }) => executor.absoluteValue('llabs', j, 'long long'),
+    'int atoi(const char *nptr)': ([nptr], { executor }) => executor.parseInteger('atoi', nptr),
+    'long atol(const char *nptr)': ([nptr], { executor }) => executor.parseInteger('atol', nptr),
+    'long long atoll(const char *nptr)': ([nptr], { executor }) => executor.parseInteger('atoll', nptr),
+    'double atof(const char *nptr)': ([nptr], { executor }) => {
+        const text = executor.readString('atof', nptr);
+        const [, number = ''] = /^[ \t\n\v\f\r]*([+-]?(?:inf(?:inity)?|nan|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?))/i.exec(text) ?? [];
+        return /inf/i.test(number) ? (number.startsWith('-') ? -Infinity : Infinity)
+            : /nan/i.test(number) ? NaN
+            : parseFloat(number) || 0;
+    },
+    // Mesma sequência da glibc: sem srand, a semente é 1, e cada execução repete os valores
+    'int rand(void)': (args, { executor }) => {
+        if (!executor.randomState) executor.seedRandom(1);
+        return executor.nextRandom();
+    },
+    'void srand(unsigned int seed)': ([seed], { executor }) => executor.seedRandom(seed),
+    'void exit(int status)': function* ([status]) {
+        yield { type: 'exit', status };
+    },
+    // O simulador não tem parâmetros ponteiro para função: a comparação chega como void*
+    'void qsort(void *base, size_t nmemb, size_t size, void *compar)': (args, { executor, expression }) =>
+        executor.executeQsort(args, expression),
+    'void *bsearch(const void *key, const void *base, size_t nmemb, size_t size, void *compar)': (args, { executor, expression }) =>
+        executor.executeBsearch(args, expression)
+});
+
+CExecutor.defineLibrary('string.h', {
+    'size_t strlen(const char *s)': ([s], { executor }) => executor.readString('strlen', s).length,
+    'char *strcpy(char *dest, const char *src)': ([dest, src], { executor }) => {
+        executor.writeString('strcpy', dest, 0, `${executor.readString('strcpy', src)}\0`);
+        return dest;
+    },
+    // Copia no máximo n bytes e completa com zeros; se a origem não couber, o destino fica sem terminador
+    'char *strncpy(char *dest, const char *src, size_t n)': ([dest, src, n], { executor }) => {
+        const text = executor.readString('strncpy', src, n);
+        executor.writeString('strncpy', dest, 0, text);
+        for (let i = text.length; i < n; i++) {
+            executor.writeString('strncpy', dest, i, '\0');
+        }
+        return dest;
+    },
+    'char *strcat(char *dest, const char *src)': ([dest, src], { executor }) => {
+        const length = executor.readString('strcat', dest).length;
+        executor.writeString('strcat', dest, length, `${executor.readString('strcat', src)}\0`);
+        return dest;
+    },
+    'int strcmp(const char *s1, const char *s2)': ([s1, s2], { executor }) =>
+        executor.compareBytes(`${executor.readString('strcmp', s1)}\0`, `${executor.readString('strcmp', s2)}\0`),
+    // O terminador também pode ser procurado: strchr(s, '\0') aponta para o fim da string
+    'char *strchr(const char *s, int c)': ([s, c], { executor }) => {
+        const index = `${executor.readString('strchr', s)}\0`.indexOf(String.fromCharCode(c & 0xFF));
+        return index === -1 ? 0 : { ...s, value: s.value + index };
+    },
+    'void *memcpy(void *dest, const void *src, size_t n)': ([dest, src, n], { executor }) => {
+        if (dest.value < src.value + n && src.value < dest.value + n) {
+            executor.runtimeError('memcpy: as regiões de origem e destino se sobrepõem, o que é comportamento indefinido (use memmove).', dest.value);
+        }
+        executor.writeBytes('memcpy', dest, 0, executor.readBytes('memcpy', src, n));
+        executor.memory.copyStoredTypes(dest.value, src.value, n);
+        return dest;
+    },
+    'void *memset(void *s, int c, size_t n)': ([s, c, n], { executor }) => {
+        // Byte a byte: um tamanho negativo vira um size_t enorme, e o estouro é acusado no primeiro byte fora do objeto
+        for (let i = 0; i < n; i++) {
+            executor.writeBytes('memset', s, i, [c & 0xFF]);
+        }
+        return s;
+    },
+    'int memcmp(const void *s1, const void *s2, size_t n)': ([s1, s2, n], { executor }) =>
+        executor.compareBytes(String.fromCharCode(...executor.readBytes('memcmp', s1, n)),
+            String.fromCharCode(...executor.readBytes('memcmp', s2, n)))
+});
+
+CExecutor.defineLibrary('math.h', Object.fromEntries(Object.entries(CExecutor.MATH_FUNCTIONS).map(([name, math]) => [
+    `double ${name}(${math.length === 2 ? 'double x, double y' : 'double x'})`,
+    args => math(...args)
+])));
+
+CExecutor.defineLibrary('ctype.h', {
+    ...Object.fromEntries(Object.entries(CExecutor.CTYPE_CLASSES).map(([name, characterClass]) => [
+        `int ${name}(int c)`,
+        ([c], { executor }) => c !== -1 && characterClass.test(executor.characterArgument(name, c)) ? 1 : 0
+    ])),
+    'int toupper(int c)': ([c], { executor }) => /[a-z]/.test(executor.characterArgument('toupper', c)) ? c - 32 : c,
+    'int tolower(int c)': ([c], { executor }) => /[A-Z]/.test(executor.characterArgument('tolower', c)) ? c + 32 : c
+});
+
 // Exporta a classe
-window.CExecutor = CExecutor;
\ No newline at end of file
+window.CExecutor = CExecutor;
+window.CRuntimeError = CRuntimeError;
\ No newline at end of file
@@ -0,0 +1,309 @@
+/**
+ * Analisador léxico para código C99
+ * Este arquivo converte o código-fonte em uma lista de tokens com linha e coluna
+ */
+
+/**
+ * Erro de sintaxe com a posição do código em que ocorreu
+ */
+class CSyntaxError extends Error {
+    /**
+     * @param {string} message - Descrição do erro
+     * @param {number} line - Linha (base 1) onde o erro ocorreu
+     * @param {number} column - Coluna (base 1) onde o erro ocorreu
+     */
+    constructor(message, line, column) {
+        super(`Linha ${line}, coluna ${column}: ${message}`);
+        this.name = 'CSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class CLexer {
+    constructor() {
+        this.source = '';
+        this.position = 0;
+        this.line = 1;
+        this.column = 1;
+        this.tokens = [];
+    }
+
+    /**
+     * Palavras reservadas do C99
+     */
+    static KEYWORDS = new Set([
+        'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do',
+        'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if',
+        'inline', 'int', 'long', 'register', 'restrict', 'return', 'short',
+        'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef', 'union',
+        'unsigned', 'void', 'volatile', 'while', '_Bool', '_Complex', '_Imaginary'
+    ]);
+
+    /**
+     * Pontuadores ordenados do mais longo para o mais curto (casamento guloso)
+     */
+    static PUNCTUATORS = [
+        '...', '<<=', '>>=',
+        '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+        '*=', '/=', '%=', '+=', '-=', '&=', '^=', '|=', '##',
+        '[', ']', '(', ')', '{', '}', '.', '&', '*', '+', '-', '~', '!',
+        '/', '%', '<', '>', '^', '|', '?', ':', ';', '=', ',', '#'
+    ];
+
+    /**
+     * Converte o código-fonte em tokens
+     * @param {string} source - Código C99
+     * @returns {Array} Tokens no formato { type, value, line, column, endLine, endColumn }
+     */
+    tokenize(source) {
+        this.source = source;
+        this.position = 0;
+        this.line = 1;
+        this.column = 1;
+        this.tokens = [];
+
+        let atLineStart = true;
+
+        while (this.position < this.source.length) {
+            const char = this.peek();
+
+            // Quebras de linha e espaços em branco
+            if (char === '\n') {
+                this.advance();
+                atLineStart = true;
+                continue;
+            }
+            if (/\s/.test(char)) {
+                this.advance();
+                continue;
+            }
+
+            // Comentários
+            if (char === '/' && this.peek(1) === '/') {
+                while (this.position < this.source.length && this.peek() !== '\n') {
+                    this.advance();
+                }
+                continue;
+            }
+            if (char === '/' && this.peek(1) === '*') {
+                const line = this.line;
+                const column = this.column;
+                this.advance(2);
+                while (this.position < this.source.length && !(this.peek() === '*' && this.peek(1) === '/')) {
+                    this.advance();
+                }
+                if (this.position >= this.source.length) {
+                    throw new CSyntaxError('Comentário não terminado', line, column);
+                }
+                this.advance(2);
+                continue;
+            }
+
+            // Diretivas de pré-processador ocupam a linha inteira
+            if (char === '#' && atLineStart) {
+                this.readDirective();
+                continue;
+            }
+
+            atLineStart = false;
+
+            if (/[A-Za-z_]/.test(char)) {
+                this.readIdentifier();
+            } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(this.peek(1)))) {
+                this.readNumber();
+            } else if (char === '"') {
+                this.readQuoted('"', 'string');
+            } else if (char === "'") {
+                this.readQuoted("'", 'char');
+            } else {
+                this.readPunctuator();
+            }
+        }
+
+        this.tokens.push({
+            type: 'eof',
+            value: '',
+            line: this.line,
+            column: this.column,
+            endLine: this.line,
+            endColumn: this.column
+        });
+
+        return this.tokens;
+    }
+
+    // Métodos auxiliares
+
+    /**
+     * Retorna o caractere na posição atual somada ao deslocamento
+     * @param {number} offset - Deslocamento a partir da posição atual
+     * @returns {string} Caractere ou string vazia no fim do código
+     */
+    peek(offset = 0) {
+        return this.source[this.position + offset] || '';
+    }
+
+    /**
+     * Avança a posição atual atualizando linha e coluna
+     * @param {number} count - Quantidade de caracteres a consumir
+     */
+    advance(count = 1) {
+        for (let i = 0; i < count && this.position < this.source.length; i++) {
+            if (this.source[this.position] === '\n') {
+                this.line++;
+                this.column = 1;
+            } else {
+                this.column++;
+            }
+            this.position++;
+        }
+    }
+
+    /**
+     * Adiciona um token que começa na posição informada e termina na posição atual
+     * @param {string} type - Tipo do token
+     * @param {string} value - Texto do token
+     * @param {number} line - Linha inicial
+     * @param {number} column - Coluna inicial
+     */
+    pushToken(type, value, line, column) {
+        this.tokens.push({
+            type,
+            value,
+            line,
+            column,
+            endLine: this.line,
+            endColumn: this.column
+        });
+    }
+
+    /**
+     * Lê uma diretiva de pré-processador (#include, #define...) até o fim da linha
+     */
+    readDirective() {
+        const line = this.line;
+        const column = this.column;
+        let text = '';
+
+        while (this.position < this.source.length && this.peek() !== '\n') {
+            // Barra invertida no fim da linha continua a diretiva na próxima
+            if (this.peek() === '\\' && this.peek(1) === '\n') {
+                this.advance(2);
+                text += ' ';
+                continue;
+            }
+            // Comentários dentro da diretiva são descartados
+            if (this.peek() === '/' && this.peek(1) === '/') {
+                while (this.position < this.source.length && this.peek() !== '\n') {
+                    this.advance();
+                }
+                break;
+            }
+            if (this.peek() === '/' && this.peek(1) === '*') {
+                this.advance(2);
+                while (this.position < this.source.length && !(this.peek() === '*' && this.peek(1) === '/')) {
+                    this.advance();
+                }
+                this.advance(2);
+                text += ' ';
+                continue;
+            }
+            text += this.peek();
+            this.advance();
+        }
+
+        this.pushToken('directive', text.trim(), line, column);
+    }
+
+    /**
+     * Lê um identificador ou palavra reservada
+     */
+    readIdentifier() {
+        const line = this.line;
+        const column = this.column;
+        let text = '';
+
+        while (/[A-Za-z0-9_]/.test(this.peek())) {
+            text += this.peek();
+            this.advance();
+        }
+
+        this.pushToken(CLexer.KEYWORDS.has(text) ? 'keyword' : 'identifier', text, line, column);
+    }
+
+    /**
+     * Lê uma constante numérica (decimal, octal, hexadecimal ou de ponto flutuante)
+     */
+    readNumber() {
+        const line = this.line;
+        const column = this.column;
+        const rest = this.source.substring(this.position);
+
+        const match = /^0[xX][0-9a-fA-F]+[uUlL]*/.exec(rest)
+            || /^(?:\d+\.\d*|\.\d+|\d+)(?:[eE][+-]?\d+)?[fFlLuU]*/.exec(rest);
+
+        const text = match[0];
+        if (/[A-Za-z0-9_]/.test(rest[text.length] || '')) {
+            throw new CSyntaxError(`Constante numérica inválida: ${text}${rest[text.length]}`, line, column);
+        }
+
+        this.advance(text.length);
+        this.pushToken('number', text, line, column);
+    }
+
+    /**
+     * Lê um literal de string ou de caractere, mantendo as aspas e os escapes
+     * @param {string} quote - Caractere delimitador (" ou ')
+     * @param {string} type - Tipo do token ('string' ou 'char')
+     */
+    readQuoted(quote, type) {
+        const line = this.line;
+        const column = this.column;
+        let text = quote;
+        this.advance();
+
+        while (this.peek() !== quote) {
+            if (this.position >= this.source.length || this.peek() === '\n') {
+                throw new CSyntaxError(type === 'string' ? 'String não terminada' : 'Caractere não terminado', line, column);
+            }
+            if (this.peek() === '\\') {
+                text += this.peek();
+                this.advance();
+            }
+            text += this.peek();
+            this.advance();
+        }
+
+        text += quote;
+        this.advance();
+
+        if (type === 'char' && text.length === 2) {
+            throw new CSyntaxError('Constante de caractere vazia', line, column);
+        }
+
+        this.pushToken(type, text, line, column);
+    }
+
+    /**
+     * Lê um operador ou pontuador
+     */
+    readPunctuator() {
+        const line = this.line;
+        const column = this.column;
+
+        for (const punctuator of CLexer.PUNCTUATORS) {
+            if (this.source.startsWith(punctuator, this.position)) {
+                this.advance(punctuator.length);
+                this.pushToken('punctuator', punctuator, line, column);
+                return;
+            }
+        }
+
+        throw new CSyntaxError(`Caractere inesperado '${this.peek()}'`, line, column);
+    }
+}
+
+// Exporta o lexer
+window.CLexer = CLexer;
+window.CSyntaxError = CSyntaxError;
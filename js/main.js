@@ -13,6 +13,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const runButton = document.getElementById('run-button');
     const stepButton = document.getElementById('step-button');
     const resetButton = document.getElementById('reset-button');
+    const hexDumpButton = document.getElementById('hexdump-button');
+    const alignmentSelect = document.getElementById('alignment-select');
+    const aslrCheckbox = document.getElementById('aslr-checkbox');
+    const stdinTextArea = document.getElementById('stdin-input');
+    const interactiveCheckbox = document.getElementById('interactive-checkbox');
+    const stdinLineInput = document.getElementById('stdin-line-input');
+    const stdinSendButton = document.getElementById('stdin-send-button');
+    const stdinEofButton = document.getElementById('stdin-eof-button');
     
     // Estado da execução
     let isRunning = false;
@@ -22,9 +30,8 @@ document.addEventListener('DOMContentLoaded', () => {
     function initializeSimulator() {
         const code = codeTextArea.value;
         executor.initialize(code);
-        
-        // Inicializa o mapeamento de linhas para o código atual
-        visualizer.initializeLineMapping(executor.ast, code);
+        // A entrada é definida depois de initialize, que recomeça o executor
+        executor.setInput(stdinTextArea.value, interactiveCheckbox.checked);
         
         visualizer.clearAll();
         updateUIState();
@@ -32,7 +39,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Atualiza o estado da interface com base no estado da execução
     function updateUIState() {
-        const state = executor.getExecutionState();
+        const state = executor.getExecutionState({ hexDump: visualizer.isHexDumpVisible() });
         
         // Atualiza visualizações, agora passando os frames completados
         visualizer.updateVisualizations(state, state.completedFrames);
@@ -42,9 +49,18 @@ document.addEventListener('DOMContentLoaded', () => {
         runButton.disabled = !state.isRunning && state.done;
         stepButton.disabled = !state.isRunning || state.done;
         
+        // Linhas só podem ser enviadas enquanto a entrada interativa está aberta
+        const acceptsInput = state.isRunning && !state.input.closed;
+        stdinLineInput.disabled = !acceptsInput;
+        stdinSendButton.disabled = !acceptsInput;
+        stdinEofButton.disabled = !acceptsInput;
+        if (state.input.waiting && document.activeElement !== stdinLineInput) {
+            stdinLineInput.focus();
+        }
+        
         // Atualiza indicador de linha atual
         if (state.statement) {
-            visualizer.highlightCodeLine(state.statement, state.function);
+            visualizer.highlightCodeLine(state.statement, state.function, state.lastReturn);
         }
     }
     
@@ -107,6 +123,60 @@ document.addEventListener('DOMContentLoaded', () => {
     runButton.addEventListener('click', runCode);
     stepButton.addEventListener('click', stepCode);
     resetButton.addEventListener('click', resetSimulator);
+    hexDumpButton.addEventListener('click', () => {
+        // Mostra ou esconde os bytes crus ao lado da visualização por tipos
+        hexDumpButton.textContent = visualizer.toggleHexDump() ? 'Esconder bytes' : 'Mostrar bytes';
+        updateUIState();
+    });
+    
+    
+    // Opções do layout da memória: valem a partir da próxima execução, então o simulador recomeça
+    function updateMemoryOptions() {
+        if (executionInterval) {
+            clearInterval(executionInterval);
+        }
+        
+        executor.memory.configure({
+            maxAlignment: Number(alignmentSelect.value),
+            aslr: aslrCheckbox.checked
+        });
+        initializeSimulator();
+    }
+    
+    alignmentSelect.addEventListener('change', updateMemoryOptions);
+    aslrCheckbox.addEventListener('change', updateMemoryOptions);
+    
+    // Entrada interativa: cada linha enviada entra na entrada com o '\n', como no terminal.
+    // Se a execução esperava uma leitura, ela continua no próximo passo
+    function sendInputLine() {
+        executor.provideInput(`${stdinLineInput.value}\n`);
+        stdinLineInput.value = '';
+        updateUIState();
+    }
+    
+    stdinSendButton.addEventListener('click', sendInputLine);
+    stdinLineInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            sendInputLine();
+        }
+    });
+    stdinEofButton.addEventListener('click', () => {
+        executor.closeInput();
+        updateUIState();
+    });
+    
+    // A entrada digitada antes e o modo valem a partir da próxima execução
+    stdinTextArea.addEventListener('blur', () => {
+        if (!executor.isRunning) {
+            initializeSimulator();
+        }
+    });
+    interactiveCheckbox.addEventListener('change', () => {
+        if (!executor.isRunning) {
+            initializeSimulator();
+        }
+    });
     
     // Impede a perda de foco quando clica em execute e step
     runButton.addEventListener('mousedown', (e) => e.preventDefault());
@@ -120,7 +190,7 @@ document.addEventListener('DOMContentLoaded', () => {
         visualizer.drawPointerConnections();
     });
     
-    // Atualiza o mapeamento de linhas quando o código é alterado
+    // Reinicializa o simulador quando o código é alterado
     codeTextArea.addEventListener('blur', () => {
         // Somente atualiza se o simulador não estiver em execução
         if (!executor.isRunning) {
@@ -5,32 +5,283 @@
 
 class Memory {
     constructor() {
-        this.memory = new Map(); // Memória principal (endereço -> valor)
-        this.pointers = new Map(); // Mapeia ponteiros para seus endereços referenciados
+        this.pages = new Map(); // Memória principal: páginas de bytes, criadas na primeira escrita
+        this.scratch = new DataView(new ArrayBuffer(8)); // Codifica e decodifica os tipos em little-endian
+        this.options = { ...Memory.DEFAULT_OPTIONS }; // Opções do layout (alinhamento máximo e ASLR)
+        this.storedTypes = new Map(); // Tipo do último valor escalar escrito em cada endereço (células do heap)
         this.variableAddresses = new Map(); // Mapeia nomes de variáveis para seus endereços
         this.variableMetadata = new Map(); // Stores detailed info about variables, including arrays
-        this.nextAddress = 0x1000; // Endereço inicial (arbitrário)
         this.stackFrames = []; // Pilha de chamadas de funções
-        this.lastReturnValues = {}; // Armazena o último valor de retorno para cada função
+        this.nextFrameId = 0; // Cada ativação de função recebe um id único
+        this.nextScopeId = 0; // Cada bloco ({}, for, if/else...) em execução recebe um id único
+        this.heapBlocks = []; // Blocos do heap ordenados por endereço (alocados e livres)
+        this.releasedRegions = []; // Variáveis cujo tempo de vida terminou (blocos fechados, frames desempilhados)
+        this.structDefinitions = new Map(); // Definições de struct/union vindas do parser
+        this.structLayouts = new Map(); // Layout calculado de cada struct/union (offsets, tamanho, alinhamento)
+        this.enumDefinitions = new Map(); // Definições de enum vindas do parser ('enum Cor' -> { name, constants })
+        this.functionAddresses = new Map(); // Endereço de cada função no segmento de código
+        this.streamAddresses = new Map(); // Objetos FILE da biblioteca (stdin, stdout, stderr) no segmento de código
+        this.stringLiterals = new Map(); // Literais de string no segmento de código (conteúdo -> { address, size, text })
+        this.layoutSegments();
     }
 
     /**
-     * Aloca um espaço na memória e retorna o endereço
+     * Tamanho de uma página: a unidade em que a memória é criada e em que o ASLR desloca os segmentos
+     */
+    static PAGE_SIZE = 0x1000;
+
+    /**
+     * Início dos segmentos, como num executável de 32 bits no Linux: código e constantes (text/rodata),
+     * variáveis globais e static (data), heap (cresce para cima) e o topo da pilha (que cresce para baixo)
+     */
+    static TEXT_START = 0x08048000;
+    static DATA_START = 0x08050000;
+    static HEAP_START = 0x08100000;
+    static STACK_TOP = 0xBFFFF000;
+
+    /**
+     * Bytes reservados para cada função no segmento de código
+     */
+    static FUNCTION_SIZE = 16;
+
+    /**
+     * Bytes reservados para cada objeto FILE da biblioteca
+     */
+    static FILE_SIZE = 16;
+
+    /**
+     * Opções do layout: alinhamento máximo dos tipos (8 é o natural; menos equivale
+     * a #pragma pack) e ASLR, que desloca os segmentos por um número aleatório de páginas
+     */
+    static DEFAULT_OPTIONS = { maxAlignment: 8, aslr: false };
+
+    /**
+     * Máximo de linhas (de 16 bytes) exibidas por região no hex dump
+     */
+    static HEX_DUMP_MAX_ROWS = 128;
+
+
+    /**
+     * Tamanho do cabeçalho de cada bloco do heap (tamanho + estado)
+     */
+    static HEAP_HEADER_SIZE = 8;
+
+    /**
+     * Alinhamento dos blocos do heap
+     */
+    static HEAP_ALIGNMENT = 8;
+
+    /**
+     * Tipos inteiros: largura em bits e se têm sinal (char tem sinal, como no GCC em x86)
+     */
+    static INTEGER_TYPES = {
+        '_Bool': { bits: 8, signed: false },
+        'char': { bits: 8, signed: true },
+        'signed char': { bits: 8, signed: true },
+        'unsigned char': { bits: 8, signed: false },
+        'short': { bits: 16, signed: true },
+        'unsigned short': { bits: 16, signed: false },
+        'int': { bits: 32, signed: true },
+        'unsigned int': { bits: 32, signed: false },
+        'long': { bits: 64, signed: true },
+        'unsigned long': { bits: 64, signed: false },
+        'long long': { bits: 64, signed: true },
+        'unsigned long long': { bits: 64, signed: false }
+    };
+
+    /**
+     * Tipos inteiros com os limites representáveis, calculados uma vez: getIntegerInfo é chamado a cada acesso
+     */
+    static INTEGER_INFO = Object.fromEntries(Object.entries(Memory.INTEGER_TYPES).map(([type, info]) => [type, Object.freeze({
+        ...info,
+        min: info.signed ? -(2 ** (info.bits - 1)) : 0,
+        max: info.signed ? 2 ** (info.bits - 1) - 1 : 2 ** info.bits - 1
+    })]));
+
+    /**
+     * Formatos IEEE 754 dos tipos de ponto flutuante (long double é tratado como double)
+     */
+    static FLOATING_FORMATS = {
+        'float': { bytes: 4, exponentBits: 8, mantissaBits: 23 },
+        'double': { bytes: 8, exponentBits: 11, mantissaBits: 52 },
+        'long double': { bytes: 8, exponentBits: 11, mantissaBits: 52 }
+    };
+
+    /**
+     * Altera as opções do layout da memória; elas valem a partir da próxima execução (reset)
+     * @param {Object} options - { maxAlignment, aslr }
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Define onde cada segmento começa. Com ASLR, o executável (código e dados), o heap
+     * e a pilha são deslocados por um número aleatório de páginas a cada execução
+     */
+    layoutSegments() {
+        const randomPages = () => this.options.aslr ? Math.floor(Math.random() * 256) * Memory.PAGE_SIZE : 0;
+        const imageOffset = randomPages();
+        this.textStart = Memory.TEXT_START + imageOffset;
+        this.dataStart = Memory.DATA_START + imageOffset;
+        this.heapStart = Memory.HEAP_START + imageOffset + randomPages();
+        this.stackTop = Memory.STACK_TOP - randomPages();
+
+        this.textTop = this.textStart; // Fim da região do segmento de código já utilizada
+        this.dataTop = this.dataStart; // Fim da região do segmento de dados já utilizada
+        this.heapTop = this.heapStart; // Fim da região do heap já utilizada
+        this.stackPointer = this.stackTop; // Topo atual da pilha (o endereço mais baixo em uso)
+    }
+
+    /**
+     * Aloca um espaço para uma variável: no segmento de dados (globais e locais static),
+     * que cresce para cima, ou na pilha, que cresce para baixo
      * @param {number} size - Tamanho em bytes para alocar
+     * @param {number} alignment - Alinhamento exigido para o endereço
+     * @param {string} segment - 'data' ou 'stack'
      * @returns {number} Endereço alocado
      */
-    allocate(size = 4) {
-        const address = this.nextAddress;
-        this.nextAddress += size;
+    allocate(size = 4, alignment = 1, segment = 'data') {
+        if (segment === 'data') {
+            const address = this.alignAddress(this.dataTop, alignment);
+            this.dataTop = address + size;
+            return address;
+        }
+
+        // Variáveis de tamanho fixo ocupam a área reservada pelo frame; o que não couber nela
+        // (como arrays de tamanho variável) é alocado abaixo do topo da pilha
+        const frame = this.getCurrentFrame();
+        const reserved = frame ? Math.floor((frame.cursor - size) / alignment) * alignment : -Infinity;
+        if (frame && reserved >= frame.reservedBottom) {
+            frame.cursor = reserved;
+            return reserved;
+        }
+
+        const address = Math.floor((this.stackPointer - size) / alignment) * alignment;
+        this.stackPointer = address;
+        this.reclaimStackRegion(address, address + size);
+        return address;
+    }
+
+    /**
+     * Uma região da pilha foi reutilizada: as variáveis mortas que ocupavam esses endereços
+     * (de frames já desempilhados) deixam de ser exibidas, e ponteiros para lá deixam de
+     * ser considerados pendentes, pois agora apontam para a nova variável
+     * @param {number} start - Primeiro endereço da região
+     * @param {number} end - Fim da região (exclusivo)
+     */
+    reclaimStackRegion(start, end) {
+        const overlaps = (regionStart, size) => regionStart < end && regionStart + size > start;
+        this.releasedRegions = this.releasedRegions.filter(region => !overlaps(region.start, region.size));
+        for (const [key, meta] of this.variableMetadata) {
+            if (meta.frameId !== 'global' && !this.getFrame(meta.frameId) && overlaps(meta.address, this.getVariableSize(meta))) {
+                this.variableMetadata.delete(key);
+                this.variableAddresses.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Reserva o espaço de uma função no segmento de código
+     * @param {string} name - Nome da função
+     * @returns {number} Endereço da função
+     */
+    defineFunction(name) {
+        const address = this.textTop;
+        this.textTop += Memory.FUNCTION_SIZE;
+        this.functionAddresses.set(name, address);
+        return address;
+    }
+
+    /**
+     * Reserva o objeto FILE de um fluxo padrão no segmento de código
+     * @param {string} name - Nome do fluxo (stdin, stdout ou stderr)
+     * @returns {number} Endereço do objeto
+     */
+    defineStream(name) {
+        const address = this.textTop;
+        this.textTop += Memory.FILE_SIZE;
+        this.streamAddresses.set(name, address);
         return address;
     }
 
+    /**
+     * Guarda um literal de string, com o terminador, no segmento de código (rodata), que é
+     * somente leitura. Literais iguais compartilham o mesmo endereço, como no gcc
+     * @param {string} text - Bytes do literal (um caractere por byte), sem o terminador
+     * @returns {number} Endereço do primeiro caractere
+     */
+    defineStringLiteral(text) {
+        const existing = this.stringLiterals.get(text);
+        if (existing) return existing.address;
+
+        const address = this.textTop;
+        const size = text.length + 1;
+        for (let i = 0; i < size; i++) {
+            this.writeByte(address + i, i < text.length ? text.charCodeAt(i) : 0);
+        }
+        this.textTop += size;
+        this.stringLiterals.set(text, { address, size, text });
+        return address;
+    }
+
+    /**
+     * Procura o literal de string que contém um endereço
+     * @param {number} address - Endereço
+     * @returns {Object | undefined} Literal { address, size, text }
+     */
+    findStringLiteralAt(address) {
+        for (const literal of this.stringLiterals.values()) {
+            if (address >= literal.address && address < literal.address + literal.size) {
+                return literal;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Escreve os bytes de uma string como um literal de C, com aspas e escapes (para exibição)
+     * @param {string} text - Bytes da string (um caractere por byte)
+     * @returns {string} Texto entre aspas
+     */
+    formatStringLiteral(text) {
+        const bytes = Uint8Array.from(text, character => character.charCodeAt(0));
+        const escapes = { '\n': '\\n', '\t': '\\t', '\r': '\\r', '\0': '\\0', '"': '\\"', '\\': '\\\\' };
+        const decoded = new TextDecoder().decode(bytes).replace(/[\x00-\x1F\x7F"\\]/g, character =>
+            escapes[character] ?? `\\x${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+        return `"${decoded}"`;
+    }
+
+    /**
+     * Segmentos da memória, do endereço mais baixo ao mais alto, com a região em uso de cada um
+     * @returns {Array} Segmentos { name, start, end }
+     */
+    getSegments() {
+        return [
+            { name: 'text/rodata', start: this.textStart, end: this.textTop },
+            { name: 'data', start: this.dataStart, end: this.dataTop },
+            { name: 'heap', start: this.heapStart, end: this.heapTop },
+            { name: 'stack', start: this.stackPointer, end: this.stackTop }
+        ];
+    }
+
+    /**
+     * Arredonda um endereço (ou deslocamento) para cima até o próximo múltiplo do alinhamento
+     * @param {number} address - Endereço ou deslocamento
+     * @param {number} alignment - Alinhamento
+     * @returns {number} Valor alinhado
+     */
+    alignAddress(address, alignment) {
+        return Math.ceil(address / alignment) * alignment;
+    }
+
     /**
      * Declara uma variável e aloca espaço na memória
      * @param {string} name - Nome da variável
      * @param {string} type - Tipo da variável (int, char, etc.)
      * @param {*} initialValue - Valor inicial da variável
-     * @param {string} scope - Escopo da variável (nome da função ou 'global')
+     * @param {number | string} scope - Escopo da variável (id do frame, 'global' ou escopo de uma local static)
+     * @param {string | null} owner - Função dona de uma variável local static
      * @param {object | null} typeInfoExtra - Contém informações adicionais se for um tipo complexo como array, senão null.
      *                                      Para arrays, espera-se um objeto como:
      *                                      { type: 'array_declaration', varType: 'int', size: 3, initialValue: [1,2,3], dimensions: [3] }
@@ -38,12 +289,16 @@ class Memory {
      *                                      O parâmetro `initialValue` original será ignorado em favor de `typeInfoExtra.initialValue`.
      * @returns {number | undefined} Endereço da variável ou undefined se falhar
      */
-    declareVariable(name, typeOrElementType, initialValueForSimpleType = null, scope = 'global') {
+    declareVariable(name, typeOrElementType, initialValueForSimpleType = null, scope = 'global', owner = null) {
         // Verifica se typeOrElementType é um AST node de declaração de array
         if (typeof typeOrElementType === 'object' && typeOrElementType.type === 'array_declaration') {
             const astNode = typeOrElementType;
             const elementType = astNode.varType; // e.g., "int"
-            const numElements = astNode.size;    // e.g., 10. Parser deve ter resolvido ou ser simbólico.
+            // Arrays multidimensionais são guardados em ordem de linha (row-major): int m[3][4] ocupa 12 ints seguidos
+            const dimensions = astNode.dimensions || [astNode.size];
+            const numElements = dimensions.every(dimension => typeof dimension === 'number')
+                ? dimensions.reduce((total, dimension) => total * dimension, 1)
+                : astNode.size; // Parser deve ter resolvido ou ser simbólico.
             const arrayInitializers = astNode.initialValue; // e.g., [1,2,3] or "\"hello\"" or null
 
             if (typeof numElements !== 'number' || numElements <= 0) {
@@ -59,44 +314,18 @@ class Memory {
                 return undefined;
             }
             const totalSize = numElements * elementSize;
-            const baseAddress = this.allocate(totalSize); // allocate reserves the whole block
+            const baseAddress = this.allocate(totalSize, this.getAlignmentForType(elementType), typeof scope === 'number' ? 'stack' : 'data'); // allocate reserves the whole block
 
-            const key = `${scope}:${name}`;
-            this.variableAddresses.set(key, baseAddress);
-            this.variableMetadata.set(key, {
+            this.registerVariable(name, scope, baseAddress, {
                 type: 'array', // Distinguish from simple types
                 elementType: elementType,
                 elementSize: elementSize,
-                arraySize: numElements, // Number of elements
-                address: baseAddress,
-                scope: scope,
-                name: name
+                arraySize: numElements, // Number of elements (all dimensions)
+                dimensions: dimensions,
+                owner: owner
             });
 
-            for (let i = 0; i < numElements; i++) {
-                const currentAddress = baseAddress + (i * elementSize);
-                let valueToStore = this.getDefaultValueForType(elementType); // Default initialization
-
-                if (arrayInitializers !== null && arrayInitializers !== undefined) {
-                    if (Array.isArray(arrayInitializers)) { // Initializer list like {1, 2, 3}
-                        if (i < arrayInitializers.length) {
-                            valueToStore = this.parseValue(arrayInitializers[i]);
-                        }
-                    } else if (typeof arrayInitializers === 'string' && elementType === 'char') { // String literal like "hello"
-                        const strValue = arrayInitializers.substring(1, arrayInitializers.length - 1); // Remove quotes
-                        if (i < strValue.length) {
-                            valueToStore = strValue.charCodeAt(i);
-                        } else if (i === strValue.length) { // Null terminator
-                            valueToStore = 0;
-                        }
-                        // Padding with default (0) is implicitly handled if numElements > strValue.length + 1
-                        // Truncation is handled if numElements < strValue.length + 1 (loop limit)
-                    }
-                    // Other types of initializers for arrays (e.g. int arr[5] = x;) are not handled here,
-                    // as arrayInitializers from parser is expected to be array or string.
-                }
-                this.memory.set(currentAddress, valueToStore);
-            }
+            this.initializeArray(baseAddress, elementType, numElements, arrayInitializers);
             return baseAddress;
 
         } else if (typeof typeOrElementType === 'string') {
@@ -105,29 +334,25 @@ class Memory {
             
             const isPointer = type.includes('*');
             const size = this.getSizeForType(type);
-            const address = this.allocate(size);
+            const address = this.allocate(size, this.getAlignmentForType(type), typeof scope === 'number' ? 'stack' : 'data');
             
-            const key = `${scope}:${name}`;
-            this.variableAddresses.set(key, address);
-            this.variableMetadata.set(key, {
+            this.registerVariable(name, scope, address, {
                 type: type, // e.g. "int", "char*"
                 isPointer: isPointer,
                 size: size, // Total size for this simple var
-                address: address,
-                scope: scope,
-                name: name
+                owner: owner
             });
             
-            if (isPointer) {
-                this.memory.set(address, 0); // Pointers are initialized to 0 (NULL) by default
-                this.pointers.set(address, null); 
+            if (this.isStructType(type)) {
+                this.initializeObject(address, type);
                 if (initialValueForSimpleType !== null && initialValueForSimpleType !== undefined) {
-                     this.memory.set(address, this.parseValue(initialValueForSimpleType));
+                    this.store(address, initialValueForSimpleType, type);
                 }
             } else {
-                this.memory.set(address, (initialValueForSimpleType !== null && initialValueForSimpleType !== undefined) 
-                                          ? this.parseValue(initialValueForSimpleType) 
-                                          : this.getDefaultValueForType(type));
+                // Ponteiros começam em 0 (NULL) e os demais tipos com o valor padrão
+                this.store(address, (initialValueForSimpleType !== null && initialValueForSimpleType !== undefined)
+                                    ? this.parseValue(initialValueForSimpleType)
+                                    : this.getDefaultValueForType(type), type);
             }
             return address;
         } else {
@@ -136,136 +361,433 @@ class Memory {
         }
     }
 
+    /**
+     * Escreve os valores iniciais de todos os elementos de um array; os elementos sem
+     * valor no inicializador (ou todos, sem inicializador) ficam zerados
+     * @param {number} baseAddress - Endereço do primeiro elemento
+     * @param {string} elementType - Tipo dos elementos
+     * @param {number} numElements - Quantidade de elementos (todas as dimensões)
+     * @param {Array | null} arrayInitializers - Valores em ordem de linha ou null
+     */
+    initializeArray(baseAddress, elementType, numElements, arrayInitializers) {
+        const elementSize = this.getSizeForType(elementType);
+        const isStructElement = this.isStructType(elementType);
+
+        for (let i = 0; i < numElements; i++) {
+            const currentAddress = baseAddress + (i * elementSize);
+            if (isStructElement) {
+                // Cada elemento é uma struct: membros zerados ou copiados do inicializador
+                this.initializeObject(currentAddress, elementType);
+                if (Array.isArray(arrayInitializers) && arrayInitializers[i] !== undefined) {
+                    this.store(currentAddress, arrayInitializers[i], elementType);
+                }
+                continue;
+            }
+            let valueToStore = this.getDefaultValueForType(elementType); // Default initialization
+
+            // Initializer list like {1, 2, 3} (strings chegam como a lista dos seus bytes)
+            if (Array.isArray(arrayInitializers) && arrayInitializers[i] !== undefined) {
+                valueToStore = this.convertScalar(this.parseValue(arrayInitializers[i]), elementType);
+            }
+            this.store(currentAddress, valueToStore, elementType);
+        }
+    }
+
+    /**
+     * Registra o endereço e os metadados de uma variável no bloco mais interno do frame
+     * Variáveis locais são indexadas pelo id do bloco, então cada ativação
+     * de uma função (inclusive recursiva) e cada bloco têm suas próprias variáveis.
+     * Escopos que não são frames (globais e locais static) ficam no segmento de dados
+     * @param {string} name - Nome da variável
+     * @param {number | string} scope - Id do frame, 'global' ou escopo de uma local static
+     * @param {number} address - Endereço da variável
+     * @param {Object} details - Metadados específicos do tipo
+     */
+    registerVariable(name, scope, address, details) {
+        const frame = typeof scope === 'number' ? this.getFrame(scope) : null;
+        const block = frame ? frame.blocks[frame.blocks.length - 1] : null;
+        const key = block ? `${block.id}:${name}` : `${scope}:${name}`;
+
+        if (block) {
+            block.variables.set(name, key);
+        }
+
+        this.variableAddresses.set(key, address);
+        this.variableMetadata.set(key, {
+            ...details,
+            address: address,
+            scope: block ? block.id : 'global',
+            scopeName: block ? block.name : 'global',
+            frameId: frame ? frame.id : 'global',
+            name: name
+        });
+    }
+
+    /**
+     * Torna visível no bloco mais interno do frame uma variável que já existe em outro lugar
+     * (uma local static, alocada no segmento de dados antes da main)
+     * @param {string} name - Nome da variável
+     * @param {number} scope - Id do frame
+     * @param {string} key - Chave da variável já registrada
+     */
+    bindVariable(name, scope, key) {
+        const frame = this.getFrame(scope);
+        if (frame) {
+            frame.blocks[frame.blocks.length - 1].variables.set(name, key);
+        }
+    }
+
+    /**
+     * Resolve um nome pelas regras de escopo léxico do C: do bloco mais interno
+     * do frame para o mais externo e, por fim, as variáveis globais.
+     * Variáveis de quem chamou a função nunca são visíveis
+     * @param {string} name - Nome da variável
+     * @param {number | string} scope - Id do frame ou 'global'
+     * @returns {string | undefined} Chave da variável ou undefined se não declarada
+     */
+    resolveVariableKey(name, scope = 'global') {
+        const frame = scope === 'global' ? null : this.getFrame(scope);
+        if (frame) {
+            for (let i = frame.blocks.length - 1; i >= 0; i--) {
+                const key = frame.blocks[i].variables.get(name);
+                if (key !== undefined) {
+                    return key;
+                }
+            }
+        }
+
+        const globalKey = `global:${name}`;
+        return this.variableAddresses.has(globalKey) ? globalKey : undefined;
+    }
+
+    /**
+     * Verifica se um nome já foi declarado no bloco mais interno do frame
+     * (declará-lo de novo seria uma redefinição; em um bloco interno, sombreamento)
+     * @param {string} name - Nome da variável
+     * @param {number | string} scope - Id do frame ou 'global'
+     * @returns {boolean} Se o nome já existe no bloco atual
+     */
+    isDeclaredInCurrentBlock(name, scope = 'global') {
+        if (scope === 'global') {
+            return this.variableAddresses.has(`global:${name}`);
+        }
+        const frame = this.getFrame(scope);
+        return frame ? frame.blocks[frame.blocks.length - 1].variables.has(name) : false;
+    }
+
     /**
      * Obtém metadados de uma variável (incluindo tipo, tamanho, etc.)
      * @param {string} name - Nome da variável
-     * @param {string} scope - Escopo da variável
+     * @param {number | string} scope - Escopo da variável (id do frame ou 'global')
      * @returns {object | undefined} Objeto com metadados ou undefined se não encontrada
      */
     getVariableInfo(name, scope = 'global') {
-        const key = `${scope}:${name}`;
-        let info = this.variableMetadata.get(key);
+        const key = this.resolveVariableKey(name, scope);
+        return key === undefined ? undefined : this.variableMetadata.get(key);
+    }
 
-        if (info === undefined && scope !== 'global') {
-            // If not found in current scope, try global
-            const globalKey = `global:${name}`;
-            info = this.variableMetadata.get(globalKey);
+    /**
+     * Altera o tipo registrado de uma variável (usado por parâmetros VLA, cujo tipo só é conhecido na chamada)
+     * @param {string} name - Nome da variável
+     * @param {number | string} scope - Id do frame ou 'global'
+     * @param {string} type - Novo tipo
+     */
+    setVariableType(name, scope, type) {
+        const meta = this.getVariableInfo(name, scope);
+        if (meta) {
+            meta.type = type;
         }
-        // TODO: Consider deeper scope searching for function parameters if necessary,
-        // similar to getVariable, but for now, current and global is a good start.
-        return info;
     }
 
     /**
-     * Atualiza o valor de uma variável
-     * @param {string} name - Nome da variável
-     * @param {*} value - Novo valor
-     * @param {string} scope - Escopo da variável
-     * @returns {boolean} Se a operação foi bem sucedida
+     * Lê o valor armazenado em um endereço
+     * @param {number} address - Endereço a ser lido
+     * @param {string} type - Tipo do valor armazenado
+     * @returns {*} Valor armazenado (0 se o endereço nunca foi escrito)
      */
-    setVariable(name, value, scope = 'global') {
-        const key = `${scope}:${name}`;
-        const address = this.variableAddresses.get(key);
-        
-        if (address === undefined) {
-            return false;
+    load(address, type = 'int') {
+        if (this.isStructType(type)) {
+            // Uma struct é lida como a cópia de todos os seus campos escalares
+            return {
+                fields: this.getScalarFields(type).map(field => ({
+                    offset: field.offset,
+                    type: field.type,
+                    value: this.readScalar(address + field.offset, field.type)
+                }))
+            };
         }
-        
-        // Se for um endereço (operador &)
-        if (typeof value === 'string' && value.startsWith('&')) {
-            const targetVarName = value.substring(1);
-            const targetKey = `${scope}:${targetVarName}`;
-            const targetAddress = this.variableAddresses.get(targetKey);
-            
-            if (targetAddress !== undefined) {
-                this.memory.set(address, targetAddress);
-                this.pointers.set(address, targetAddress);
-                return true;
+        return this.readScalar(address, type);
+    }
+
+    /**
+     * Escreve um valor em um endereço, byte a byte na codificação do tipo.
+     * Structs são copiadas campo a campo (atribuição e passagem por valor)
+     * @param {number} address - Endereço a ser escrito
+     * @param {*} value - Valor a armazenar ({ fields } para structs)
+     * @param {string} type - Tipo do valor armazenado
+     */
+    store(address, value, type = 'int') {
+        if (this.isStructType(type)) {
+            for (const field of value.fields) {
+                this.store(address + field.offset, field.value, field.type);
             }
-            return false;
+            return;
         }
-        
-        // Para valores normais
-        this.memory.set(address, this.parseValue(value));
-        return true;
+        this.writeScalar(address, this.convertScalar(value, type), type);
+        this.clearStoredTypes(address, this.getSizeForType(type));
+        this.storedTypes.set(address, type);
+    }
+
+    /**
+     * Escritas que se sobrepõem a uma região deixam de valer como células do heap
+     * @param {number} address - Início da região
+     * @param {number} size - Tamanho da região em bytes
+     */
+    clearStoredTypes(address, size) {
+        for (let previous = address - 7; previous < address + size; previous++) {
+            const previousType = this.storedTypes.get(previous);
+            if (previousType && previous + this.getSizeForType(previousType) > address) {
+                this.storedTypes.delete(previous);
+            }
+        }
+    }
+
+    /**
+     * Leva para o destino de uma cópia de bytes (realloc, memcpy) os tipos das células
+     * copiadas por inteiro, para que continuem aparecendo como valores do heap
+     * @param {number} destination - Endereço de destino
+     * @param {number} source - Endereço de origem
+     * @param {number} size - Quantidade de bytes copiados
+     */
+    copyStoredTypes(destination, source, size) {
+        const copied = [];
+        for (let offset = 0; offset < size; offset++) {
+            const type = this.storedTypes.get(source + offset);
+            if (type && offset + this.getSizeForType(type) <= size) {
+                copied.push([offset, type]);
+            }
+        }
+        this.clearStoredTypes(destination, size);
+        for (const [offset, type] of copied) {
+            this.storedTypes.set(destination + offset, type);
+        }
+    }
+
+    /**
+     * Como um valor escalar de um tipo é codificado na memória: o método do DataView usado
+     * e a quantidade de bytes. Ponteiros são endereços de 32 bits sem sinal
+     * @param {string} type - Tipo escalar
+     * @returns {Object} { kind, size }
+     */
+    getScalarEncoding(type) {
+        if (type.includes('*')) return { kind: 'Uint32', size: 4 };
+        const floating = Memory.FLOATING_FORMATS[type];
+        if (floating) return { kind: floating.bytes === 4 ? 'Float32' : 'Float64', size: floating.bytes };
+
+        const integer = this.getIntegerInfo(type) ?? this.getIntegerInfo('int');
+        const kind = integer.bits === 64
+            ? (integer.signed ? 'BigInt64' : 'BigUint64')
+            : `${integer.signed ? 'Int' : 'Uint'}${integer.bits}`;
+        return { kind, size: integer.bits / 8 };
+    }
+
+    /**
+     * Lê os bytes de um valor escalar (little-endian, como em x86)
+     * @param {number} address - Endereço do primeiro byte
+     * @param {string} type - Tipo do valor
+     * @returns {number | bigint} Valor lido
+     */
+    readScalar(address, type) {
+        const { kind, size } = this.getScalarEncoding(type);
+        for (let i = 0; i < size; i++) {
+            this.scratch.setUint8(i, this.readByte(address + i));
+        }
+        const value = this.scratch[`get${kind}`](0, true);
+        return typeof value === 'bigint' ? this.convertScalar(value, type) : value;
+    }
+
+    /**
+     * Escreve os bytes de um valor escalar já convertido para o tipo (little-endian)
+     * @param {number} address - Endereço do primeiro byte
+     * @param {number | bigint} value - Valor
+     * @param {string} type - Tipo do valor
+     */
+    writeScalar(address, value, type) {
+        const { kind, size } = this.getScalarEncoding(type);
+        const encoded = kind.startsWith('Big') ? this.toBigInt(value, type) : value;
+        this.scratch[`set${kind}`](0, encoded, true);
+        for (let i = 0; i < size; i++) {
+            this.writeByte(address + i, this.scratch.getUint8(i));
+        }
+    }
+
+    /**
+     * Lê um byte (endereços nunca escritos valem 0)
+     * @param {number} address - Endereço
+     * @returns {number} Byte (0 a 255)
+     */
+    readByte(address) {
+        const page = this.pages.get(Math.floor(address / Memory.PAGE_SIZE));
+        return page ? page[address % Memory.PAGE_SIZE] : 0;
+    }
+
+    /**
+     * Escreve um byte, criando a página que o contém se for preciso
+     * @param {number} address - Endereço
+     * @param {number} byte - Byte (0 a 255)
+     */
+    writeByte(address, byte) {
+        const pageNumber = Math.floor(address / Memory.PAGE_SIZE);
+        let page = this.pages.get(pageNumber);
+        if (!page) {
+            page = new Uint8Array(Memory.PAGE_SIZE);
+            this.pages.set(pageNumber, page);
+        }
+        page[address % Memory.PAGE_SIZE] = byte;
+    }
+
+    /**
+     * Preenche uma região da memória com o mesmo byte
+     * @param {number} address - Endereço inicial
+     * @param {number} size - Quantidade de bytes
+     * @param {number} byte - Valor de cada byte (0 a 255)
+     */
+    fillBytes(address, size, byte) {
+        for (let i = 0; i < size; i++) {
+            this.writeByte(address + i, byte);
+        }
+    }
+
+    /**
+     * Copia bytes de uma região para outra (as regiões podem se sobrepor, como em memmove)
+     * @param {number} destination - Endereço de destino
+     * @param {number} source - Endereço de origem
+     * @param {number} size - Quantidade de bytes
+     */
+    copyBytes(destination, source, size) {
+        const bytes = Array.from({ length: size }, (_, i) => this.readByte(source + i));
+        bytes.forEach((byte, i) => this.writeByte(destination + i, byte));
     }
 
     /**
      * Obtém o valor de uma variável
      * @param {string} name - Nome da variável
-     * @param {string} scope - Escopo da variável
+     * @param {number | string} scope - Escopo da variável (id do frame ou 'global')
      * @returns {*} Valor da variável
      */
     getVariable(name, scope = 'global') {
-        // Procura primeiro no escopo atual
-        let key = `${scope}:${name}`;
-        let address = this.variableAddresses.get(key);
-        
-        if (address === undefined && scope !== 'global') {
-            // Se não encontrar no escopo atual, procura no global
-            key = `global:${name}`;
-            address = this.variableAddresses.get(key);
-            
-            // Se ainda não encontrar e estiver numa função, procura no escopo do chamador
-            if (address === undefined && this.stackFrames.length > 0) {
-                const currentFrame = this.getCurrentFrame();
-                if (currentFrame && currentFrame.caller) {
-                    // Tenta o escopo do chamador
-                    return this.getVariable(name, currentFrame.caller);
-                }
-            }
-        }
+        const key = this.resolveVariableKey(name, scope);
+        const address = this.variableAddresses.get(key);
         
         if (address === undefined) {
             return undefined;
         }
         
-        return this.memory.get(address);
-    }
-
-    /**
-     * Obtém o endereço de uma variável
-     * @param {string} name - Nome da variável
-     * @param {string} scope - Escopo da variável
-     * @returns {number} Endereço da variável
-     */
-    getVariableAddress(name, scope = 'global') {
-        const key = `${scope}:${name}`;
-        return this.variableAddresses.get(key);
+        const meta = this.variableMetadata.get(key);
+        return this.load(address, meta.type === 'array' ? meta.elementType : meta.type);
     }
 
     /**
      * Inicia um novo frame na pilha (para chamada de função)
      * @param {string} functionName - Nome da função chamada
-     * @param {Object} parameters - Parâmetros da função
+     * @param {Array} parameters - Parâmetros da função no formato { name, type, value }
      * @param {string} callerFunction - Nome da função que fez a chamada
+     * @param {number} frameSize - Bytes reservados para os parâmetros e as variáveis locais
      * @returns {number} ID do frame na pilha
      */
-    pushStackFrame(functionName, parameters = {}, callerFunction = null) {
-        const frameId = this.stackFrames.length;
+    pushStackFrame(functionName, parameters = [], callerFunction = null, frameSize = 0) {
+        const frameId = this.nextFrameId++;
         
         const frame = {
             id: frameId,
             function: functionName,
+            scope: `${functionName} #${frameId}`, // Nome do escopo exibido na visualização
             caller: callerFunction,
-            parameters: {},
-            variables: new Map(),
-            returnAddress: null,
-            returnValue: null
+            blocks: [], // Blocos em execução, do corpo da função ao mais interno
+            returnAddress: null, // Linha da chamada na função chamadora
+            returnValue: null,
+            stackPointer: this.stackPointer, // Topo da pilha antes do frame, restaurado no retorno
+            cursor: this.stackPointer, // As variáveis do frame ocupam a área reservada de cima para baixo
+            reservedBottom: Math.floor((this.stackPointer - frameSize) / 16) * 16 // Fim da área reservada
         };
         
-        // Aloca memória para os parâmetros
-        for (const [name, value] of Object.entries(parameters)) {
-            const address = this.allocate(4); // Assume 4 bytes para simplicidade
-            this.memory.set(address, this.parseValue(value));
-            frame.parameters[name] = address;
-            this.variableAddresses.set(`${functionName}:${name}`, address);
+        this.stackFrames.push(frame);
+        this.stackPointer = frame.reservedBottom;
+        this.reclaimStackRegion(frame.reservedBottom, frame.stackPointer);
+        
+        // Os parâmetros pertencem ao bloco do corpo da função
+        frame.blocks.push({ id: this.nextScopeId++, name: frame.scope, variables: new Map() });
+        for (const { name, type, value } of parameters) {
+            const address = this.declareVariable(name, type, null, frameId);
+            this.store(address, this.parseValue(value), type);
         }
         
-        this.stackFrames.push(frame);
         return frameId;
     }
 
+    /**
+     * Abre um bloco dentro do frame atual ({}, for, corpo de if/else/while)
+     * @param {string} name - Descrição do bloco exibida na visualização
+     * @returns {number} Id do bloco
+     */
+    pushScope(name) {
+        const frame = this.getCurrentFrame();
+        const block = {
+            id: this.nextScopeId++,
+            name: `${frame.scope} › ${name}`,
+            variables: new Map(),
+            cursor: frame.cursor,
+            stackPointer: this.stackPointer
+        };
+        frame.blocks.push(block);
+        return block.id;
+    }
+
+    /**
+     * Verifica se o bloco mais interno do frame atual declarou alguma variável
+     * @returns {boolean} Se há variáveis no bloco atual
+     */
+    currentScopeHasVariables() {
+        const frame = this.getCurrentFrame();
+        return frame ? frame.blocks[frame.blocks.length - 1].variables.size > 0 : false;
+    }
+
+    /**
+     * Fecha o bloco mais interno do frame atual: o tempo de vida das suas variáveis termina
+     */
+    popScope() {
+        const frame = this.getCurrentFrame();
+        if (!frame || frame.blocks.length <= 1) {
+            return;
+        }
+
+        const block = frame.blocks.pop();
+        for (const key of block.variables.values()) {
+            // Locais static continuam existindo no segmento de dados
+            const meta = this.variableMetadata.get(key);
+            if (meta?.scope !== block.id) continue;
+            this.releaseRegion(meta);
+            this.variableAddresses.delete(key);
+            this.variableMetadata.delete(key);
+        }
+        // O espaço do bloco na pilha volta a ficar livre
+        frame.cursor = block.cursor;
+        this.stackPointer = block.stackPointer;
+    }
+
+    /**
+     * Registra que a região de uma variável deixou de existir, para detectar ponteiros pendentes
+     * @param {Object} meta - Metadados da variável
+     */
+    releaseRegion(meta) {
+        this.releasedRegions.push({
+            start: meta.address,
+            size: this.getVariableSize(meta),
+            name: meta.name,
+            scopeName: meta.scopeName
+        });
+    }
+
     /**
      * Remove o frame atual da pilha
      * @returns {Object} Frame removido
@@ -275,19 +797,25 @@ class Memory {
             return null;
         }
         
-        const removedFrame = this.stackFrames.pop();
-        
-        // Armazena o valor de retorno para uso em expressões futuras
-        if (removedFrame.returnValue !== null) {
-            this.lastReturnValues[removedFrame.function] = removedFrame.returnValue;
-        }
-        
-        // Se restar algum frame na pilha após remoção, esse é o novo frame atual
-        if (this.stackFrames.length > 0) {
-            const currentFrame = this.stackFrames[this.stackFrames.length - 1];
+        const frame = this.stackFrames.pop();
+        // As variáveis do frame continuam na visualização (até que os seus endereços sejam
+        // reutilizados por outro frame), mas não podem mais ser acessadas
+        for (const meta of this.variableMetadata.values()) {
+            if (meta.frameId === frame.id) {
+                this.releaseRegion(meta);
+            }
         }
-        
-        return removedFrame;
+        this.stackPointer = frame.stackPointer;
+        return frame;
+    }
+
+    /**
+     * Obtém um frame ativo pelo seu id
+     * @param {number} frameId - Id do frame
+     * @returns {Object} Frame ou null se ele não estiver na pilha
+     */
+    getFrame(frameId) {
+        return this.stackFrames.find(frame => frame.id === frameId) || null;
     }
 
     /**
@@ -314,77 +842,522 @@ class Memory {
     }
 
     /**
-     * Obtém uma representação da memória para visualização
-     * @returns {Array} Array de objetos com informações da memória
+     * Reserva um bloco no heap (first-fit, dividindo blocos livres maiores que o necessário)
+     * Cada bloco é precedido por um cabeçalho com o seu tamanho e estado
+     * @param {number} size - Quantidade de bytes pedida
+     * @param {number | null} line - Linha do código que fez a alocação
+     * @returns {number} Endereço do bloco (0 para tamanho 0 ou se o bloco não couber antes da pilha)
      */
-    getMemorySnapshot() {
-        const snapshot = [];
-        
-        // Iterate over variableMetadata which contains richer info
-        for (const [key, meta] of this.variableMetadata.entries()) {
-            if (meta.type === 'array') {
-                const { name, scope, address: baseAddress, elementType, elementSize, arraySize } = meta;
-                for (let i = 0; i < arraySize; i++) {
-                    const elementAddress = baseAddress + (i * elementSize);
-                    const value = this.memory.get(elementAddress);
-                    const isElementPointer = elementType.includes('*');
-                    let pointsToValue = null;
-                    if (isElementPointer && this.pointers.has(elementAddress)) {
-                        const targetAddr = this.pointers.get(elementAddress);
-                        if (targetAddr !== null && targetAddr !== undefined) {
-                           pointsToValue = `0x${targetAddr.toString(16).toUpperCase()}`;
-                        }
+    heapAllocate(size, line = null) {
+        if (size <= 0) {
+            return 0;
+        }
+
+        const alignment = Memory.HEAP_ALIGNMENT;
+        const needed = Math.ceil(size / alignment) * alignment;
+        let block = this.heapBlocks.find(candidate => candidate.free && candidate.size >= needed);
+
+        if (block) {
+            // Divide o bloco livre se o restante comportar outro bloco
+            const remaining = block.size - needed;
+            if (remaining >= Memory.HEAP_HEADER_SIZE + alignment) {
+                const rest = {
+                    header: block.address + needed,
+                    address: block.address + needed + Memory.HEAP_HEADER_SIZE,
+                    size: remaining - Memory.HEAP_HEADER_SIZE,
+                    requested: 0,
+                    free: true,
+                    line: null
+                };
+                this.heapBlocks.splice(this.heapBlocks.indexOf(block) + 1, 0, rest);
+                this.writeHeapHeader(rest);
+                block.size = needed;
+            }
+        } else {
+            // Como o malloc, um pedido que não cabe no espaço de endereçamento (como malloc(-1)) devolve NULL
+            if (this.heapTop + Memory.HEAP_HEADER_SIZE + needed > this.stackPointer) {
+                return 0;
+            }
+            block = {
+                header: this.heapTop,
+                address: this.heapTop + Memory.HEAP_HEADER_SIZE,
+                size: needed
+            };
+            this.heapBlocks.push(block);
+            this.heapTop = block.address + needed;
+        }
+
+        block.free = false;
+        block.requested = size;
+        block.line = line;
+        this.writeHeapHeader(block);
+        return block.address;
+    }
+
+    /**
+     * Libera um bloco do heap, juntando-o aos blocos livres vizinhos
+     * @param {number} address - Endereço devolvido pela alocação
+     * @returns {string} 'ok', 'null' (free(NULL)), 'double' (já liberado) ou 'invalid' (não é início de bloco)
+     */
+    heapFree(address) {
+        if (address === 0) {
+            return 'null';
+        }
+
+        const index = this.heapBlocks.findIndex(block => block.address === address);
+        if (index === -1) {
+            return 'invalid';
+        }
+
+        const block = this.heapBlocks[index];
+        if (block.free) {
+            return 'double';
+        }
+
+        block.free = true;
+
+        // Junta com o próximo bloco livre
+        const next = this.heapBlocks[index + 1];
+        if (next && next.free) {
+            block.size += Memory.HEAP_HEADER_SIZE + next.size;
+            this.heapBlocks.splice(index + 1, 1);
+            this.clearHeapHeader(next);
+        }
+
+        // Junta com o bloco livre anterior
+        const previous = this.heapBlocks[index - 1];
+        if (previous && previous.free) {
+            previous.size += Memory.HEAP_HEADER_SIZE + block.size;
+            this.heapBlocks.splice(index, 1);
+            this.clearHeapHeader(block);
+            this.writeHeapHeader(previous);
+        } else {
+            this.writeHeapHeader(block);
+        }
+
+        return 'ok';
+    }
+
+    /**
+     * Redimensiona um bloco do heap: aloca um novo bloco, copia o conteúdo e libera o antigo
+     * @param {number} address - Endereço do bloco atual (0 equivale a malloc)
+     * @param {number} size - Novo tamanho em bytes (0 equivale a free)
+     * @param {number | null} line - Linha do código que fez a realocação
+     * @returns {number | null} Novo endereço (0 se o novo bloco não couber), ou null se o endereço não for um bloco alocado
+     */
+    heapReallocate(address, size, line = null) {
+        if (address === 0) {
+            return this.heapAllocate(size, line);
+        }
+
+        const block = this.getHeapBlock(address);
+        if (!block || block.free) {
+            return null;
+        }
+
+        if (size <= 0) {
+            this.heapFree(address);
+            return 0;
+        }
+
+        // Se o novo bloco não couber, o original continua alocado
+        const newAddress = this.heapAllocate(size, line);
+        if (newAddress === 0) {
+            return 0;
+        }
+        const copied = Math.min(block.requested, size);
+        this.copyBytes(newAddress, address, copied);
+        this.copyStoredTypes(newAddress, address, copied);
+
+        this.heapFree(address);
+        return newAddress;
+    }
+
+    /**
+     * Obtém o bloco do heap que começa no endereço informado
+     * @param {number} address - Endereço do início do bloco
+     * @returns {Object | undefined} Bloco do heap
+     */
+    getHeapBlock(address) {
+        return this.heapBlocks.find(block => block.address === address);
+    }
+
+    /**
+     * Escreve o cabeçalho de um bloco na memória: tamanho e estado (1 = alocado, 0 = livre)
+     * @param {Object} block - Bloco do heap
+     */
+    writeHeapHeader(block) {
+        this.writeScalar(block.header, block.size, 'unsigned int');
+        this.writeScalar(block.header + 4, block.free ? 0 : 1, 'unsigned int');
+    }
+
+    /**
+     * Apaga o cabeçalho de um bloco que foi absorvido por um bloco livre vizinho
+     * @param {Object} block - Bloco do heap
+     */
+    clearHeapHeader(block) {
+        this.fillBytes(block.header, Memory.HEAP_HEADER_SIZE, 0);
+    }
+
+    /**
+     * Lista os blocos do heap que continuam alocados (vazamentos, se o programa terminou)
+     * @returns {Array} Blocos alocados
+     */
+    getLeakedBlocks() {
+        return this.heapBlocks.filter(block => !block.free);
+    }
+
+    /**
+     * Tamanho em bytes ocupado por uma variável
+     * @param {Object} meta - Metadados da variável
+     * @returns {number} Tamanho em bytes
+     */
+    getVariableSize(meta) {
+        return meta.type === 'array' ? meta.arraySize * meta.elementSize : meta.size;
+    }
+
+    /**
+     * Procura a variável viva (global, static ou de um frame na pilha) que contém um endereço
+     * @param {number} address - Endereço
+     * @returns {Object | undefined} Metadados da variável
+     */
+    findVariableAt(address) {
+        for (const meta of this.variableMetadata.values()) {
+            const live = meta.frameId === 'global' || this.getFrame(meta.frameId) !== null;
+            if (live && address >= meta.address && address < meta.address + this.getVariableSize(meta)) {
+                return meta;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Procura o bloco do heap (alocado ou livre) cuja área de dados contém um endereço
+     * @param {number} address - Endereço
+     * @returns {Object | undefined} Bloco do heap
+     */
+    findHeapBlockAt(address) {
+        return this.heapBlocks.find(block => address >= block.header && address < block.address + block.size);
+    }
+
+    /**
+     * Verifica um acesso à memória, como um verificador do tipo Valgrind/ASan.
+     * O acesso é válido se estiver inteiro dentro do objeto de onde o ponteiro se originou
+     * @param {number} address - Primeiro byte acessado
+     * @param {number} size - Quantidade de bytes acessados
+     * @param {number} origin - Endereço de onde o ponteiro foi derivado (antes da aritmética)
+     * @param {boolean} write - Se o acesso é uma escrita
+     * @returns {string | null} Descrição do erro ou null se o acesso for válido
+     */
+    checkAccess(address, size, origin = address, write = false) {
+        const hex = value => `0x${value.toString(16).toUpperCase()}`;
+
+        const literal = this.findStringLiteralAt(origin);
+        if (literal) {
+            const text = this.formatStringLiteral(literal.text);
+            const end = literal.address + literal.size;
+            if (address < literal.address || address + size > end) {
+                return `acesso fora dos limites da string literal ${text} (${hex(literal.address)} a ${hex(end - 1)}) no endereço ${hex(address)}.`;
+            }
+            if (write) {
+                return `escrita em ${hex(address)}, dentro da string literal ${text}: literais ficam no segmento text/rodata, que é somente leitura.`;
+            }
+            return null;
+        }
+
+        const block = this.findHeapBlockAt(origin);
+        if (block) {
+            if (origin < block.address) {
+                return `acesso ao cabeçalho do bloco do heap ${hex(block.address)} no endereço ${hex(address)}.`;
+            }
+            if (block.free) {
+                return `uso de memória já liberada (use-after-free): ${hex(address)} pertence a um bloco liberado com free.`;
+            }
+            if (address < block.address || address + size > block.address + block.requested) {
+                return `acesso fora dos limites do bloco do heap ${hex(block.address)} (${block.requested} bytes) no endereço ${hex(address)}.`;
+            }
+            return null;
+        }
+
+        const variable = this.findVariableAt(origin);
+        if (variable) {
+            const end = variable.address + this.getVariableSize(variable);
+            if (address < variable.address || address + size > end) {
+                return `acesso fora dos limites de '${variable.name}' (${hex(variable.address)} a ${hex(end - 1)}) no endereço ${hex(address)}.`;
+            }
+            return null;
+        }
+
+        // Procura a liberação mais recente que contém o endereço
+        for (let i = this.releasedRegions.length - 1; i >= 0; i--) {
+            const region = this.releasedRegions[i];
+            if (origin >= region.start && origin < region.start + region.size) {
+                return `ponteiro pendente: ${hex(address)} apontava para '${region.name}' (${region.scopeName}), que não existe mais.`;
+            }
+        }
+
+        return `o endereço ${hex(address)} não pertence a nenhuma variável nem a um bloco alocado.`;
+    }
+
+    /**
+     * Descreve a que pertence um endereço (para mensagens de erro)
+     * @param {number} address - Endereço
+     * @returns {string} Descrição
+     */
+    describeAddress(address) {
+        const literal = this.findStringLiteralAt(address);
+        if (literal) {
+            return `a string literal ${this.formatStringLiteral(literal.text)}, somente leitura`;
+        }
+        for (const [name, streamAddress] of this.streamAddresses) {
+            if (address >= streamAddress && address < streamAddress + Memory.FILE_SIZE) {
+                return `o objeto FILE ${name} da biblioteca`;
+            }
+        }
+        const variable = this.findVariableAt(address);
+        if (variable) {
+            return variable.frameId === 'global' ? `a variável global '${variable.name}'` : `a variável '${variable.name}' na pilha`;
+        }
+        const block = this.findHeapBlockAt(address);
+        if (block?.free && address === block.address) {
+            return 'um bloco do heap já liberado';
+        }
+        if (block) {
+            return `o meio de um bloco do heap que começa em 0x${block.address.toString(16).toUpperCase()}`;
+        }
+        return 'um endereço que não foi alocado';
+    }
+
+    /**
+     * Endereço apontado por um valor, para exibição (null se o tipo não for ponteiro ou o valor for NULL)
+     * @param {number} value - Valor armazenado
+     * @param {string} type - Tipo do valor
+     * @returns {string | null} Endereço em hexadecimal
+     */
+    getPointerTarget(value, type) {
+        return type.includes('*') && value ? `0x${value.toString(16).toUpperCase()}` : null;
+    }
+
+    /**
+     * Obtém uma representação do heap para visualização. Como o heap não tem variáveis,
+     * cada célula é um valor escrito no bloco, lido com o tipo usado na escrita
+     * @returns {Array} Blocos com endereço, tamanho, estado e células escritas
+     */
+    getHeapSnapshot() {
+        return this.heapBlocks.map(block => {
+            const cells = [];
+            const size = block.free ? block.size : block.requested;
+            for (let offset = 0; offset < size; offset++) {
+                const address = block.address + offset;
+                const type = this.storedTypes.get(address);
+                if (!type) continue;
+
+                const value = this.readScalar(address, type);
+                cells.push({
+                    address: `0x${address.toString(16).toUpperCase()}`,
+                    offset,
+                    value: this.formatScalarValue(value, type),
+                    floatingPoint: this.describeFloatingPoint(value, type),
+                    isPointer: type.includes('*'),
+                    pointsTo: this.getPointerTarget(value, type)
+                });
+            }
+
+            return {
+                address: `0x${block.address.toString(16).toUpperCase()}`,
+                header: `0x${block.header.toString(16).toUpperCase()}`,
+                size,
+                capacity: block.size,
+                free: block.free,
+                line: block.line,
+                cells
+            };
+        });
+    }
+
+    /**
+     * Obtém os bytes crus da memória para o hex dump: uma região para cada segmento em uso
+     * (os mesmos de getSegments), em linhas de 16 bytes. Cada byte traz o nome de quem
+     * o ocupa (variável, bloco ou cabeçalho do heap, função, FILE ou literal)
+     * @returns {Array} Regiões { title, rows: [{ address, bytes: [{ value, owner }], text }], omittedRows }
+     */
+    getHexDump() {
+        const hex = value => `0x${value.toString(16).toUpperCase()}`;
+        const ranges = [];
+        for (const meta of this.variableMetadata.values()) {
+            ranges.push({ start: meta.address, end: meta.address + this.getVariableSize(meta), owner: meta.name });
+        }
+        for (const block of this.heapBlocks) {
+            ranges.push({ start: block.header, end: block.address, owner: `cabeçalho do bloco ${hex(block.address)}` });
+            ranges.push({ start: block.address, end: block.address + block.size, owner: `bloco ${hex(block.address)}${block.free ? ' (livre)' : ''}` });
+        }
+        // A variável registrada por último prevalece quando regiões se sobrepõem
+        const ownerAt = address => ranges.findLast(range => address >= range.start && address < range.end)?.owner ?? null;
+
+        for (const [name, address] of this.functionAddresses) {
+            ranges.push({ start: address, end: address + Memory.FUNCTION_SIZE, owner: `função ${name}` });
+        }
+        for (const [name, address] of this.streamAddresses) {
+            ranges.push({ start: address, end: address + Memory.FILE_SIZE, owner: `FILE ${name}` });
+        }
+        for (const literal of this.stringLiterals.values()) {
+            ranges.push({ start: literal.address, end: literal.address + literal.size, owner: `literal ${this.formatStringLiteral(literal.text)}` });
+        }
+
+        // Só as regiões em uso; a pilha começa numa linha alinhada abaixo do seu topo atual
+        const regions = this.getSegments()
+            .filter(segment => segment.end > segment.start)
+            .map(segment => ({
+                title: `${segment.name} (${hex(segment.start)} a ${hex(segment.end - 1)})`,
+                start: segment.name === 'stack' ? segment.start - segment.start % 16 : segment.start,
+                end: segment.end
+            }));
+
+        return regions.map(({ title, start, end }) => {
+            const rows = [];
+            const totalRows = Math.ceil((end - start) / 16);
+            for (let row = 0; row < Math.min(totalRows, Memory.HEX_DUMP_MAX_ROWS); row++) {
+                const rowAddress = start + row * 16;
+                const bytes = [];
+                let text = '';
+                for (let address = rowAddress; address < rowAddress + 16; address++) {
+                    if (address >= end) {
+                        bytes.push(null);
+                        continue;
+                    }
+                    const byte = this.readByte(address);
+                    bytes.push({ value: byte.toString(16).toUpperCase().padStart(2, '0'), owner: ownerAt(address) });
+                    text += byte >= 32 && byte < 127 ? String.fromCharCode(byte) : '.';
+                }
+                rows.push({ address: hex(rowAddress), bytes, text });
+            }
+            return { title, rows, omittedRows: Math.max(0, totalRows - Memory.HEX_DUMP_MAX_ROWS) };
+        });
+    }
+
+    /**
+     * Obtém uma representação da memória para visualização
+     * @returns {Array} Array de objetos com informações da memória
+     */
+    getMemorySnapshot() {
+        const snapshot = [];
+
+        // Literais de string: uma célula por literal, no segmento somente leitura
+        for (const literal of this.stringLiterals.values()) {
+            snapshot.push({
+                address: `0x${literal.address.toString(16).toUpperCase()}`,
+                name: this.formatStringLiteral(literal.text),
+                scope: 'rodata',
+                frameId: 'rodata',
+                value: `char[${literal.size}]`,
+                isPointer: false,
+                pointsTo: null,
+                isArrayElement: false
+            });
+        }
+        
+        // Iterate over variableMetadata which contains richer info
+        for (const [key, meta] of this.variableMetadata.entries()) {
+            if (meta.type === 'array') {
+                const { name, scopeName: scope, address: baseAddress, elementType, elementSize, arraySize, owner } = meta;
+                const dimensions = meta.dimensions || [arraySize];
+                for (let i = 0; i < arraySize; i++) {
+                    const elementAddress = baseAddress + (i * elementSize);
+                    const elementName = `${name}${this.formatIndices(i, dimensions)}${owner ? ` (static em ${owner})` : ''}`;
+                    if (this.isStructType(elementType)) {
+                        snapshot.push({
+                            ...this.getStructSnapshot(elementAddress, elementType, meta),
+                            name: elementName,
+                            isArrayElement: true,
+                            arrayName: name,
+                            elementIndex: i
+                        });
+                        continue;
                     }
+                    const value = this.readScalar(elementAddress, elementType);
+                    const isElementPointer = elementType.includes('*');
+                    const pointsToValue = this.getPointerTarget(value, elementType);
 
                     snapshot.push({
                         address: `0x${elementAddress.toString(16).toUpperCase()}`,
-                        name: `${name}[${i}]`,
+                        name: elementName,
                         scope: scope,
-                        value: value,
+                        frameId: meta.frameId,
+                        value: this.formatScalarValue(value, elementType),
+                        floatingPoint: this.describeFloatingPoint(value, elementType),
                         isPointer: isElementPointer,
                         pointsTo: pointsToValue,
                         isArrayElement: true,
                         arrayName: name, // For grouping
-                        elementIndex: i
+                        elementIndex: i,
+                        dimensions: dimensions // Arrays com mais de uma dimensão são desenhados como grade
                     });
                 }
+            } else if (this.isStructType(meta.type)) {
+                snapshot.push({
+                    ...this.getStructSnapshot(meta.address, meta.type, meta),
+                    name: meta.owner ? `${meta.name} (static em ${meta.owner})` : meta.name,
+                    isArrayElement: false
+                });
             } else {
                 // Simple variable or pointer
-                const { name, scope, address, type, isPointer: varIsPointer } = meta;
-                const value = this.memory.get(address);
-                let pointsToValue = null;
-                if (varIsPointer && this.pointers.has(address)) {
-                     const targetAddr = this.pointers.get(address);
-                     if (targetAddr !== null && targetAddr !== undefined) {
-                        pointsToValue = `0x${targetAddr.toString(16).toUpperCase()}`;
-                     }
-                }
+                const { name, scopeName: scope, address, type, isPointer: varIsPointer, owner } = meta;
+                const value = this.readScalar(address, type);
+                const pointsToValue = this.getPointerTarget(value, type);
 
                 snapshot.push({
                     address: `0x${address.toString(16).toUpperCase()}`,
-                    name: name,
+                    name: owner ? `${name} (static em ${owner})` : name,
                     scope: scope,
-                    value: value,
+                    frameId: meta.frameId,
+                    value: this.formatScalarValue(value, type),
+                    floatingPoint: this.describeFloatingPoint(value, type),
                     isPointer: varIsPointer, // from metadata
                     pointsTo: pointsToValue,
                     isArrayElement: false
                 });
             }
         }
-        // Sort by scope and then by address (or name for stable order)
+        // Sort by scope (literais, globals, then frames in call order) and then by address
+        const scopeOrder = frameId => frameId === 'rodata' ? -2 : frameId === 'global' ? -1 : frameId;
         snapshot.sort((a, b) => {
-            if (a.scope < b.scope) return -1;
-            if (a.scope > b.scope) return 1;
+            if (a.frameId !== b.frameId) {
+                return scopeOrder(a.frameId) - scopeOrder(b.frameId);
+            }
             // For arrays, sort by index within the same array
             if (a.isArrayElement && b.isArrayElement && a.arrayName === b.arrayName) {
                 return a.elementIndex - b.elementIndex;
             }
-            // If different types or not same array, sort by address
-            return parseInt(a.address, 16) - parseInt(b.address, 16);
+            // If different types or not same array, sort by address. Na pilha, que cresce para baixo,
+            // os endereços mais altos (as primeiras variáveis do frame) vêm primeiro
+            const byAddress = parseInt(a.address, 16) - parseInt(b.address, 16);
+            return typeof a.frameId === 'number' ? -byAddress : byAddress;
         });
         return snapshot;
     }
 
+    /**
+     * Item do snapshot da memória para uma struct, agrupando os seus campos
+     * @param {number} address - Endereço da struct
+     * @param {string} type - Tipo da struct
+     * @param {Object} meta - Metadados da variável que contém a struct
+     * @returns {Object} Item com os campos em members
+     */
+    getStructSnapshot(address, type, meta) {
+        return {
+            address: `0x${address.toString(16).toUpperCase()}`,
+            scope: meta.scopeName,
+            frameId: meta.frameId,
+            value: this.formatStructValue(address, type),
+            isPointer: false,
+            pointsTo: null,
+            isStruct: true,
+            structType: this.getTypeDisplayName(type),
+            size: this.getSizeForType(type),
+            members: this.getStructCells(address, type)
+        };
+    }
+
     /**
      * Obtém uma representação da pilha para visualização
      * @returns {Array} Array de objetos com informações da pilha
@@ -393,26 +1366,32 @@ class Memory {
         return this.stackFrames.map(frame => {
             const variables = {};
             
-            // Inclui parâmetros no snapshot
-            for (const [name, address] of Object.entries(frame.parameters)) {
-                variables[name] = {
-                    address: `0x${address.toString(16).toUpperCase()}`,
-                    value: this.memory.get(address)
-                };
-            }
-            
-            // Inclui variáveis locais
-            for (const [name, address] of frame.variables.entries()) {
-                variables[name] = {
-                    address: `0x${address.toString(16).toUpperCase()}`,
-                    value: this.memory.get(address)
-                };
-            }
+            // Inclui parâmetros e variáveis locais de todos os blocos em execução.
+            // Variáveis sombreadas por uma declaração interna aparecem marcadas como ocultas
+            frame.blocks.forEach((block, depth) => {
+                for (const [name, key] of block.variables.entries()) {
+                    const address = this.variableAddresses.get(key);
+                    const meta = this.variableMetadata.get(key);
+                    // Arrays mostram o primeiro elemento
+                    const type = meta.type === 'array' ? meta.elementType : meta.type;
+                    const shadowed = frame.blocks.slice(depth + 1).some(inner => inner.variables.has(name));
+                    const label = shadowed ? `${name} (oculta)` : name;
+                    variables[label] = {
+                        address: `0x${address.toString(16).toUpperCase()}`,
+                        value: this.isStructType(type)
+                            ? this.formatStructValue(address, type)
+                            : this.formatScalarValue(this.readScalar(address, type), type)
+                    };
+                }
+            });
             
             return {
                 function: frame.function,
                 id: frame.id,
+                scope: frame.scope,
+                blocks: frame.blocks.map(block => block.name), // Escopos ativos deste frame
                 caller: frame.caller, // Inclui informação sobre quem chamou esta função
+                returnAddress: frame.returnAddress, // Linha da chamada, para onde a execução volta
                 variables,
                 returnValue: frame.returnValue
             };
@@ -423,13 +1402,22 @@ class Memory {
      * Reseta o estado da memória
      */
     reset() {
-        this.memory.clear();
-        this.pointers.clear();
+        this.pages.clear();
+        this.storedTypes.clear();
         this.variableAddresses.clear();
         this.variableMetadata.clear();
         this.stackFrames = [];
-        this.nextAddress = 0x1000;
-        this.lastReturnValues = {};
+        this.nextFrameId = 0;
+        this.nextScopeId = 0;
+        this.heapBlocks = [];
+        this.releasedRegions = [];
+        this.structDefinitions.clear();
+        this.structLayouts.clear();
+        this.enumDefinitions.clear();
+        this.functionAddresses.clear();
+        this.streamAddresses.clear();
+        this.stringLiterals.clear();
+        this.layoutSegments();
     }
 
     // Métodos auxiliares
@@ -440,13 +1428,403 @@ class Memory {
      * @returns {number} Tamanho em bytes
      */
     getSizeForType(type) {
+        const arrayType = this.parseArrayType(type);
+        if (arrayType) {
+            return arrayType.dimensions.reduce((total, dimension) => total * dimension, this.getSizeForType(arrayType.elementType));
+        }
+        if (type.includes('*')) return 4; // Ponteiros, inclusive char* e ponteiro para ponteiro
+        if (this.isStructType(type)) return this.getStructLayout(type).size;
+        if (this.isEnumType(type)) return 4; // Enums são armazenados como int
         if (type.includes('char')) return 1;
         if (type.includes('short')) return 2;
-        if (type.includes('int') || type.includes('float') || type.includes('*')) return 4;
+        if (type.includes('int') || type.includes('float')) return 4;
         if (type.includes('double') || type.includes('long')) return 8;
         return 4; // Padrão
     }
 
+    /**
+     * Retorna o alinhamento exigido por um tipo: o próprio tamanho para tipos básicos
+     * e o maior alinhamento entre os membros para structs e unions
+     * @param {string} type - Tipo
+     * @returns {number} Alinhamento em bytes
+     */
+    getAlignmentForType(type) {
+        if (this.isStructType(type)) return this.getStructLayout(type).alignment;
+        return Math.min(this.getSizeForType(type), this.options.maxAlignment);
+    }
+
+    /**
+     * Verifica se um tipo é struct ou union (e não ponteiro ou array delas)
+     * @param {string} type - Tipo
+     * @returns {boolean}
+     */
+    isStructType(type) {
+        return typeof type === 'string' && /^(struct|union) /.test(type) && !type.endsWith('*') && !type.endsWith(']');
+    }
+
+    /**
+     * Largura e sinal de um tipo inteiro, com os limites representáveis
+     * (enums são armazenados como int)
+     * @param {string} type - Tipo
+     * @returns {Object | null} { bits, signed, min, max } ou null se não for um tipo inteiro
+     */
+    getIntegerInfo(type) {
+        return Memory.INTEGER_INFO[this.isEnumType(type) ? 'int' : type] ?? null;
+    }
+
+    /**
+     * Valor de um tipo inteiro como BigInt (o valor exato, para gravar em 64 bits ou formatar)
+     * @param {number | bigint} value - Valor já convertido para o tipo
+     * @param {string} type - Tipo inteiro
+     * @returns {bigint} Valor no intervalo do tipo
+     */
+    toBigInt(value, type) {
+        const { bits, signed } = this.getIntegerInfo(type) ?? this.getIntegerInfo('int');
+        const number = typeof value === 'bigint' ? value : BigInt(Number.isFinite(value) ? Math.trunc(value) : 0);
+        return signed ? BigInt.asIntN(bits, number) : BigInt.asUintN(bits, number);
+    }
+
+    /**
+     * Converte um valor para a representação de um tipo escalar, como numa atribuição:
+     * inteiros perdem a parte fracionária e, fora do intervalo do tipo, são reduzidos
+     * módulo 2^bits (unsigned char c = 300 guarda 44; em tipos com sinal o GCC faz o mesmo).
+     * Nos tipos de 64 bits, um valor que não cabe exatamente num número do JavaScript (acima
+     * de 2^53) é mantido como BigInt: ULLONG_MAX continua valendo 18446744073709551615.
+     * Um float é arredondado para a precisão simples (0.1f guarda 0.100000001490116...)
+     * @param {number | bigint | *} value - Valor (outros valores, como structs, não mudam)
+     * @param {string} type - Tipo de destino
+     * @returns {*} Valor convertido
+     */
+    convertScalar(value, type) {
+        if (typeof value !== 'number' && typeof value !== 'bigint') return value;
+        if (type === '_Bool') return value != 0 ? 1 : 0;
+        if (type === 'float') return Math.fround(Number(value));
+
+        const info = this.getIntegerInfo(type);
+        if (!info) return Number(value); // Ponto flutuante e ponteiros
+
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return 0;
+            value = Math.trunc(value);
+            if (Number.isSafeInteger(value) && value >= info.min && value <= info.max) return value;
+            value = BigInt(value);
+        }
+        const result = info.signed ? BigInt.asIntN(info.bits, value) : BigInt.asUintN(info.bits, value);
+        return Number.isSafeInteger(Number(result)) ? Number(result) : result;
+    }
+
+    /**
+     * Decompõe um valor de ponto flutuante nos campos do IEEE 754: bit de sinal,
+     * expoente (com o deslocamento do formato) e mantissa, além dos bytes em hexadecimal
+     * @param {number} value - Valor armazenado
+     * @param {string} type - Tipo (float, double ou long double)
+     * @returns {Object | null} Campos da representação, ou null se o tipo não for de ponto flutuante
+     */
+    describeFloatingPoint(value, type) {
+        const format = Memory.FLOATING_FORMATS[type];
+        if (!format || typeof value !== 'number') return null;
+
+        const view = new DataView(new ArrayBuffer(format.bytes));
+        if (format.bytes === 4) {
+            view.setFloat32(0, value);
+        } else {
+            view.setFloat64(0, value);
+        }
+        const bytes = Array.from(new Uint8Array(view.buffer));
+        const bits = bytes.map(byte => byte.toString(2).padStart(8, '0')).join('');
+        const exponent = bits.slice(1, 1 + format.exponentBits);
+        const mantissa = bits.slice(1 + format.exponentBits);
+
+        const bias = 2 ** (format.exponentBits - 1) - 1;
+        const storedExponent = parseInt(exponent, 2);
+        const mantissaIsZero = !mantissa.includes('1');
+        let kind = 'normal';
+        if (storedExponent === 0) {
+            kind = mantissaIsZero ? 'zero' : 'subnormal';
+        } else if (!exponent.includes('0')) {
+            kind = mantissaIsZero ? 'infinito' : 'NaN';
+        }
+
+        return {
+            type,
+            value,
+            sign: bits[0],
+            exponent,
+            mantissa,
+            bias,
+            storedExponent,
+            // Subnormais usam o menor expoente (1 - bias) sem o 1 implícito da mantissa
+            exponentValue: kind === 'normal' ? storedExponent - bias : (kind === 'subnormal' ? 1 - bias : null),
+            significand: (kind === 'normal' ? 1 : 0) + parseInt(mantissa, 2) / 2 ** format.mantissaBits,
+            kind,
+            // Bytes do mais significativo para o menos significativo (na memória, little-endian, ficam na ordem inversa)
+            bytes: bytes.map(byte => byte.toString(16).toUpperCase().padStart(2, '0'))
+        };
+    }
+
+    /**
+     * Verifica se um tipo é um enum (e não ponteiro ou array dele)
+     * @param {string} type - Tipo
+     * @returns {boolean}
+     */
+    isEnumType(type) {
+        return typeof type === 'string' && /^enum /.test(type) && !type.endsWith('*') && !type.endsWith(']');
+    }
+
+    /**
+     * Decompõe um tipo array, como "int[4]" (a linha de uma matriz, apontada por um int[4]*)
+     * @param {string} type - Tipo
+     * @returns {Object | null} { elementType, dimensions } ou null se não for um tipo array
+     */
+    parseArrayType(type) {
+        const match = /^([^[\]]+?)((?:\[\d+\])+)$/.exec(type);
+        if (!match) return null;
+        return {
+            elementType: match[1],
+            dimensions: match[2].slice(1, -1).split('][').map(Number)
+        };
+    }
+
+    /**
+     * Converte a posição de um elemento (em ordem de linha) nos seus índices, como "[1][2]"
+     * @param {number} position - Posição do elemento entre todos os elementos do array
+     * @param {Array} dimensions - Dimensões do array
+     * @returns {string} Índices entre colchetes
+     */
+    formatIndices(position, dimensions) {
+        const indices = [];
+        for (let d = dimensions.length - 1; d >= 0; d--) {
+            indices.unshift(position % dimensions[d]);
+            position = Math.floor(position / dimensions[d]);
+        }
+        return indices.map(index => `[${index}]`).join('');
+    }
+
+    /**
+     * Registra a definição de uma struct ou union
+     * @param {string} type - Nome do tipo (ex: "struct Ponto")
+     * @param {Object} definition - { kind, name, members: [{ name, type, dimensions }] }
+     */
+    defineStruct(type, definition) {
+        this.structDefinitions.set(type, definition);
+        this.structLayouts.delete(type);
+    }
+
+    /**
+     * Registra a definição de um enum
+     * @param {string} type - Nome do tipo (ex: "enum Cor")
+     * @param {Object} definition - { name, constants: [{ name, value }] }
+     */
+    defineEnum(type, definition) {
+        this.enumDefinitions.set(type, definition);
+    }
+
+    /**
+     * Valor de uma variável escalar para exibição: enums mostram o nome da constante
+     * correspondente junto ao valor inteiro, como em "VERDE (5)"
+     * @param {*} value - Valor armazenado
+     * @param {string} type - Tipo da variável
+     * @returns {*} Valor para exibição
+     */
+    formatScalarValue(value, type) {
+        if (!this.isEnumType(type) || typeof value !== 'number') return value;
+        const constant = this.enumDefinitions.get(type)?.constants.find(c => c.value === value);
+        return constant ? `${constant.name} (${value})` : value;
+    }
+
+    /**
+     * Nome de um tipo para exibição: structs e enums anônimos definidos com typedef
+     * aparecem com o nome do typedef
+     * @param {string} type - Tipo
+     * @returns {string} Nome para exibição
+     */
+    getTypeDisplayName(type) {
+        const definition = this.structDefinitions.get(type) || this.enumDefinitions.get(type);
+        return definition?.typedefName ?? type;
+    }
+
+    /**
+     * Calcula o layout de uma struct ou union como um compilador faria: cada membro fica
+     * no próximo deslocamento múltiplo do seu alinhamento (com bytes de preenchimento entre eles)
+     * e o tamanho total é arredondado para o alinhamento da struct. Numa union todos os
+     * membros começam no deslocamento 0
+     * @param {string} type - Nome do tipo
+     * @returns {Object} { kind, size, alignment, members: [{ name, type, offset, size, arraySize?, elementType?, elementSize? }] }
+     */
+    getStructLayout(type) {
+        if (this.structLayouts.has(type)) {
+            return this.structLayouts.get(type);
+        }
+
+        const definition = this.structDefinitions.get(type);
+        const isUnion = definition.kind === 'union';
+        let offset = 0;
+        let largest = 0;
+        let alignment = 1;
+
+        const members = definition.members.map(member => {
+            const elementSize = this.getSizeForType(member.type);
+            const memberAlignment = this.getAlignmentForType(member.type);
+            const count = member.dimensions.reduce((total, dimension) => total * dimension, 1);
+            const size = elementSize * count;
+            const memberOffset = isUnion ? 0 : this.alignAddress(offset, memberAlignment);
+
+            offset = memberOffset + size;
+            largest = Math.max(largest, size);
+            alignment = Math.max(alignment, memberAlignment);
+
+            const layout = { name: member.name, type: member.type, offset: memberOffset, size };
+            if (member.dimensions.length > 0) {
+                Object.assign(layout, { arraySize: count, dimensions: member.dimensions, elementType: member.type, elementSize });
+            }
+            return layout;
+        });
+
+        const layout = {
+            kind: definition.kind,
+            size: this.alignAddress(isUnion ? largest : offset, alignment),
+            alignment,
+            members
+        };
+        this.structLayouts.set(type, layout);
+        return layout;
+    }
+
+    /**
+     * Procura um membro de uma struct ou union
+     * @param {string} type - Tipo da struct
+     * @param {string} name - Nome do membro
+     * @returns {Object | undefined} Layout do membro
+     */
+    getStructMember(type, name) {
+        return this.getStructLayout(type).members.find(member => member.name === name);
+    }
+
+    /**
+     * Lista os campos escalares de um tipo (membros de structs aninhadas e elementos
+     * de membros array incluídos), com deslocamentos relativos ao início do objeto.
+     * Por padrão, campos de uma union que começam no mesmo deslocamento aparecem uma única vez
+     * @param {string} type - Tipo do objeto
+     * @param {number} baseOffset - Deslocamento do objeto dentro do objeto externo
+     * @param {string} path - Caminho do objeto (ex: "pos" em "pos.x")
+     * @param {boolean} unique - Se campos sobrepostos devem ser omitidos
+     * @returns {Array} Campos { offset, type, path }
+     */
+    getScalarFields(type, baseOffset = 0, path = '', unique = true) {
+        if (!this.isStructType(type)) {
+            return [{ offset: baseOffset, type, path }];
+        }
+
+        const fields = [];
+        const seen = new Set();
+        const add = field => {
+            if (!unique || !seen.has(field.offset)) {
+                seen.add(field.offset);
+                fields.push(field);
+            }
+        };
+
+        for (const member of this.getStructLayout(type).members) {
+            const memberPath = path ? `${path}.${member.name}` : member.name;
+            const count = member.arraySize ?? 1;
+            for (let i = 0; i < count; i++) {
+                const elementPath = member.arraySize === undefined ? memberPath : `${memberPath}${this.formatIndices(i, member.dimensions)}`;
+                const elementOffset = baseOffset + member.offset + i * (member.elementSize ?? 0);
+                this.getScalarFields(member.type, elementOffset, elementPath, unique).forEach(add);
+            }
+        }
+
+        return fields.sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Zera todos os campos de um objeto recém-alocado (ponteiros começam como NULL)
+     * @param {number} address - Endereço do objeto
+     * @param {string} type - Tipo do objeto
+     */
+    initializeObject(address, type) {
+        for (const field of this.getScalarFields(type)) {
+            this.store(address + field.offset, this.getDefaultValueForType(field.type), field.type);
+        }
+    }
+
+    /**
+     * Descreve o valor de uma struct em uma linha, como em { x = 1, pos = { x = 2 } }
+     * @param {number} address - Endereço da struct
+     * @param {string} type - Tipo da struct
+     * @returns {string} Descrição
+     */
+    formatStructValue(address, type) {
+        const parts = this.getStructLayout(type).members.map(member => {
+            const memberAddress = address + member.offset;
+            let value;
+            if (member.arraySize !== undefined) {
+                // Arrays multidimensionais aparecem aninhados: { { 1, 2 }, { 3, 4 } }
+                const formatArray = (address, dimensions) => {
+                    const [count, ...inner] = dimensions;
+                    const stride = inner.reduce((total, dimension) => total * dimension, 1) * member.elementSize;
+                    const elements = [];
+                    for (let i = 0; i < count; i++) {
+                        const elementAddress = address + i * stride;
+                        if (inner.length > 0) {
+                            elements.push(formatArray(elementAddress, inner));
+                        } else {
+                            elements.push(this.isStructType(member.type)
+                                ? this.formatStructValue(elementAddress, member.type)
+                                : this.formatScalarValue(this.readScalar(elementAddress, member.type), member.type));
+                        }
+                    }
+                    return `{ ${elements.join(', ')} }`;
+                };
+                value = formatArray(memberAddress, member.dimensions);
+            } else if (this.isStructType(member.type)) {
+                value = this.formatStructValue(memberAddress, member.type);
+            } else {
+                value = this.formatScalarValue(this.readScalar(memberAddress, member.type), member.type);
+            }
+            return `${member.name} = ${value}`;
+        });
+        return `{ ${parts.join(', ')} }`;
+    }
+
+    /**
+     * Monta as células de uma struct para a visualização: um item por campo escalar,
+     * com o deslocamento, e os bytes de preenchimento entre os campos
+     * @param {number} address - Endereço da struct
+     * @param {string} type - Tipo da struct
+     * @returns {Array} Itens { address, name, offset, value, isPointer, pointsTo } ou { offset, size, isPadding }
+     */
+    getStructCells(address, type) {
+        const cells = [];
+        let covered = 0;
+
+        // Membros de uma union aparecem todos, sobrepostos no mesmo deslocamento
+        for (const field of this.getScalarFields(type, 0, '', false)) {
+            if (field.offset > covered) {
+                cells.push({ offset: covered, size: field.offset - covered, isPadding: true });
+            }
+            covered = Math.max(covered, field.offset + this.getSizeForType(field.type));
+
+            const fieldAddress = address + field.offset;
+            const value = this.readScalar(fieldAddress, field.type);
+            cells.push({
+                address: `0x${fieldAddress.toString(16).toUpperCase()}`,
+                name: field.path,
+                offset: field.offset,
+                value: this.formatScalarValue(value, field.type),
+                floatingPoint: this.describeFloatingPoint(value, field.type),
+                isPointer: field.type.includes('*'),
+                pointsTo: this.getPointerTarget(value, field.type)
+            });
+        }
+
+        const size = this.getSizeForType(type);
+        if (size > covered) {
+            cells.push({ offset: covered, size: size - covered, isPadding: true });
+        }
+        return cells;
+    }
+
     /**
      * Retorna o valor padrão para um tipo
      * @param {string} type - Tipo da variável
@@ -472,11 +1850,6 @@ class Memory {
         
         value = value.trim();
         
-        // Verifica se é uma operação de endereço
-        if (value.startsWith('&')) {
-            return value; // Mantém como string para processamento posterior
-        }
-        
         // Verifica se é um número
         if (!isNaN(value)) {
             // Se tiver ponto decimal, é float
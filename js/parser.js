@@ -1,439 +1,1859 @@
 /**
  * Parser para código C99
- * Este arquivo contém funcionalidades para analisar código C99 simples
+ * Este arquivo contém um parser descendente recursivo que constrói a AST
+ * completa (declarações, instruções e expressões) a partir dos tokens do CLexer
  */
 
 class CParser {
-    constructor() {
+    /**
+     * @param {Memory} memory - Memória do executor, usada para calcular sizeof em expressões
+     * constantes (o layout das structs depende das opções dela). Sem ela, sizeof e casts não são constantes
+     */
+    constructor(memory = null) {
+        this.memory = memory;
         this.variables = new Map();
         this.functions = new Map();
         this.includes = [];
         this.currentScope = "global";
         this.ast = null;
+        this.lexer = new CLexer();
+        this.macros = new Map(); // Macros simples definidas com #define
+        this.structs = new Map(); // Definições de struct/union ('struct Nome' -> { kind, name, members })
+        this.anonymousStructs = 0; // Contador para nomear structs sem tag
+        this.typedefs = new Map(); // Nomes definidos com typedef (nome -> tipo)
+        this.enums = new Map(); // Definições de enum ('enum Cor' -> { name, constants: [{ name, value }] })
+        this.enumConstants = new Map(); // Constantes de enum (nome -> valor)
+        this.loopDepth = 0; // Laços abertos no ponto atual (para validar break e continue)
+        this.switches = []; // Switches abertos: { values, hasDefault } para validar os case
+        this.labels = new Map(); // Rótulos da função atual (nome -> token)
+        this.gotos = []; // Tokens dos goto da função atual, verificados ao fim da função
+        this.tokens = [];
+        this.position = 0;
+        this.previousToken = null; // Último token consumido (usado para o fim das localizações)
     }
 
     /**
-     * Analisa o código C e constrói uma AST simplificada
+     * Especificadores de tipo básicos
+     */
+    static TYPE_SPECIFIERS = new Set([
+        'void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned', '_Bool'
+    ]);
+
+    /**
+     * Qualificadores e especificadores de armazenamento aceitos nas declarações
+     */
+    static QUALIFIERS = new Set(['const', 'volatile', 'restrict', 'inline', 'register', 'auto']);
+    static STORAGE_CLASSES = new Set(['static', 'extern', 'typedef']);
+    static STRUCT_KEYWORDS = new Set(['struct', 'union']);
+
+    /**
+     * Precedência dos operadores binários (maior valor = liga mais forte)
+     */
+    static BINARY_PRECEDENCE = {
+        '||': 1,
+        '&&': 2,
+        '|': 3,
+        '^': 4,
+        '&': 5,
+        '==': 6, '!=': 6,
+        '<': 7, '>': 7, '<=': 7, '>=': 7,
+        '<<': 8, '>>': 8,
+        '+': 9, '-': 9,
+        '*': 10, '/': 10, '%': 10
+    };
+
+    /**
+     * Sequências de escape simples e o código do caractere que representam
+     */
+    static SIMPLE_ESCAPES = {
+        'n': 10, 't': 9, 'r': 13, 'a': 7, 'b': 8, 'f': 12, 'v': 11,
+        '\\': 92, "'": 39, '"': 34, '?': 63
+    };
+
+    static ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '&=', '^=', '|=']);
+
+    /**
+     * Analisa o código C e constrói a AST
      * @param {string} code - Código C99 a ser analisado
-     * @returns {Object} AST simplificada
+     * @returns {Object} AST com includes, structs, enums, typedefs, variáveis globais e funções
+     * @throws {CSyntaxError} Se o código não for C99 válido
      */
     parse(code) {
-        // Remove comentários de linha única
-        code = code.replace(/\/\/.*$/gm, '');
-        
-        // Remove comentários multi-linha
-        code = code.replace(/\/\*[\s\S]*?\*\//g, '');
-        
-        // Identifica includes
-        const includeRegex = /#include\s*<([^>]+)>/g;
-        let match;
-        while ((match = includeRegex.exec(code)) !== null) {
-            this.includes.push(match[1]);
-        }
-        
-        // Divide o código em funções
-        const functionRegex = /(\w+)\s+(\w+)\s*\(([^)]*)\)\s*{([^{}]*(?:{[^{}]*(?:{[^{}]*}[^{}]*)*}[^{}]*)*)}/g;
+        this.functions = new Map();
+        this.includes = [];
+        this.macros = new Map();
+        this.structs = new Map();
+        this.anonymousStructs = 0;
+        this.typedefs = new Map();
+        this.enums = new Map();
+        this.enumConstants = new Map();
+        this.loopDepth = 0;
+        this.switches = [];
+        this.tokens = this.preprocess(this.lexer.tokenize(code));
+        this.position = 0;
+        this.previousToken = null;
+
         const functions = [];
-        
-        while ((match = functionRegex.exec(code)) !== null) {
-            const returnType = match[1];
-            const functionName = match[2];
-            const params = this.parseParameters(match[3]);
-            const body = this.parseBody(match[4]);
-            
-            functions.push({
-                type: 'function',
-                returnType,
-                name: functionName,
-                parameters: params,
-                body
-            });
-            
-            this.functions.set(functionName, {
-                returnType,
-                parameters: params
-            });
+        const globals = [];
+
+        while (!this.check('eof')) {
+            const external = this.parseExternalDeclaration();
+            if (external.type === 'function') {
+                functions.push(external);
+            } else {
+                globals.push(...external.declarations);
+            }
         }
-        
+
         this.ast = {
             includes: this.includes,
+            structs: this.structs,
+            enums: this.enums,
+            typedefs: this.typedefs,
+            globals,
             functions
         };
-        
+
         return this.ast;
     }
-    
-    /**
-     * Analisa os parâmetros de uma função
-     * @param {string} paramsString - String com os parâmetros da função
-     * @returns {Array} Array de objetos representando os parâmetros
-     */
-    parseParameters(paramsString) {
-        if (!paramsString.trim()) return [];
-        
-        const params = paramsString.split(',').map(param => {
-            const parts = param.trim().split(/\s+/);
-            const name = parts.pop();
-            const type = parts.join(' ');
-            const isPointer = name.includes('*');
-            
-            return {
-                type: type + (isPointer ? '*' : ''),
-                name: name.replace('*', '')
-            };
-        });
-        
-        return params;
+
+    /**
+     * Analisa o protótipo de uma função, como 'int printf(const char *format, ...)'
+     * @param {string} prototype - Protótipo, sem o ponto e vírgula
+     * @param {string | null} header - Cabeçalho incluído antes do protótipo, cujos tipos ele pode usar
+     * @returns {Object} { name, returnType, parameters }
+     * @throws {CSyntaxError} Se o texto não for exatamente um protótipo
+     */
+    parsePrototype(prototype, header = null) {
+        // Os tipos da biblioteca (size_t, FILE) podem aparecer em qualquer protótipo, como num cabeçalho que inclui stdio.h
+        const includes = ['stdio.h', header].filter(Boolean).map(name => `#include <${name}>\n`);
+        try {
+            this.parse(`${includes.join('')}${prototype};`);
+        } catch (error) {
+            if (!(error instanceof CSyntaxError) || error.line <= includes.length) throw error;
+            // A posição informada é a do texto do protótipo, sem as linhas dos #include
+            throw new CSyntaxError(error.message.slice(error.message.indexOf(': ') + 2), error.line - includes.length, error.column);
+        }
+        if (this.functions.size !== 1 || this.ast.globals.length > 0 || this.ast.functions.length > 0) {
+            throw new CSyntaxError(`Protótipo de função esperado: '${prototype}'`, 1, 1);
+        }
+        const [[name, { returnType, parameters }]] = this.functions;
+        return { name, returnType, parameters };
     }
-    
+
     /**
-     * Analisa o corpo de uma função e extrai as instruções
-     * @param {string} bodyString - String com o corpo da função
-     * @returns {Array} Array de objetos representando as instruções
+     * Cabeçalhos da biblioteca padrão que definem NULL
      */
-    parseBody(bodyString) {
-        const body = [];
-        
-        // Dividimos o corpo em linhas e analisamos cada uma
-        let lines = bodyString.split(';').map(line => line.trim()).filter(line => line);
-        
-        for (const line of lines) {
-            // Array declaration parsing
-            // int arr[10]; char name[20]; float values[SIZE]; int arr[] = {1,2,3}; char str[] = "hello";
-            const arrayDeclRegex = /^(int|char|float|double)\s+(\w+)\s*\[\s*(\w*)\s*\](?:\s*=\s*(.+))?$/;
-            const arrayMatch = arrayDeclRegex.exec(line);
-
-            if (arrayMatch) {
-                const varType = arrayMatch[1];
-                const name = arrayMatch[2];
-                const sizeFromDecl = arrayMatch[3]; // Can be empty, a number string, or a symbolic string
-                const rawInitializer = arrayMatch[4];
-                
-                let finalSize = null;
-                let initialValue = null;
-
-                // Determine initial size based on declaration (e.g., "10" or "SIZE")
-                if (sizeFromDecl) {
-                    const num = parseInt(sizeFromDecl, 10);
-                    if (!isNaN(num)) {
-                        finalSize = num;
-                    } else {
-                        finalSize = sizeFromDecl; // Symbolic size like 'SIZE'
-                    }
-                } // If sizeFromDecl is empty, finalSize remains null for now.
-
-                if (rawInitializer) {
-                    if (rawInitializer.startsWith('{') && rawInitializer.endsWith('}')) {
-                        // Initializer list: e.g., {1, 2, 3}
-                        const listContent = rawInitializer.substring(1, rawInitializer.length - 1).trim();
-                        if (listContent) {
-                            initialValue = listContent.split(',').map(item => {
-                                item = item.trim();
-                                // Attempt to convert to number, otherwise keep as string (for potential symbols)
-                                return isNaN(Number(item)) ? item : Number(item);
-                            });
-                        } else {
-                            initialValue = []; // Empty initializer list e.g. {}
-                        }
-                        if (sizeFromDecl === '') { // Infer size: int arr[] = {1,2,3};
-                            finalSize = initialValue.length;
-                        }
-                    } else if (varType === 'char' && rawInitializer.startsWith('"') && rawInitializer.endsWith('"')) {
-                        // String literal for char array: e.g., "hello"
-                        initialValue = rawInitializer; // Keep the quotes as per requirement "hello"
-                        if (sizeFromDecl === '') { // Infer size: char str[] = "hello";
-                            finalSize = rawInitializer.length - 2 + 1; // string content length + null terminator
-                        }
-                    } else {
-                        // Other types of initializers (e.g., single value for non-char array, or complex expression)
-                        // For now, store as is. This part might need more specific handling for non-char arrays if not an initializer list.
-                        initialValue = rawInitializer;
-                        // If it's a simple variable assigned to an array element (e.g. int x = arr[0]), this regex won't catch it.
-                        // This path is more for `int arr[5] = x;` which is not standard C for full array init.
-                        // However, the regex `(?:\s*=\s*(.+))?$` captures the RHS broadly.
-                        // If sizeFromDecl was empty, finalSize would still be null here, which is an issue if type != char
-                        // e.g. int arr[] = x; -> size remains null. This is complex.
-                        // Let's assume for now that non-char arrays without explicit size must use {} or not be handled by this initializer block.
-                        // The problem description focuses on {} and "" for initializers.
-                    }
-                }
-                
-                // finalSize can be: a number, a symbolic string, or null (if not specified and not inferable)
-                const dimensions = finalSize !== null ? [finalSize] : [null];
-
-                body.push({
-                    type: 'array_declaration',
-                    varType: varType,
-                    name: name,
-                    size: finalSize, 
-                    dimensions: dimensions,
-                    initialValue: initialValue
-                });
+    static NULL_HEADERS = new Set(['stdio.h', 'stdlib.h', 'string.h', 'stddef.h', 'time.h', 'locale.h', 'wchar.h']);
+
+    /**
+     * Cabeçalhos da biblioteca padrão que definem o tipo size_t (unsigned int, com int de 32 bits)
+     */
+    static SIZE_T_HEADERS = new Set(['stdio.h', 'stdlib.h', 'string.h', 'stddef.h']);
+
+    /**
+     * Macros de limits.h para os tamanhos simulados (char de 8 bits, short de 16, int de 32, long de 64)
+     */
+    static LIMITS_MACROS = {
+        CHAR_BIT: '8',
+        SCHAR_MIN: '(-128)',
+        SCHAR_MAX: '127',
+        UCHAR_MAX: '255',
+        CHAR_MIN: '(-128)',
+        CHAR_MAX: '127',
+        SHRT_MIN: '(-32768)',
+        SHRT_MAX: '32767',
+        USHRT_MAX: '65535',
+        INT_MIN: '(-2147483647 - 1)',
+        INT_MAX: '2147483647',
+        UINT_MAX: '4294967295U',
+        LONG_MIN: '(-9223372036854775807L - 1)',
+        LONG_MAX: '9223372036854775807L',
+        ULONG_MAX: '18446744073709551615UL',
+        LLONG_MIN: '(-9223372036854775807LL - 1)',
+        LLONG_MAX: '9223372036854775807LL',
+        ULLONG_MAX: '18446744073709551615ULL'
+    };
+
+    /**
+     * Macros definidas por cada cabeçalho da biblioteca padrão (EOF é o valor devolvido pelas
+     * leituras quando a entrada acaba; RAND_MAX é o maior valor de rand)
+     */
+    static HEADER_MACROS = {
+        'stdio.h': { EOF: '(-1)' },
+        'stdlib.h': { RAND_MAX: '2147483647', EXIT_SUCCESS: '0', EXIT_FAILURE: '1' },
+        'math.h': { M_PI: '3.14159265358979323846', M_E: '2.7182818284590452354' },
+        'limits.h': CParser.LIMITS_MACROS
+    };
+
+    /**
+     * Trata as diretivas de pré-processador e expande macros simples
+     * @param {Array} tokens - Tokens produzidos pelo lexer
+     * @returns {Array} Tokens sem diretivas e com as macros substituídas
+     */
+    preprocess(tokens) {
+        const result = [];
+
+        for (const token of tokens) {
+            if (token.type === 'directive') {
+                this.processDirective(token);
                 continue;
             }
 
-            // Declaração de variável (simple)
-            const varDeclRegex = /^(int|char|float|double)\s+(\*?)\s*(\w+)(?:\s*=\s*(.+))?$/;
-            const varMatch = varDeclRegex.exec(line);
-            
-            if (varMatch) {
-                const type = varMatch[1];
-                const isPointer = varMatch[2] === '*';
-                const name = varMatch[3];
-                const initialValue = varMatch[4];
-                
-                body.push({
-                    type: 'variable_declaration',
-                    varType: type + (isPointer ? '*' : ''),
-                    name,
-                    initialValue
-                });
-                
+            if (token.type === 'identifier' && this.macros.has(token.value)) {
+                result.push(...this.expandMacro(token, new Set()));
                 continue;
             }
 
-            // Controle de fluxo - for loop
-            // Regex captures: 1=initialization, 2=condition, 3=increment, 4=body
-            const forRegex = /^for\s*\(([^;]*);([^;]*);([^)]*)\)\s*{([^{}]*(?:{[^{}]*(?:{[^{}]*}[^{}]*)*}[^{}]*)*)}$/;
-            const forMatch = forRegex.exec(line);
-
-            if (forMatch) {
-                const initialization = forMatch[1].trim();
-                const condition = forMatch[2].trim();
-                const increment = forMatch[3].trim();
-                const bodyContent = forMatch[4];
-                const loopBody = this.parseBody(bodyContent); // Recursively parse the loop's body
-
-                body.push({
-                    type: 'for_loop',
-                    initialization: initialization,
-                    condition: condition,
-                    increment: increment,
-                    body: loopBody
-                });
-                continue;
+            result.push(token);
+        }
+
+        return result;
+    }
+
+    /**
+     * Processa uma diretiva (#include, #define)
+     * @param {Object} token - Token de diretiva
+     */
+    processDirective(token) {
+        const includeMatch = /^#\s*include\s*[<"]([^>"]+)[>"]/.exec(token.value);
+        if (includeMatch) {
+            this.includes.push(includeMatch[1]);
+            // Cabeçalhos padrão que definem a macro NULL
+            if (CParser.NULL_HEADERS.has(includeMatch[1]) && !this.macros.has('NULL')) {
+                this.macros.set('NULL', new CLexer().tokenize('((void*)0)').filter(t => t.type !== 'eof'));
             }
-            
-            // Controle de fluxo - while loop
-            // Regex captures: 1=condition, 2=body
-            const whileRegex = /^while\s*\((.+?)\)\s*{([^{}]*(?:{[^{}]*(?:{[^{}]*}[^{}]*)*}[^{}]*)*)}$/;
-            const whileMatch = whileRegex.exec(line);
-
-            if (whileMatch) {
-                const condition = whileMatch[1].trim();
-                const bodyContent = whileMatch[2];
-                const loopBody = this.parseBody(bodyContent); // Recursively parse the loop's body
-
-                body.push({
-                    type: 'while_loop',
-                    condition: condition,
-                    body: loopBody
-                });
-                continue;
+            // Constantes do cabeçalho (EOF, RAND_MAX, limites dos tipos inteiros...)
+            for (const [name, body] of Object.entries(CParser.HEADER_MACROS[includeMatch[1]] ?? {})) {
+                if (!this.macros.has(name)) {
+                    this.macros.set(name, new CLexer().tokenize(body).filter(t => t.type !== 'eof'));
+                }
             }
-            
-            // Atribuição de variável
-            const assignRegex = /^(\w+)\s*=\s*(.+)$/;
-            const assignMatch = assignRegex.exec(line);
-            
-            if (assignMatch) {
-                const name = assignMatch[1];
-                const value = assignMatch[2];
-                
-                body.push({
-                    type: 'assignment',
-                    name,
-                    value
-                });
-                
-                continue;
+            // O tipo FILE é opaco: só é usado através de ponteiros como stdin
+            if (includeMatch[1] === 'stdio.h') {
+                this.typedefs.set('FILE', 'struct _IO_FILE');
             }
-            
-            // Chamada de função
-            const funcCallRegex = /^(\w+)\((.*)\)$/;
-            const funcMatch = funcCallRegex.exec(line);
-            
-            if (funcMatch) {
-                const functionName = funcMatch[1];
-                const argsStr = funcMatch[2].trim();
-                const args = argsStr ? this.parseArgumentList(argsStr) : [];
-                
-                body.push({
-                    type: 'function_call',
-                    name: functionName,
-                    arguments: args
-                });
-                
-                continue;
+            if (CParser.SIZE_T_HEADERS.has(includeMatch[1])) {
+                this.typedefs.set('size_t', 'unsigned int');
             }
-            
-            // Retorno com padrão de recursão (n * fatorial(n-1))
-            const recursiveReturnRegex = /^return\s+(\w+)\s*\*\s*(\w+)\s*\((.*)\)$/;
-            const recursiveMatch = recursiveReturnRegex.exec(line);
-            
-            if (recursiveMatch) {
-                const varName = recursiveMatch[1];
-                const funcName = recursiveMatch[2];
-                const argsStr = recursiveMatch[3].trim();
-                
-                // Criamos uma instrução de return específica para recursão
-                body.push({
-                    type: 'return',
-                    value: `${varName} * ${funcName}(${argsStr})`,
-                    isRecursive: true,
-                    recursiveVar: varName,
-                    recursiveFunc: funcName,
-                    recursiveArgs: argsStr ? this.parseArgumentList(argsStr) : []
-                });
-                
-                continue;
+            return;
+        }
+
+        const defineMatch = /^#\s*define\s+([A-Za-z_]\w*)(\()?\s*(.*)$/.exec(token.value);
+        if (defineMatch) {
+            if (defineMatch[2]) {
+                throw new CSyntaxError(`Macros com parâmetros não são suportadas: ${defineMatch[1]}`, token.line, token.column);
             }
-            
-            // Retorno normal
-            const returnRegex = /^return\s+(.*)$/;
-            const returnMatch = returnRegex.exec(line);
-            
-            if (returnMatch) {
-                const value = returnMatch[1];
-                
-                body.push({
-                    type: 'return',
-                    value
-                });
-                
-                continue;
+            const body = new CLexer().tokenize(defineMatch[3]).filter(t => t.type !== 'eof');
+            this.macros.set(defineMatch[1], body);
+            return;
+        }
+
+        const undefMatch = /^#\s*undef\s+([A-Za-z_]\w*)/.exec(token.value);
+        if (undefMatch) {
+            this.macros.delete(undefMatch[1]);
+        }
+        // Outras diretivas (#pragma, #ifndef...) são ignoradas
+    }
+
+    /**
+     * Substitui um identificador pelo corpo da macro, na posição de uso
+     * @param {Object} token - Token do identificador
+     * @param {Set} expanding - Macros em expansão (evita recursão infinita)
+     * @returns {Array} Tokens resultantes
+     */
+    expandMacro(token, expanding) {
+        if (expanding.has(token.value)) {
+            return [token];
+        }
+
+        const nested = new Set(expanding).add(token.value);
+        const result = [];
+
+        for (const bodyToken of this.macros.get(token.value)) {
+            const relocated = {
+                ...bodyToken,
+                line: token.line,
+                column: token.column,
+                endLine: token.endLine,
+                endColumn: token.endColumn
+            };
+            if (relocated.type === 'identifier' && this.macros.has(relocated.value)) {
+                result.push(...this.expandMacro(relocated, nested));
+            } else {
+                result.push(relocated);
             }
-            
-            // Controle de fluxo - condicional if
-            const ifRegex = /^if\s*\((.*)\)\s*{(.*)}(?:\s*else\s*{(.*)})?\s*$/;
-            const ifMatch = ifRegex.exec(line);
-            
-            if (ifMatch) {
-                const condition = ifMatch[1];
-                const thenBranch = this.parseBody(ifMatch[2]);
-                const elseBranch = ifMatch[3] ? this.parseBody(ifMatch[3]) : null;
-                
-                body.push({
-                    type: 'if',
-                    condition,
-                    then: thenBranch,
-                    else: elseBranch
-                });
-                
-                continue;
+        }
+
+        return result;
+    }
+
+    // Declarações
+
+    /**
+     * Analisa uma declaração de nível de arquivo: função ou variáveis globais
+     * @returns {Object} Nó 'function' ou objeto { type: 'declaration', declarations }
+     */
+    parseExternalDeclaration() {
+        const start = this.startNode();
+        const specifiers = this.parseDeclarationSpecifiers();
+
+        // Apenas a definição de um tipo: struct Ponto { int x, y; };
+        if (this.match('punctuator', ';')) {
+            return { type: 'declaration', declarations: [] };
+        }
+
+        const declarator = this.parseDeclarator(specifiers.baseType);
+
+        // Definição de função
+        if (declarator.parameters && this.check('punctuator', '{')) {
+            this.labels = new Map();
+            this.gotos = [];
+            const body = this.parseCompoundStatement().body;
+
+            // goto pode saltar para um rótulo definido mais adiante na função
+            for (const token of this.gotos) {
+                if (!this.labels.has(token.value)) {
+                    throw this.error(`Rótulo '${token.value}' usado mas não definido`, token);
+                }
             }
-            
-            // Código não reconhecido
-            body.push({
-                type: 'unknown',
-                code: line
+
+            const functionNode = this.finishNode({
+                type: 'function',
+                returnType: declarator.type,
+                name: declarator.name,
+                parameters: declarator.parameters,
+                body
+            }, start);
+
+            this.functions.set(declarator.name, {
+                returnType: declarator.type,
+                parameters: declarator.parameters
             });
+
+            return functionNode;
+        }
+
+        // Protótipo ou variáveis globais
+        const declarations = this.parseInitDeclaratorList(specifiers, declarator, start);
+        this.expect('punctuator', ';');
+
+        // Fora das funções, o tamanho de um array precisa ser uma expressão constante
+        const variableArray = declarations.find(declaration => declaration.type === 'array_declaration'
+            && declaration.dimensions.some(dimension => dimension !== null && typeof dimension !== 'number'));
+        if (variableArray) {
+            throw this.error(`O array de tamanho variável '${variableArray.name}' não pode ser global`, variableArray.loc.start);
         }
-        
-        return body;
+
+        return { type: 'declaration', declarations };
     }
-    
+
     /**
-     * Analisa uma lista de argumentos para uma chamada de função
-     * @param {string} argStr - String com os argumentos separados por vírgula
-     * @returns {Array} Lista de argumentos processados
+     * Analisa a lista de declaradores de uma declaração (ex: int a = 1, *p, v[3];)
+     * @param {Object} specifiers - Especificadores já analisados
+     * @param {Object} firstDeclarator - Primeiro declarador, se já tiver sido lido
+     * @param {Object} start - Início da declaração (localiza o primeiro declarador a partir do tipo)
+     * @returns {Array} Nós de declaração
      */
-    parseArgumentList(argStr) {
-        if (!argStr.trim()) return [];
-        
-        const args = [];
-        let currentArg = '';
-        let parenLevel = 0;
-        
-        // Parse manual para lidar com chamadas de função aninhadas nos argumentos
-        for (let i = 0; i < argStr.length; i++) {
-            const char = argStr[i];
-            
-            if (char === '(') {
-                parenLevel++;
-                currentArg += char;
-            } else if (char === ')') {
-                parenLevel--;
-                currentArg += char;
-            } else if (char === ',' && parenLevel === 0) {
-                args.push(currentArg.trim());
-                currentArg = '';
+    parseInitDeclaratorList(specifiers, firstDeclarator = null, start = null) {
+        const declarations = [];
+        let declarator = firstDeclarator || this.parseDeclarator(specifiers.baseType);
+        let declaratorStart = start || declarator.start;
+
+        while (true) {
+            if (specifiers.storage === 'typedef') {
+                this.defineTypedef(declarator);
+            } else if (declarator.parameters) {
+                // Protótipo de função: apenas registra a assinatura
+                if (!this.functions.has(declarator.name)) {
+                    this.functions.set(declarator.name, {
+                        returnType: declarator.type,
+                        parameters: declarator.parameters
+                    });
+                }
             } else {
-                currentArg += char;
+                declarations.push(this.buildDeclaration(specifiers, declarator, declaratorStart));
+            }
+
+            if (!this.match('punctuator', ',')) {
+                break;
+            }
+            declarator = this.parseDeclarator(specifiers.baseType);
+            declaratorStart = declarator.start;
+        }
+
+        return declarations;
+    }
+
+    /**
+     * Registra um nome de tipo definido com typedef. Arrays entram no tipo (typedef int Vetor[3]
+     * define Vetor como "int[3]"), e structs/enums anônimos passam a ser exibidos com esse nome
+     * @param {Object} declarator - Declarador com o nome do novo tipo
+     */
+    defineTypedef(declarator) {
+        const { name } = declarator;
+        if (declarator.parameters) {
+            throw this.error(`typedef de tipo função não é suportado ('${name}')`, declarator.start);
+        }
+        const dimensions = declarator.dimensions.map(dimension => {
+            const size = this.evaluateConstant(dimension);
+            if (size === null || size <= 0) {
+                throw this.error(`O tamanho do array no typedef '${name}' deve ser uma constante positiva`, declarator.start);
             }
+            return size;
+        });
+        const type = `${declarator.type}${dimensions.map(size => `[${size}]`).join('')}`;
+
+        if (this.typedefs.has(name) && this.typedefs.get(name) !== type) {
+            throw this.error(`Redefinição do tipo '${name}' com outro tipo`, declarator.start);
         }
-        
-        if (currentArg.trim()) {
-            args.push(currentArg.trim());
+        if (this.enumConstants.has(name)) {
+            throw this.error(`'${name}' já é uma constante de enum`, declarator.start);
         }
-        
-        return args;
+        this.typedefs.set(name, type);
+
+        const definition = this.structs.get(type) || this.enums.get(type);
+        if (definition && definition.name.startsWith('<anônima') && !definition.typedefName) {
+            definition.typedefName = name;
+        }
+    }
+
+    /**
+     * Separa um tipo array vindo de um typedef ("int[2][3]") no tipo dos elementos e nas dimensões
+     * @param {string} type - Tipo
+     * @returns {Object | null} { elementType, dimensions } ou null se não for um tipo array
+     */
+    splitArrayType(type) {
+        const match = /^([^[\]]+?)((?:\[\d+\])+)$/.exec(type);
+        if (!match) return null;
+        return {
+            elementType: match[1],
+            dimensions: match[2].slice(1, -1).split('][').map(Number)
+        };
+    }
+
+    /**
+     * Constrói o nó de declaração de uma variável simples ou de um array
+     * @param {Object} specifiers - Especificadores da declaração
+     * @param {Object} declarator - Declarador analisado
+     * @param {Object} start - Posição inicial do nó
+     * @returns {Object} Nó 'variable_declaration' ou 'array_declaration'
+     */
+    buildDeclaration(specifiers, declarator, start) {
+        if (specifiers.storage !== 'extern') {
+            this.checkCompleteType(declarator.type, `Variável '${declarator.name}'`, declarator.start);
+        }
+        const initialValue = this.match('punctuator', '=') ? this.parseInitializer() : null;
+
+        // Um typedef de array acrescenta as suas dimensões após as do declarador (Vetor m[2] -> int m[2][3])
+        const typedefArray = this.splitArrayType(declarator.type);
+        const varType = typedefArray ? typedefArray.elementType : declarator.type;
+        const dimensions = declarator.dimensions.map(dimension => {
+            if (dimension === null) return null;
+            const constant = this.evaluateConstant(dimension);
+            return constant !== null ? constant : dimension;
+        }).concat(typedefArray ? typedefArray.dimensions : []);
+
+        if (dimensions.length === 0) {
+            return this.finishNode({
+                type: 'variable_declaration',
+                varType,
+                name: declarator.name,
+                initialValue,
+                storage: specifiers.storage
+            }, start);
+        }
+
+        // Arrays de tamanho variável (VLA) têm o tamanho calculado ao executar a declaração
+        if (dimensions.some(dimension => dimension !== null && typeof dimension !== 'number')) {
+            if (initialValue) {
+                throw this.error(`O array de tamanho variável '${declarator.name}' não pode ser inicializado`, declarator.start);
+            }
+            if (specifiers.storage) {
+                throw this.error(`O array de tamanho variável '${declarator.name}' não pode ser ${specifiers.storage}`, declarator.start);
+            }
+        }
+
+        // Infere o tamanho a partir do inicializador: int v[] = {1, 2}; char s[] = "oi"; int m[][2] = {{1, 2}, {3, 4}};
+        if (dimensions[0] === null && initialValue) {
+            if (initialValue.type === 'initializer_list') {
+                dimensions[0] = this.countInitializerRows(initialValue, dimensions.slice(1));
+            } else if (initialValue.type === 'string_literal') {
+                dimensions[0] = initialValue.value.length + 1;
+            }
+        }
+
+        return this.finishNode({
+            type: 'array_declaration',
+            varType,
+            name: declarator.name,
+            size: dimensions[0],
+            dimensions,
+            initialValue,
+            storage: specifiers.storage
+        }, start);
+    }
+
+    /**
+     * Conta quantos elementos da primeira dimensão uma lista de inicialização preenche.
+     * Sublistas (e strings, em arrays de char) ocupam uma linha inteira; valores soltos
+     * preenchem as linhas em sequência (int m[][2] = {1, 2, 3} tem 2 linhas)
+     * @param {Object} list - Nó 'initializer_list'
+     * @param {Array} innerDimensions - Dimensões após a primeira (devem ser constantes)
+     * @returns {number} Quantidade de linhas
+     */
+    countInitializerRows(list, innerDimensions) {
+        if (innerDimensions.some(dimension => typeof dimension !== 'number')) {
+            throw this.error('Apenas a primeira dimensão de um array pode ser omitida', list.loc.start);
+        }
+        const rowSize = innerDimensions.reduce((total, dimension) => total * dimension, 1);
+        let position = 0;
+        for (const element of list.elements) {
+            if (innerDimensions.length > 0 && (element.type === 'initializer_list' || element.type === 'string_literal')) {
+                position = Math.ceil(position / rowSize) * rowSize + rowSize;
+            } else {
+                position++;
+            }
+        }
+        return Math.ceil(position / rowSize);
+    }
+
+    /**
+     * Analisa um inicializador: expressão ou lista entre chaves
+     * Elementos da lista podem designar um membro de struct: { .x = 1, .y = 2 }
+     * @returns {Object} Nó de expressão ou 'initializer_list'
+     */
+    parseInitializer() {
+        if (!this.check('punctuator', '{')) {
+            return this.parseAssignmentExpression();
+        }
+
+        const start = this.startNode();
+        this.expect('punctuator', '{');
+        const elements = [];
+        while (!this.check('punctuator', '}')) {
+            if (this.check('punctuator', '.')) {
+                const elementStart = this.startNode();
+                this.advance();
+                const member = this.expect('identifier').value;
+                this.expect('punctuator', '=');
+                elements.push(this.finishNode({
+                    type: 'designated_initializer',
+                    member,
+                    value: this.parseInitializer()
+                }, elementStart));
+            } else {
+                elements.push(this.parseInitializer());
+            }
+            if (!this.match('punctuator', ',')) {
+                break;
+            }
+        }
+        this.expect('punctuator', '}');
+
+        return this.finishNode({ type: 'initializer_list', elements }, start);
+    }
+
+    /**
+     * Verifica se o token atual inicia uma declaração
+     * @returns {boolean}
+     */
+    isDeclarationStart() {
+        const token = this.peek();
+        if (token.type === 'identifier') {
+            return this.typedefs.has(token.value);
+        }
+        return token.type === 'keyword' && (
+            CParser.TYPE_SPECIFIERS.has(token.value) ||
+            CParser.STRUCT_KEYWORDS.has(token.value) ||
+            CParser.QUALIFIERS.has(token.value) ||
+            CParser.STORAGE_CLASSES.has(token.value) ||
+            token.value === 'enum'
+        );
+    }
+
+    /**
+     * Verifica se o token informado inicia um nome de tipo (usado em casts e sizeof)
+     * @param {Object} token - Token a verificar
+     * @returns {boolean}
+     */
+    isTypeNameStart(token) {
+        if (token.type === 'identifier') {
+            return this.typedefs.has(token.value);
+        }
+        return token.type === 'keyword' && (
+            CParser.TYPE_SPECIFIERS.has(token.value) ||
+            CParser.STRUCT_KEYWORDS.has(token.value) ||
+            token.value === 'enum' ||
+            token.value === 'const' || token.value === 'volatile'
+        );
+    }
+
+    /**
+     * Analisa os especificadores de uma declaração (tipo, qualificadores, armazenamento)
+     * @returns {Object} { baseType, storage }
+     */
+    parseDeclarationSpecifiers() {
+        const start = this.peek();
+        const words = [];
+        let storage = null;
+        let structType = null; // Tipo vindo de struct/union/enum ou de um nome de typedef
+
+        while (this.isDeclarationStart()) {
+            const token = this.peek();
+            if (token.type === 'identifier') {
+                // Depois do tipo, um nome de typedef é o nome sendo declarado (ex: redeclaração em typedef)
+                if (structType || words.length > 0) break;
+                this.advance();
+                structType = this.typedefs.get(token.value);
+                continue;
+            }
+            if (CParser.STRUCT_KEYWORDS.has(token.value) || token.value === 'enum') {
+                if (structType || words.length > 0) {
+                    throw this.error(`Especificadores de tipo incompatíveis antes de '${token.value}'`, token);
+                }
+                structType = token.value === 'enum' ? this.parseEnumSpecifier() : this.parseStructSpecifier();
+                continue;
+            }
+
+            this.advance();
+            if (CParser.STORAGE_CLASSES.has(token.value)) {
+                if (storage) {
+                    throw this.error(`Especificadores '${storage}' e '${token.value}' combinados`, token);
+                }
+                storage = token.value;
+            } else if (CParser.TYPE_SPECIFIERS.has(token.value)) {
+                if (structType) {
+                    throw this.error(`Especificadores de tipo incompatíveis: '${structType}' e '${token.value}'`, token);
+                }
+                words.push(token.value);
+            }
+        }
+
+        if (structType) {
+            return { baseType: structType, storage };
+        }
+
+        if (words.length === 0) {
+            throw this.error(`Tipo esperado, encontrado '${start.value}'`, start);
+        }
+
+        return { baseType: this.normalizeBaseType(words, start), storage };
     }
-    
-    /**
-     * Simplifica a análise de expressões
-     * @param {string} expr - Expressão a ser analisada
-     * @returns {Array} Tokens da expressão
-     */
-    parseExpression(expr) {
-        const tokens = [];
-        const arrayAccessRegex = /^(\w+)\s*\[([^\]]+)\]/;
-        const identifierRegex = /^[a-zA-Z_]\w*/;
-        const numberRegex = /^\d+\.?\d*|^\.\d+/;
-        // Extended operators: includes parentheses, comma for function args if needed later
-        const operatorRegex = /^(\*\*|\*|\/|%|\+|-|<=|>=|==|!=|<|>|&&|\|\||\(|\)|=|,)/; // Added '=' for general expressions, '(' ')'
-        const stringLiteralRegex = /^"[^"]*"|^'[^']*'/;
-
-        let remainingExpr = expr.trim();
-
-        while (remainingExpr.length > 0) {
-            let match;
-
-            // 1. Array Access
-            if ((match = arrayAccessRegex.exec(remainingExpr))) {
-                tokens.push({
-                    type: "array_access",
-                    name: match[1],
-                    indexExpression: match[2].trim() // Store the inner expression string
-                });
-                remainingExpr = remainingExpr.substring(match[0].length).trim();
-            }
-            // 2. String Literals
-            else if ((match = stringLiteralRegex.exec(remainingExpr))) {
-                tokens.push(match[0]); // Push the full string literal with quotes
-                remainingExpr = remainingExpr.substring(match[0].length).trim();
-            }
-            // 3. Identifiers (must come after array access)
-            else if ((match = identifierRegex.exec(remainingExpr))) {
-                tokens.push(match[0]);
-                remainingExpr = remainingExpr.substring(match[0].length).trim();
-            }
-            // 4. Numbers
-            else if ((match = numberRegex.exec(remainingExpr))) {
-                tokens.push(parseFloat(match[0])); // Store as number
-                remainingExpr = remainingExpr.substring(match[0].length).trim();
-            }
-            // 5. Operators
-            else if ((match = operatorRegex.exec(remainingExpr))) {
-                tokens.push(match[0]);
-                remainingExpr = remainingExpr.substring(match[0].length).trim();
-            }
-            // 6. Whitespace (if any remains, skip)
-            else if (remainingExpr.match(/^\s+/)) {
-                remainingExpr = remainingExpr.replace(/^\s+/, '');
-            }
-            // Error: unrecognized token
-            else {
-                // Store the problematic part as an 'unknown' token or throw error
-                const unknownToken = remainingExpr.split(/\s|[(),;]/)[0] || remainingExpr;
-                tokens.push({ type: 'unknown_expression_token', value: unknownToken });
-                console.error(`CParser.parseExpression: Unrecognized token starting with: ${unknownToken} in expression ${expr}`);
-                remainingExpr = remainingExpr.substring(unknownToken.length).trim();
-            }
-        }
-        return tokens;
+
+    /**
+     * Analisa um especificador struct/union: uma referência (struct Nome) ou uma definição com
+     * a lista de membros. As definições ficam registradas em this.structs
+     * @returns {string} Nome do tipo (ex: "struct Nome", "union Valor")
+     */
+    parseStructSpecifier() {
+        const keyword = this.advance();
+        const tagToken = this.check('identifier') ? this.advance() : null;
+        const tag = tagToken ? tagToken.value : `<anônima ${++this.anonymousStructs}>`;
+        const type = `${keyword.value} ${tag}`;
+
+        if (!this.match('punctuator', '{')) {
+            if (!tagToken) {
+                throw this.error(`Nome ou '{' esperado após '${keyword.value}'`);
+            }
+            return type;
+        }
+
+        if (this.structs.has(type)) {
+            throw this.error(`Redefinição de '${type}'`, tagToken);
+        }
+
+        const members = [];
+        while (!this.match('punctuator', '}')) {
+            if (this.check('eof')) {
+                throw this.error(`'}' esperado ao fim da definição de '${type}'`);
+            }
+
+            const specifiers = this.parseDeclarationSpecifiers();
+            do {
+                const declarator = this.parseDeclarator(specifiers.baseType);
+                if (declarator.parameters) {
+                    throw this.error(`Funções não podem ser membros de '${type}'`, declarator.start);
+                }
+                if (members.some(member => member.name === declarator.name)) {
+                    throw this.error(`Membro '${declarator.name}' duplicado em '${type}'`, declarator.start);
+                }
+                // Um membro não pode ter o tipo da própria struct (apenas ponteiro para ela)
+                this.checkCompleteType(declarator.type, `Membro '${declarator.name}'`, declarator.start);
+
+                const typedefArray = this.splitArrayType(declarator.type);
+                const dimensions = declarator.dimensions.map(dimension => {
+                    const size = this.evaluateConstant(dimension);
+                    if (size === null || size <= 0) {
+                        throw this.error(`O tamanho do membro array '${declarator.name}' deve ser uma constante positiva`, declarator.start);
+                    }
+                    return size;
+                }).concat(typedefArray ? typedefArray.dimensions : []);
+
+                members.push({ name: declarator.name, type: typedefArray ? typedefArray.elementType : declarator.type, dimensions });
+            } while (this.match('punctuator', ','));
+            this.expect('punctuator', ';');
+        }
+
+        if (members.length === 0) {
+            throw this.error(`'${type}' deve ter pelo menos um membro`, keyword);
+        }
+
+        this.structs.set(type, { kind: keyword.value, name: tag, members });
+        this.memory?.defineStruct(type, this.structs.get(type));
+        return type;
+    }
+
+    /**
+     * Analisa um especificador enum: uma referência (enum Cor) ou uma definição com a lista de
+     * constantes. Sem valor explícito, cada constante vale a anterior mais um (a primeira vale 0)
+     * @returns {string} Nome do tipo (ex: "enum Cor")
+     */
+    parseEnumSpecifier() {
+        const keyword = this.advance();
+        const tagToken = this.check('identifier') ? this.advance() : null;
+        const tag = tagToken ? tagToken.value : `<anônima ${++this.anonymousStructs}>`;
+        const type = `enum ${tag}`;
+
+        if (!this.match('punctuator', '{')) {
+            if (!tagToken) {
+                throw this.error("Nome ou '{' esperado após 'enum'");
+            }
+            return type;
+        }
+
+        if (this.enums.has(type)) {
+            throw this.error(`Redefinição de '${type}'`, tagToken);
+        }
+
+        const constants = [];
+        let nextValue = 0;
+        while (!this.check('punctuator', '}')) {
+            const nameToken = this.expect('identifier');
+            const name = nameToken.value;
+            if (this.enumConstants.has(name) || this.typedefs.has(name)) {
+                throw this.error(`Redefinição de '${name}'`, nameToken);
+            }
+
+            if (this.match('punctuator', '=')) {
+                const value = this.evaluateConstant(this.parseConditionalExpression());
+                if (value === null) {
+                    throw this.error(`O valor de '${name}' deve ser uma constante inteira`, nameToken);
+                }
+                nextValue = value;
+            }
+
+            // A constante já pode ser usada nos valores das seguintes (enum { A, B = A + 2 })
+            constants.push({ name, value: nextValue });
+            this.enumConstants.set(name, nextValue);
+            nextValue++;
+
+            if (!this.match('punctuator', ',')) {
+                break;
+            }
+        }
+        this.expect('punctuator', '}');
+
+        if (constants.length === 0) {
+            throw this.error(`'${type}' deve ter pelo menos uma constante`, keyword);
+        }
+
+        this.enums.set(type, { name: tag, constants });
+        return type;
+    }
+
+    /**
+     * Verifica se um objeto pode ser criado com o tipo informado: structs e unions
+     * precisam estar completamente definidas (ponteiros para elas não)
+     * @param {string} type - Tipo do objeto
+     * @param {string} description - Descrição do objeto para a mensagem de erro
+     * @param {Object} position - Posição { line, column } para o erro
+     */
+    checkCompleteType(type, description, position) {
+        if (/^(struct|union|enum) /.test(type) && !type.endsWith('*') && !this.structs.has(type) && !this.enums.has(type)) {
+            throw this.error(`${description} tem o tipo incompleto '${type}'`, position);
+        }
+    }
+
+    /**
+     * Converte uma combinação de especificadores em um nome de tipo canônico
+     * (ex: "long int" -> "long", "unsigned" -> "unsigned int")
+     * @param {Array} words - Especificadores de tipo
+     * @param {Object} token - Token para posicionar erros
+     * @returns {string} Nome do tipo
+     */
+    normalizeBaseType(words, token) {
+        const count = word => words.filter(w => w === word).length;
+        const isUnsigned = count('unsigned') > 0;
+        const prefix = isUnsigned ? 'unsigned ' : '';
+
+        if (count('signed') && isUnsigned) {
+            throw this.error('Especificadores signed e unsigned combinados', token);
+        }
+
+        if (count('void')) return 'void';
+        if (count('_Bool')) return '_Bool';
+        if (count('float')) return 'float';
+        if (count('double')) return count('long') ? 'long double' : 'double';
+        if (count('char')) {
+            if (isUnsigned) return 'unsigned char';
+            return count('signed') ? 'signed char' : 'char';
+        }
+        if (count('short')) return `${prefix}short`;
+        if (count('long') >= 2) return `${prefix}long long`;
+        if (count('long')) return `${prefix}long`;
+        return `${prefix}int`;
+    }
+
+    /**
+     * Analisa um declarador: ponteiros, nome, dimensões de array ou parâmetros
+     * @param {string} baseType - Tipo base vindo dos especificadores
+     * @returns {Object} { name, type, dimensions, parameters, start }
+     */
+    parseDeclarator(baseType) {
+        const start = this.startNode();
+        let type = baseType;
+
+        while (this.match('punctuator', '*')) {
+            type += '*';
+            // Qualificadores do ponteiro (int * const p) não alteram a simulação
+            while (this.check('keyword', 'const') || this.check('keyword', 'volatile') || this.check('keyword', 'restrict')) {
+                this.advance();
+            }
+        }
+
+        if (this.check('punctuator', '(')) {
+            // O que vem depois do declarador entre parênteses diz o que ele é: int (*pa)[3] ou int (*f)(int)
+            let offset = 1;
+            for (let depth = 1; depth > 0 && this.peek(offset).type !== 'eof'; offset++) {
+                const token = this.peek(offset);
+                if (token.type === 'punctuator' && token.value === '(') depth++;
+                if (token.type === 'punctuator' && token.value === ')') depth--;
+            }
+            const next = this.peek(offset);
+            if (next.type === 'punctuator' && next.value === '[') {
+                throw this.error('Ponteiros para array não são suportados');
+            }
+            throw this.error('Ponteiros para função não são suportados');
+        }
+
+        const nameToken = this.expect('identifier');
+        const declarator = {
+            name: nameToken.value,
+            type,
+            dimensions: [],
+            parameters: null,
+            start
+        };
+
+        if (this.check('punctuator', '(')) {
+            declarator.parameters = this.parseParameterList();
+            return declarator;
+        }
+
+        while (this.match('punctuator', '[')) {
+            if (this.match('punctuator', ']')) {
+                declarator.dimensions.push(null);
+                continue;
+            }
+            declarator.dimensions.push(this.parseAssignmentExpression());
+            this.expect('punctuator', ']');
+        }
+
+        return declarator;
+    }
+
+    /**
+     * Analisa a lista de parâmetros de uma função
+     * @returns {Array} Parâmetros no formato { type, name }
+     */
+    parseParameterList() {
+        this.expect('punctuator', '(');
+        const parameters = [];
+
+        // f() e f(void) não recebem parâmetros
+        if (this.match('punctuator', ')')) {
+            return parameters;
+        }
+        if (this.check('keyword', 'void') && this.peek(1).value === ')') {
+            this.advance();
+            this.expect('punctuator', ')');
+            return parameters;
+        }
+
+        do {
+            if (this.match('punctuator', '...')) {
+                parameters.push({ type: '...', name: '...' });
+                break;
+            }
+
+            const specifiers = this.parseDeclarationSpecifiers();
+            let type = specifiers.baseType;
+            while (this.match('punctuator', '*')) {
+                type += '*';
+                while (this.check('keyword', 'const') || this.check('keyword', 'restrict')) {
+                    this.advance();
+                }
+            }
+
+            const nameToken = this.check('identifier') ? this.advance() : null;
+            const name = nameToken ? nameToken.value : null;
+
+            // Parâmetros de array decaem para ponteiro para o primeiro elemento:
+            // int v[] vira int*, e int m[][3] vira ponteiro para linhas de 3 int (int[3]*)
+            const dimensions = [];
+            while (this.match('punctuator', '[')) {
+                dimensions.push(this.check('punctuator', ']') ? null : this.parseAssignmentExpression());
+                this.expect('punctuator', ']');
+            }
+            const typedefArray = this.splitArrayType(type);
+            if (typedefArray) {
+                type = typedefArray.elementType;
+                dimensions.push(...typedefArray.dimensions);
+            }
+            const rows = dimensions.slice(1).map(dimension => {
+                if (dimension === null) {
+                    throw this.error(`Apenas a primeira dimensão do parâmetro '${name}' pode ser omitida`, nameToken || this.peek());
+                }
+                const size = typeof dimension === 'number' ? dimension : this.evaluateConstant(dimension);
+                return size !== null ? size : dimension;
+            });
+
+            if (rows.some(size => typeof size !== 'number')) {
+                // int m[l][c] (VLA): o tipo das linhas depende dos parâmetros anteriores e é calculado na chamada
+                parameters.push({ type: `${type}*`, name, baseType: type, rowDimensions: rows });
+                continue;
+            }
+            if (dimensions.length > 0) {
+                type = `${type}${rows.map(size => `[${size}]`).join('')}*`;
+            }
+
+            parameters.push({ type, name });
+        } while (this.match('punctuator', ','));
+
+        this.expect('punctuator', ')');
+        return parameters;
+    }
+
+    /**
+     * Analisa um nome de tipo abstrato, como em (int*)x, sizeof(double) e sizeof(int[5])
+     * @returns {string} Nome do tipo
+     */
+    parseTypeName() {
+        const start = this.peek();
+        const specifiers = this.parseDeclarationSpecifiers();
+        if (specifiers.storage) {
+            throw this.error(`'${specifiers.storage}' não pode aparecer em um nome de tipo`, start);
+        }
+        let type = specifiers.baseType;
+        while (this.match('punctuator', '*')) {
+            type += '*';
+            while (this.check('keyword', 'const') || this.check('keyword', 'volatile') || this.check('keyword', 'restrict')) {
+                this.advance();
+            }
+        }
+
+        // Declarador abstrato de array: int[5], int*[3] (array de ponteiros)
+        const dimensions = [];
+        while (this.match('punctuator', '[')) {
+            const size = this.check('punctuator', ']') ? null : this.evaluateConstant(this.parseAssignmentExpression());
+            if (size === null || size <= 0) {
+                throw this.error('O tamanho do array em um nome de tipo deve ser uma constante positiva', start);
+            }
+            dimensions.push(size);
+            this.expect('punctuator', ']');
+        }
+        if (dimensions.length === 0) {
+            return type;
+        }
+
+        // Um typedef de array acrescenta as suas dimensões após as do declarador
+        const typedefArray = this.splitArrayType(type);
+        if (typedefArray) {
+            type = typedefArray.elementType;
+            dimensions.push(...typedefArray.dimensions);
+        }
+        return `${type}${dimensions.map(size => `[${size}]`).join('')}`;
+    }
+
+    // Instruções
+
+    /**
+     * Analisa um bloco entre chaves
+     * @returns {Object} Nó 'block' com as instruções do bloco
+     */
+    parseCompoundStatement() {
+        const start = this.startNode();
+        this.expect('punctuator', '{');
+        const body = [];
+
+        while (!this.check('punctuator', '}')) {
+            if (this.check('eof')) {
+                throw this.error("'}' esperado antes do fim do código");
+            }
+            body.push(...this.parseBlockItem());
+        }
+
+        this.expect('punctuator', '}');
+        return this.finishNode({ type: 'block', body }, start);
+    }
+
+    /**
+     * Analisa um item de bloco: uma declaração (que pode gerar vários nós) ou uma instrução
+     * @returns {Array} Nós produzidos
+     */
+    parseBlockItem() {
+        if (this.isDeclarationStart()) {
+            const start = this.startNode();
+            const specifiers = this.parseDeclarationSpecifiers();
+            if (this.match('punctuator', ';')) {
+                return []; // Apenas a definição de um tipo
+            }
+            const declarations = this.parseInitDeclaratorList(specifiers, null, start);
+            this.expect('punctuator', ';');
+            return declarations;
+        }
+
+        return [this.parseStatement()];
+    }
+
+    /**
+     * Analisa uma instrução
+     * @returns {Object} Nó da instrução
+     */
+    parseStatement() {
+        const token = this.peek();
+        const start = this.startNode();
+
+        if (token.type === 'punctuator' && token.value === '{') {
+            return this.parseCompoundStatement();
+        }
+
+        if (token.type === 'punctuator' && token.value === ';') {
+            this.advance();
+            return this.finishNode({ type: 'empty' }, start);
+        }
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if':
+                    return this.parseIfStatement();
+                case 'while':
+                    return this.parseWhileStatement();
+                case 'do':
+                    return this.parseDoWhileStatement();
+                case 'for':
+                    return this.parseForStatement();
+                case 'switch':
+                    return this.parseSwitchStatement();
+                case 'case':
+                case 'default':
+                    return this.parseCaseLabel();
+                case 'break':
+                case 'continue':
+                    return this.parseLoopJump();
+                case 'goto':
+                    return this.parseGotoStatement();
+                case 'return':
+                    return this.parseReturnStatement();
+            }
+        }
+
+        // Rótulo de goto: nome: instrução
+        if (token.type === 'identifier' && this.peek(1).type === 'punctuator' && this.peek(1).value === ':') {
+            if (this.labels.has(token.value)) {
+                throw this.error(`Rótulo '${token.value}' redefinido`, token);
+            }
+            this.labels.set(token.value, token);
+            this.advance();
+            this.advance();
+            return this.finishNode({ type: 'label', name: token.value, statement: this.parseStatement() }, start);
+        }
+
+        const expression = this.parseExpression();
+        this.expect('punctuator', ';');
+        return this.finishNode({ type: 'expression_statement', expression }, start);
+    }
+
+    /**
+     * Analisa o corpo de uma estrutura de controle, retornando sempre uma lista de instruções
+     * @returns {Array} Instruções do corpo
+     */
+    parseBody() {
+        const statement = this.parseStatement();
+        return statement.type === 'block' ? statement.body : [statement];
+    }
+
+    /**
+     * Analisa if / else
+     * @returns {Object} Nó 'if'
+     */
+    parseIfStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'if');
+        this.expect('punctuator', '(');
+        const condition = this.parseExpression();
+        this.expect('punctuator', ')');
+
+        const thenStart = this.startNode();
+        const thenBranch = this.parseBody();
+        const thenLoc = this.finishNode({}, thenStart).loc;
+        let elseBranch = null;
+        let elseLoc = null;
+
+        if (this.check('keyword', 'else')) {
+            const elseStart = this.startNode();
+            this.advance();
+            elseLoc = this.finishNode({}, elseStart).loc;
+            elseBranch = this.parseBody();
+        }
+
+        return this.finishNode({
+            type: 'if',
+            condition,
+            then: thenBranch,
+            thenLoc, // Trecho do bloco then (termina na sua chave de fechamento)
+            else: elseBranch,
+            elseLoc // Posição da palavra 'else'
+        }, start);
+    }
+
+    /**
+     * Analisa um laço while
+     * @returns {Object} Nó 'while_loop'
+     */
+    parseWhileStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'while');
+        this.expect('punctuator', '(');
+        const condition = this.parseExpression();
+        this.expect('punctuator', ')');
+
+        return this.finishNode({
+            type: 'while_loop',
+            condition,
+            body: this.parseLoopBody()
+        }, start);
+    }
+
+    /**
+     * Analisa o corpo de um laço, onde break e continue são permitidos
+     * @returns {Array} Instruções do corpo
+     */
+    parseLoopBody() {
+        this.loopDepth++;
+        try {
+            return this.parseBody();
+        } finally {
+            this.loopDepth--;
+        }
+    }
+
+    /**
+     * Analisa um laço do-while
+     * @returns {Object} Nó 'do_while_loop'
+     */
+    parseDoWhileStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'do');
+        const bodyStart = this.startNode();
+        const body = this.parseLoopBody();
+        const bodyLoc = this.finishNode({}, bodyStart).loc;
+
+        this.expect('keyword', 'while');
+        this.expect('punctuator', '(');
+        const condition = this.parseExpression();
+        this.expect('punctuator', ')');
+        this.expect('punctuator', ';');
+
+        return this.finishNode({
+            type: 'do_while_loop',
+            body,
+            bodyLoc, // Trecho do corpo (termina na sua chave de fechamento)
+            condition
+        }, start);
+    }
+
+    /**
+     * Analisa um switch. Os rótulos case/default aparecem no corpo como instruções
+     * @returns {Object} Nó 'switch'
+     */
+    parseSwitchStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'switch');
+        this.expect('punctuator', '(');
+        const discriminant = this.parseExpression();
+        this.expect('punctuator', ')');
+
+        this.switches.push({ values: new Set(), hasDefault: false });
+        try {
+            return this.finishNode({
+                type: 'switch',
+                discriminant,
+                body: this.parseBody()
+            }, start);
+        } finally {
+            this.switches.pop();
+        }
+    }
+
+    /**
+     * Analisa um rótulo case (com valor constante) ou default, seguido da sua instrução
+     * @returns {Object} Nó 'case_label' (value null para default)
+     */
+    parseCaseLabel() {
+        const start = this.startNode();
+        const keyword = this.advance();
+        const current = this.switches[this.switches.length - 1];
+        if (!current) {
+            throw this.error(`'${keyword.value}' fora de um switch`, keyword);
+        }
+
+        let value = null;
+        if (keyword.value === 'case') {
+            const expression = this.parseConditionalExpression();
+            value = this.evaluateConstant(expression);
+            if (value === null) {
+                throw this.error('O valor de um case deve ser uma constante inteira', expression.loc.start);
+            }
+            if (current.values.has(value)) {
+                throw this.error(`Valor de case duplicado: ${value}`, keyword);
+            }
+            current.values.add(value);
+        } else {
+            if (current.hasDefault) {
+                throw this.error("Mais de um 'default' no mesmo switch", keyword);
+            }
+            current.hasDefault = true;
+        }
+        this.expect('punctuator', ':');
+
+        return this.finishNode({
+            type: 'case_label',
+            value,
+            statement: this.parseStatement()
+        }, start);
+    }
+
+    /**
+     * Analisa break ou continue
+     * @returns {Object} Nó 'break' ou 'continue'
+     */
+    parseLoopJump() {
+        const start = this.startNode();
+        const keyword = this.advance();
+        if (keyword.value === 'continue' && this.loopDepth === 0) {
+            throw this.error("'continue' fora de um laço", keyword);
+        }
+        if (keyword.value === 'break' && this.loopDepth === 0 && this.switches.length === 0) {
+            throw this.error("'break' fora de um laço ou switch", keyword);
+        }
+        this.expect('punctuator', ';');
+        return this.finishNode({ type: keyword.value }, start);
+    }
+
+    /**
+     * Analisa um goto (o rótulo é verificado ao fim da função)
+     * @returns {Object} Nó 'goto'
+     */
+    parseGotoStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'goto');
+        const label = this.expect('identifier');
+        this.expect('punctuator', ';');
+        this.gotos.push(label);
+        return this.finishNode({ type: 'goto', label: label.value }, start);
+    }
+
+    /**
+     * Analisa um laço for
+     * @returns {Object} Nó 'for_loop'
+     */
+    parseForStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'for');
+        this.expect('punctuator', '(');
+
+        // Inicialização: declaração (C99) ou expressão
+        let initialization = [];
+        if (this.isDeclarationStart()) {
+            initialization = this.parseBlockItem();
+        } else {
+            if (!this.check('punctuator', ';')) {
+                const expression = this.parseExpression();
+                initialization = [{ type: 'expression_statement', expression, loc: expression.loc }];
+            }
+            this.expect('punctuator', ';');
+        }
+
+        const condition = this.check('punctuator', ';') ? null : this.parseExpression();
+        this.expect('punctuator', ';');
+
+        const increment = this.check('punctuator', ')') ? null : this.parseExpression();
+        this.expect('punctuator', ')');
+
+        const header = this.finishNode({}, start).loc; // Do 'for' até o ')'
+
+        return this.finishNode({
+            type: 'for_loop',
+            initialization,
+            condition,
+            increment,
+            body: this.parseLoopBody(),
+            header
+        }, start);
+    }
+
+    /**
+     * Analisa um return
+     * @returns {Object} Nó 'return'
+     */
+    parseReturnStatement() {
+        const start = this.startNode();
+        this.expect('keyword', 'return');
+        const value = this.check('punctuator', ';') ? null : this.parseExpression();
+        this.expect('punctuator', ';');
+
+        return this.finishNode({ type: 'return', value }, start);
+    }
+
+    // Expressões
+
+    /**
+     * Analisa uma expressão completa, incluindo o operador vírgula
+     * @returns {Object} Nó da expressão
+     */
+    parseExpression() {
+        const first = this.parseAssignmentExpression();
+        if (!this.check('punctuator', ',')) {
+            return first;
+        }
+
+        const expressions = [first];
+        while (this.match('punctuator', ',')) {
+            expressions.push(this.parseAssignmentExpression());
+        }
+        return this.finishNode({ type: 'comma', expressions }, first.loc.start);
+    }
+
+    /**
+     * Analisa uma atribuição (associativa à direita)
+     * @returns {Object} Nó da expressão
+     */
+    parseAssignmentExpression() {
+        const target = this.parseConditionalExpression();
+        const token = this.peek();
+
+        if (token.type === 'punctuator' && CParser.ASSIGNMENT_OPERATORS.has(token.value)) {
+            this.advance();
+            return this.finishNode({
+                type: 'assignment',
+                operator: token.value,
+                target,
+                value: this.parseAssignmentExpression()
+            }, target.loc.start);
+        }
+
+        return target;
+    }
+
+    /**
+     * Analisa o operador ternário (a ? b : c)
+     * @returns {Object} Nó da expressão
+     */
+    parseConditionalExpression() {
+        const condition = this.parseBinaryExpression(1);
+        if (!this.match('punctuator', '?')) {
+            return condition;
+        }
+
+        const thenExpression = this.parseExpression();
+        this.expect('punctuator', ':');
+        const elseExpression = this.parseConditionalExpression();
+
+        return this.finishNode({
+            type: 'conditional',
+            condition,
+            then: thenExpression,
+            else: elseExpression
+        }, condition.loc.start);
+    }
+
+    /**
+     * Analisa operadores binários por precedência (precedence climbing)
+     * @param {number} minPrecedence - Menor precedência aceita neste nível
+     * @returns {Object} Nó da expressão
+     */
+    parseBinaryExpression(minPrecedence) {
+        let left = this.parseCastExpression();
+
+        while (true) {
+            const token = this.peek();
+            const precedence = token.type === 'punctuator' ? CParser.BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) {
+                break;
+            }
+
+            this.advance();
+            const right = this.parseBinaryExpression(precedence + 1);
+            left = this.finishNode({ type: 'binary', operator: token.value, left, right }, left.loc.start);
+        }
+
+        return left;
+    }
+
+    /**
+     * Analisa um cast, como (int)x
+     * @returns {Object} Nó da expressão
+     */
+    parseCastExpression() {
+        if (this.check('punctuator', '(') && this.isTypeNameStart(this.peek(1))) {
+            const start = this.startNode();
+            const open = this.advance();
+            const targetType = this.parseTypeName();
+            this.expect('punctuator', ')');
+            // Só se converte para tipos escalares (números e ponteiros) ou void
+            if (this.splitArrayType(targetType) || (/^(struct|union) /.test(targetType) && !targetType.endsWith('*'))) {
+                throw this.error(`Cast para o tipo '${targetType}' não é permitido: o tipo de destino deve ser escalar ou void`, open);
+            }
+            return this.finishNode({
+                type: 'cast',
+                targetType,
+                operand: this.parseCastExpression()
+            }, start);
+        }
+
+        return this.parseUnaryExpression();
+    }
+
+    /**
+     * Analisa operadores unários prefixados e sizeof
+     * @returns {Object} Nó da expressão
+     */
+    parseUnaryExpression() {
+        const token = this.peek();
+        const start = this.startNode();
+
+        if (token.type === 'punctuator') {
+            if (token.value === '++' || token.value === '--') {
+                this.advance();
+                return this.finishNode({ type: 'unary', operator: token.value, operand: this.parseUnaryExpression() }, start);
+            }
+            if (['-', '+', '!', '~', '*', '&'].includes(token.value)) {
+                this.advance();
+                return this.finishNode({ type: 'unary', operator: token.value, operand: this.parseCastExpression() }, start);
+            }
+        }
+
+        if (token.type === 'keyword' && token.value === 'sizeof') {
+            this.advance();
+            if (this.check('punctuator', '(') && this.isTypeNameStart(this.peek(1))) {
+                this.advance();
+                const targetType = this.parseTypeName();
+                this.expect('punctuator', ')');
+                this.checkCompleteType(targetType, 'O operando de sizeof', token);
+                return this.finishNode({ type: 'sizeof', targetType }, start);
+            }
+            return this.finishNode({ type: 'sizeof', operand: this.parseUnaryExpression() }, start);
+        }
+
+        return this.parsePostfixExpression();
+    }
+
+    /**
+     * Analisa operadores pós-fixados: [], (), ., ->, ++ e --
+     * @returns {Object} Nó da expressão
+     */
+    parsePostfixExpression() {
+        let expression = this.parsePrimaryExpression();
+        const start = expression.loc.start;
+
+        while (true) {
+            if (this.match('punctuator', '[')) {
+                const index = this.parseExpression();
+                this.expect('punctuator', ']');
+                expression = this.finishNode({ type: 'array_access', array: expression, index }, start);
+            } else if (this.check('punctuator', '(')) {
+                if (expression.type !== 'identifier') {
+                    throw this.error('Somente funções nomeadas podem ser chamadas');
+                }
+                expression = this.finishNode({
+                    type: 'function_call',
+                    name: expression.name,
+                    arguments: this.parseArgumentList()
+                }, start);
+            } else if (this.check('punctuator', '.') || this.check('punctuator', '->')) {
+                const arrow = this.advance().value === '->';
+                const member = this.expect('identifier').value;
+                expression = this.finishNode({ type: 'member_access', object: expression, member, arrow }, start);
+            } else if (this.check('punctuator', '++') || this.check('punctuator', '--')) {
+                const operator = this.advance().value;
+                expression = this.finishNode({ type: 'postfix', operator, operand: expression }, start);
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    /**
+     * Analisa os argumentos de uma chamada de função
+     * @returns {Array} Nós das expressões dos argumentos
+     */
+    parseArgumentList() {
+        this.expect('punctuator', '(');
+        const args = [];
+
+        if (!this.check('punctuator', ')')) {
+            do {
+                args.push(this.parseAssignmentExpression());
+            } while (this.match('punctuator', ','));
+        }
+
+        this.expect('punctuator', ')');
+        return args;
+    }
+
+    /**
+     * Analisa uma expressão primária: identificador, constante, string ou parênteses
+     * @returns {Object} Nó da expressão
+     */
+    parsePrimaryExpression() {
+        const token = this.peek();
+        const start = this.startNode();
+
+        switch (token.type) {
+            case 'identifier':
+                this.advance();
+                // Constantes de enum são constantes inteiras (usáveis em tamanhos de array e em case)
+                if (this.enumConstants.has(token.value)) {
+                    return this.finishNode({
+                        type: 'number',
+                        value: this.enumConstants.get(token.value),
+                        isFloat: false,
+                        suffix: '',
+                        decimal: true,
+                        enumerator: token.value
+                    }, start);
+                }
+                return this.finishNode({ type: 'identifier', name: token.value }, start);
+
+            case 'number':
+                this.advance();
+                return this.finishNode(this.parseNumber(token), start);
+
+            case 'char': {
+                this.advance();
+                const bytes = this.decodeEscapes(token);
+                if (bytes.length > 1) {
+                    throw this.error(`Constante de caractere com mais de um caractere: ${token.value}`, token);
+                }
+                // O char tem sinal: bytes acima de 127 ('\xFF') viram valores negativos
+                const code = bytes.charCodeAt(0);
+                return this.finishNode({
+                    type: 'char_literal',
+                    raw: token.value,
+                    value: code > 127 ? code - 256 : code
+                }, start);
+            }
+
+            case 'string': {
+                // Strings adjacentes são concatenadas ("a" "b" -> "ab")
+                let value = '';
+                while (this.check('string')) {
+                    value += this.decodeEscapes(this.advance());
+                }
+                return this.finishNode({ type: 'string_literal', value }, start);
+            }
+
+            case 'punctuator':
+                if (token.value === '(') {
+                    this.advance();
+                    const expression = this.parseExpression();
+                    this.expect('punctuator', ')');
+                    return expression;
+                }
+                break;
+        }
+
+        throw this.error(token.type === 'eof'
+            ? 'Expressão esperada antes do fim do código'
+            : `Expressão esperada, encontrado '${token.value}'`, token);
+    }
+
+    /**
+     * Decodifica o conteúdo de um literal de string ou de caractere nos bytes que ele
+     * representa: sequências de escape (\n, \0, \x41, \101) viram um byte e caracteres
+     * fora do ASCII viram os seus bytes em UTF-8
+     * @param {Object} token - Token 'string' ou 'char', com as aspas
+     * @returns {string} Um caractere JavaScript por byte (códigos de 0 a 255)
+     */
+    decodeEscapes(token) {
+        const text = token.value.substring(1, token.value.length - 1);
+        let bytes = '';
+        let i = 0;
+
+        while (i < text.length) {
+            if (text[i] !== '\\') {
+                const codePoint = text.codePointAt(i);
+                const character = String.fromCodePoint(codePoint);
+                for (const byte of new TextEncoder().encode(character)) {
+                    bytes += String.fromCharCode(byte);
+                }
+                i += character.length;
+                continue;
+            }
+
+            const escape = text[i + 1];
+            if (escape in CParser.SIMPLE_ESCAPES) {
+                bytes += String.fromCharCode(CParser.SIMPLE_ESCAPES[escape]);
+                i += 2;
+            } else if (/[0-7]/.test(escape)) {
+                // Até três dígitos octais: \0, \12, \101
+                const digits = text.substring(i + 1, i + 4).match(/^[0-7]+/)[0];
+                const value = parseInt(digits, 8);
+                if (value > 255) {
+                    throw this.error(`Sequência de escape octal fora do intervalo: \\${digits}`, token);
+                }
+                bytes += String.fromCharCode(value);
+                i += 1 + digits.length;
+            } else if (escape === 'x') {
+                // Todos os dígitos hexadecimais seguintes fazem parte do escape
+                const digits = text.substring(i + 2).match(/^[0-9A-Fa-f]*/)[0];
+                if (digits.length === 0) {
+                    throw this.error('\\x usado sem dígitos hexadecimais', token);
+                }
+                const value = parseInt(digits, 16);
+                if (value > 255) {
+                    throw this.error(`Sequência de escape hexadecimal fora do intervalo: \\x${digits}`, token);
+                }
+                bytes += String.fromCharCode(value);
+                i += 2 + digits.length;
+            } else {
+                throw this.error(`Sequência de escape desconhecida: \\${escape}`, token);
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Converte um token numérico em nó de constante
+     * @param {Object} token - Token 'number'
+     * @returns {Object} Nó 'number'
+     */
+    parseNumber(token) {
+        const raw = token.value;
+        const isHex = /^0[xX]/.test(raw);
+        const isFloat = !isHex && /[.eE]/.test(raw);
+        const digits = raw.replace(isHex ? /[uUlL]+$/ : /[fFlLuU]+$/, '');
+        const suffix = raw.substring(digits.length).toLowerCase();
+
+        const isOctal = !isHex && !isFloat && digits.length > 1 && digits.startsWith('0');
+
+        let value;
+        if (isFloat) {
+            value = parseFloat(digits);
+        } else if (isHex) {
+            value = parseInt(digits, 16);
+        } else if (isOctal) {
+            if (/[89]/.test(digits)) {
+                throw this.error(`Dígito inválido em constante octal: ${raw}`, token);
+            }
+            value = parseInt(digits, 8);
+        } else {
+            value = parseInt(digits, 10);
+        }
+        // Uma constante inteira acima de 2^53 fica exata como BigInt (ex: ULLONG_MAX)
+        if (!isFloat && !Number.isSafeInteger(value)) {
+            value = BigInt(isOctal ? `0o${digits.slice(1)}` : digits);
+        }
+
+        return {
+            type: 'number',
+            value,
+            isFloat: isFloat || (!isHex && suffix.includes('f')),
+            suffix,
+            decimal: !isHex && !isOctal // Constantes decimais sem 'u' nunca recebem tipo unsigned
+        };
+    }
+
+    /**
+     * Avalia uma expressão constante inteira em tempo de análise (ex: tamanho de array).
+     * sizeof de um nome de tipo também é constante (nomes de tipo nunca são VLA)
+     * @param {Object} node - Nó da expressão
+     * @returns {number | null} Valor da constante ou null se não for constante
+     */
+    evaluateConstant(node) {
+        if (!node) return null;
+
+        switch (node.type) {
+            case 'number':
+                return node.isFloat ? null : Number(node.value);
+            case 'char_literal':
+                return node.value;
+            case 'sizeof':
+                if (!this.memory || !node.targetType || node.targetType === 'void') return null;
+                return this.memory.getSizeForType(node.targetType);
+            case 'cast': {
+                // Um cast para tipo inteiro é constante; uma constante de ponto flutuante só é aceita como operando direto do cast
+                if (!this.memory?.getIntegerInfo(node.targetType)) return null;
+                const operand = node.operand.type === 'number' && node.operand.isFloat
+                    ? Math.trunc(node.operand.value)
+                    : this.evaluateConstant(node.operand);
+                if (operand === null || !Number.isFinite(operand)) return null;
+                return Number(this.memory.convertScalar(operand, node.targetType));
+            }
+            case 'conditional': {
+                const condition = this.evaluateConstant(node.condition);
+                if (condition === null) return null;
+                return this.evaluateConstant(condition ? node.then : node.else);
+            }
+            case 'unary': {
+                const operand = this.evaluateConstant(node.operand);
+                if (operand === null) return null;
+                if (node.operator === '-') return -operand;
+                if (node.operator === '+') return operand;
+                if (node.operator === '~') return ~operand;
+                if (node.operator === '!') return operand ? 0 : 1;
+                return null;
+            }
+            case 'binary': {
+                const left = this.evaluateConstant(node.left);
+                if (left === null) return null;
+                // && e || não avaliam o lado direito quando o esquerdo já decide o resultado
+                if (node.operator === '&&' && !left) return 0;
+                if (node.operator === '||' && left) return 1;
+                const right = this.evaluateConstant(node.right);
+                if (right === null) return null;
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return right === 0 ? null : Math.trunc(left / right);
+                    case '%': return right === 0 ? null : left % right;
+                    case '<<': return left << right;
+                    case '>>': return left >> right;
+                    case '&': return left & right;
+                    case '|': return left | right;
+                    case '^': return left ^ right;
+                    case '<': return left < right ? 1 : 0;
+                    case '>': return left > right ? 1 : 0;
+                    case '<=': return left <= right ? 1 : 0;
+                    case '>=': return left >= right ? 1 : 0;
+                    case '==': return left === right ? 1 : 0;
+                    case '!=': return left !== right ? 1 : 0;
+                    case '&&':
+                    case '||': return right ? 1 : 0;
+                    default: return null;
+                }
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Métodos auxiliares para navegação nos tokens
+
+    /**
+     * Retorna o token na posição atual somada ao deslocamento
+     * @param {number} offset - Deslocamento
+     * @returns {Object} Token
+     */
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    /**
+     * Consome e retorna o token atual
+     * @returns {Object} Token consumido
+     */
+    advance() {
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            this.position++;
+            this.previousToken = token;
+        }
+        return token;
+    }
+
+    /**
+     * Marca o início de um nó na posição do token atual
+     * @returns {Object} Posição { line, column }
+     */
+    startNode() {
+        const token = this.peek();
+        return { line: token.line, column: token.column };
+    }
+
+    /**
+     * Registra no nó a sua localização no código, do início informado
+     * até o fim do último token consumido (linhas e colunas começam em 1;
+     * a coluna final aponta para o caractere seguinte ao nó)
+     * @param {Object} node - Nó da AST
+     * @param {Object} start - Posição inicial { line, column }
+     * @returns {Object} O próprio nó
+     */
+    finishNode(node, start) {
+        const last = this.previousToken;
+        node.loc = {
+            start,
+            end: last ? { line: last.endLine, column: last.endColumn } : start
+        };
+        return node;
+    }
+
+    /**
+     * Verifica se o token atual é do tipo (e valor) informado
+     * @param {string} type - Tipo do token
+     * @param {string} value - Valor esperado (opcional)
+     * @returns {boolean}
+     */
+    check(type, value = undefined) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    /**
+     * Consome o token atual se ele corresponder ao tipo e valor informados
+     * @param {string} type - Tipo do token
+     * @param {string} value - Valor esperado (opcional)
+     * @returns {boolean} Se o token foi consumido
+     */
+    match(type, value = undefined) {
+        if (this.check(type, value)) {
+            this.advance();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consome o token esperado ou lança um erro de sintaxe
+     * @param {string} type - Tipo do token
+     * @param {string} value - Valor esperado (opcional)
+     * @returns {Object} Token consumido
+     */
+    expect(type, value = undefined) {
+        if (this.check(type, value)) {
+            return this.advance();
+        }
+
+        const token = this.peek();
+        const expected = value !== undefined ? `'${value}'` : (type === 'identifier' ? 'identificador' : type);
+        const found = token.type === 'eof' ? 'fim do código' : `'${token.value}'`;
+        throw this.error(`${expected} esperado, encontrado ${found}`, token);
+    }
+
+    /**
+     * Cria um erro de sintaxe posicionado no token informado
+     * @param {string} message - Mensagem de erro
+     * @param {Object} token - Token de referência (padrão: token atual)
+     * @returns {CSyntaxError}
+     */
+    error(message, token = this.peek()) {
+        return new CSyntaxError(message, token.line, token.column);
     }
 }
 
 // Exporta o parser
-window.CParser = CParser;
\ No newline at end of file
+window.CParser = CParser;
@@ -8,6 +8,9 @@ class CVisualizer {
         this.memoryContainer = document.getElementById('memory-view');
         this.stackContainer = document.getElementById('stack-view');
         this.outputContainer = document.getElementById('output');
+        this.inputBufferContainer = document.getElementById('stdin-buffer');
+        this.hexDumpContainer = document.getElementById('hexdump-view');
+        this.segmentContainer = document.getElementById('segment-view');
         this.codeTextArea = document.getElementById('c-code');
         this.codeDisplay = document.getElementById('code-display');
         this.lineIndicator = document.getElementById('line-indicator');
@@ -16,72 +19,23 @@ class CVisualizer {
         this.pointerConnections = new Map();
         this.currentHighlight = null;
         this.currentLine = null;
-        this.lineMap = new Map(); // Mapeia instruções para linhas no código
-        this.completedFunctions = new Set(); // Armazena funções que já foram finalizadas
-    }
-
-    /**
-     * Inicializa o mapeamento de instruções para linhas de código
-     * @param {Object} ast - AST do código analisado
-     * @param {string} code - Código fonte original
-     */
-    initializeLineMapping(ast, code) {
-        this.lineMap.clear();
-        
-        // Mapeia todas as funções e suas instruções para linhas
-        const lines = code.split('\n');
-        
-        // Mapeamento simplificado baseado em tokens-chave no código
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            const lineNumber = i;
-            
-            // Funções
-            const functionMatch = line.match(/(\w+)\s+(\w+)\s*\(/);
-            if (functionMatch) {
-                this.lineMap.set(`function:${functionMatch[2]}`, lineNumber);
-            }
-            
-            // Variáveis
-            const varDeclMatch = line.match(/(int|char|float|double)\s+(\*?)(\w+)/);
-            if (varDeclMatch) {
-                this.lineMap.set(`variable:${varDeclMatch[3]}`, lineNumber);
-            }
-            
-            // Atribuições
-            const assignMatch = line.match(/(\w+)\s*=\s*(.+);/);
-            if (assignMatch) {
-                this.lineMap.set(`assignment:${assignMatch[1]}`, lineNumber);
-            }
-            
-            // Chamadas de função
-            const callMatch = line.match(/(\w+)\s*\((.*)\)/);
-            if (callMatch) {
-                this.lineMap.set(`call:${callMatch[1]}`, lineNumber);
-            }
-            
-            // Retornos
-            if (line.startsWith('return')) {
-                this.lineMap.set(`return:${i}`, lineNumber);
-            }
-            
-            // Condicionais
-            if (line.startsWith('if') || line.startsWith('else')) {
-                this.lineMap.set(`conditional:${i}`, lineNumber);
-            }
-        }
+        this.completedScopes = new Set(); // Armazena escopos (frames) que já foram finalizados
+        this.floatingPointCells = new Map(); // Células float/double que podem ser inspecionadas, por endereço
+        this.inspectedAddress = null; // Endereço mostrado no inspetor IEEE 754
     }
 
     /**
      * Atualiza a visualização da memória
      * @param {Array} memorySnapshot - Snapshot do estado atual da memória
      * @param {Array} stackSnapshot - Snapshot do estado atual da pilha
+     * @param {Array} heapSnapshot - Snapshot dos blocos do heap
      */
-    updateMemoryView(memorySnapshot, stackSnapshot) {
+    updateMemoryView(memorySnapshot, stackSnapshot, heapSnapshot = []) {
         if (!this.memoryContainer) return;
         
         this.memoryContainer.innerHTML = '';
         this.pointerConnections.clear();
+        this.floatingPointCells.clear();
         
         // Organiza os itens por escopo
         const itemsByScope = {};
@@ -93,11 +47,12 @@ class CVisualizer {
             itemsByScope[item.scope].push(item);
         }
         
-        // Verifica quais funções já completaram sua execução (não estão mais na pilha)
-        const activeScopes = new Set(['global']);
+        // Verifica quais frames já completaram sua execução (não estão mais na pilha).
+        // Cada frame tem um escopo por bloco em execução
+        const activeScopes = new Set(['rodata', 'global']);
         if (stackSnapshot) {
             for (const frame of stackSnapshot) {
-                activeScopes.add(frame.function);
+                frame.blocks.forEach(block => activeScopes.add(block));
             }
         }
         
@@ -107,33 +62,58 @@ class CVisualizer {
             const scopeHeader = document.createElement('div');
             scopeHeader.className = 'memory-scope-header';
             
-            // Se a função não está mais na pilha e não é global, marca como completada
-            if (!activeScopes.has(scope) && scope !== 'global') {
+            // Se o frame não está mais na pilha e não é global, marca como completado
+            if (!activeScopes.has(scope)) {
                 scopeHeader.classList.add('scope-completed');
-                this.completedFunctions.add(scope);
+                this.completedScopes.add(scope);
             }
             
-            scopeHeader.textContent = `Escopo: ${scope}`;
+            // Globais e locais static ficam no segmento de dados e os literais de string no
+            // segmento de código, cada um em uma seção própria
+            const segmentTitles = {
+                rodata: 'Literais de string (text/rodata, somente leitura)',
+                global: 'Globais (segmento de dados)'
+            };
+            scopeHeader.textContent = segmentTitles[scope] ?? `Escopo: ${scope}`;
             this.memoryContainer.appendChild(scopeHeader);
             
             // Cria um container para os itens deste escopo
             const scopeContainer = document.createElement('div');
             scopeContainer.className = 'memory-scope-container';
             
-            // Se a função já foi completada, adiciona classe especial
-            if (this.completedFunctions.has(scope)) {
+            // Se o frame já foi completado, adiciona classe especial
+            if (this.completedScopes.has(scope)) {
                 scopeContainer.classList.add('scope-completed');
             }
             
             // Adiciona cada item de memória
             // let previousItemArrayName = null; // Not needed due to sorting and direct check
             items.forEach((item, idx) => { // Added idx for checking previous item
+                // Structs são desenhadas como uma caixa com um campo por linha
+                if (item.isStruct) {
+                    scopeContainer.appendChild(this.createStructBox(item));
+                    return;
+                }
+
+                // Matrizes são desenhadas como uma grade; a grade inteira é criada no primeiro elemento
+                if (item.isArrayElement && item.dimensions && item.dimensions.length > 1) {
+                    const previous = items[idx - 1];
+                    if (!previous || !previous.isArrayElement || previous.arrayName !== item.arrayName) {
+                        let end = idx;
+                        while (end < items.length && items[end].isArrayElement && items[end].arrayName === item.arrayName) {
+                            end++;
+                        }
+                        scopeContainer.appendChild(this.createArrayGrid(items.slice(idx, end)));
+                    }
+                    return;
+                }
+
                 const memoryCell = document.createElement('div');
                 memoryCell.className = 'memory-cell';
                 memoryCell.dataset.address = item.address; // Crucial for pointer connections
                 
                 // Se o escopo da variável pertence a uma função completada, marca célula
-                if (this.completedFunctions.has(item.scope)) {
+                if (this.completedScopes.has(item.scope)) {
                     memoryCell.classList.add('cell-completed');
                 }
 
@@ -172,6 +152,7 @@ class CVisualizer {
                 valueElem.className = 'memory-value';
                 valueElem.textContent = item.value;
                 memoryCell.appendChild(valueElem);
+                this.makeInspectable(memoryCell, item.address, item.name, item.floatingPoint);
                 
                 // Se for um ponteiro, mostra para onde aponta
                 if (item.isPointer && item.pointsTo) {
@@ -195,10 +176,461 @@ class CVisualizer {
             this.memoryContainer.appendChild(scopeContainer);
         }
         
+        this.renderHeap(heapSnapshot);
+        this.renderFloatInspector();
+        
         // Desenha as setas de conexão entre ponteiros
         this.drawPointerConnections();
     }
 
+    /**
+     * Desenha o mapa dos segmentos, do endereço mais alto (pilha) ao mais baixo (código),
+     * com a faixa de endereços em uso e o sentido em que cada segmento cresce
+     * @param {Array} segments - Segmentos retornados por Memory.getSegments
+     */
+    updateSegmentView(segments) {
+        if (!this.segmentContainer) return;
+        this.segmentContainer.innerHTML = '';
+
+        const hex = address => '0x' + address.toString(16).toUpperCase();
+        const growth = { heap: '↑ cresce para cima', stack: '↓ cresce para baixo' };
+
+        for (const segment of [...(segments || [])].reverse()) {
+            const row = document.createElement('div');
+            row.className = 'segment-row';
+
+            const nameElem = document.createElement('span');
+            nameElem.className = 'segment-name';
+            nameElem.textContent = segment.name;
+            row.appendChild(nameElem);
+
+            const rangeElem = document.createElement('span');
+            rangeElem.className = 'memory-address';
+            const used = segment.end - segment.start;
+            rangeElem.textContent = used > 0
+                ? `${hex(segment.start)} a ${hex(segment.end - 1)} (${used} bytes)`
+                : `${hex(segment.start)} (vazio)`;
+            row.appendChild(rangeElem);
+
+            if (growth[segment.name]) {
+                const growthElem = document.createElement('span');
+                growthElem.className = 'segment-growth';
+                growthElem.textContent = growth[segment.name];
+                row.appendChild(growthElem);
+            }
+
+            this.segmentContainer.appendChild(row);
+        }
+    }
+
+    /**
+     * Mostra ou esconde o painel do hex dump
+     * @returns {boolean} Se o painel ficou visível
+     */
+    toggleHexDump() {
+        if (!this.hexDumpContainer) return false;
+        this.hexDumpContainer.hidden = !this.hexDumpContainer.hidden;
+        return !this.hexDumpContainer.hidden;
+    }
+
+    /**
+     * Verifica se o painel do hex dump está visível (só então o estado precisa trazer os bytes)
+     * @returns {boolean}
+     */
+    isHexDumpVisible() {
+        return Boolean(this.hexDumpContainer) && !this.hexDumpContainer.hidden;
+    }
+
+    /**
+     * Desenha o hex dump: endereço, 16 bytes em hexadecimal e os mesmos bytes como texto.
+     * Bytes vizinhos do mesmo dono (variável ou bloco do heap) têm a mesma cor de fundo,
+     * que alterna entre um dono e o seguinte; bytes sem dono ficam apagados
+     * @param {Array} hexDump - Regiões retornadas por Memory.getHexDump
+     */
+    updateHexDumpView(hexDump) {
+        if (!this.hexDumpContainer || this.hexDumpContainer.hidden) return;
+        this.hexDumpContainer.innerHTML = '';
+
+        for (const region of hexDump || []) {
+            const header = document.createElement('div');
+            header.className = 'memory-scope-header';
+            header.textContent = region.title;
+            this.hexDumpContainer.appendChild(header);
+
+            let previousOwner = null;
+            let shade = 0;
+            for (const row of region.rows) {
+                const line = document.createElement('div');
+                line.className = 'hexdump-row';
+
+                const addressElem = document.createElement('span');
+                addressElem.className = 'memory-address';
+                addressElem.textContent = row.address;
+                line.appendChild(addressElem);
+
+                for (const byte of row.bytes) {
+                    const byteElem = document.createElement('span');
+                    byteElem.className = 'hexdump-byte';
+                    if (!byte) {
+                        byteElem.textContent = '  ';
+                    } else {
+                        byteElem.textContent = byte.value;
+                        if (byte.owner === null) {
+                            byteElem.classList.add('hexdump-unused');
+                        } else {
+                            if (byte.owner !== previousOwner) shade = 1 - shade;
+                            byteElem.classList.add(`hexdump-owner-${shade}`);
+                            byteElem.title = byte.owner;
+                        }
+                        previousOwner = byte.owner;
+                    }
+                    line.appendChild(byteElem);
+                }
+
+                const textElem = document.createElement('span');
+                textElem.className = 'hexdump-text';
+                textElem.textContent = row.text;
+                line.appendChild(textElem);
+
+                this.hexDumpContainer.appendChild(line);
+            }
+
+            if (region.omittedRows > 0) {
+                const omitted = document.createElement('div');
+                omitted.className = 'output-empty';
+                omitted.textContent = `... mais ${region.omittedRows} linhas`;
+                this.hexDumpContainer.appendChild(omitted);
+            }
+        }
+    }
+
+    /**
+     * Destaca a posição de memória envolvida em um erro de execução.
+     * Se o endereço não tiver uma célula própria, destaca o bloco do heap que o contém
+     * @param {string | null} errorAddress - Endereço em hexadecimal (ex.: "0x10008")
+     */
+    highlightErrorAddress(errorAddress) {
+        if (!this.memoryContainer || !errorAddress) return;
+
+        const cell = this.memoryContainer.querySelector(`.memory-cell[data-address="${errorAddress}"]`);
+        if (cell) {
+            cell.classList.add('memory-error');
+            cell.scrollIntoView?.({ block: 'nearest' });
+            return;
+        }
+
+        const address = parseInt(errorAddress, 16);
+        for (const blockElem of this.memoryContainer.querySelectorAll('.heap-block')) {
+            if (address >= Number(blockElem.dataset.start) && address < Number(blockElem.dataset.end)) {
+                blockElem.classList.add('memory-error');
+                blockElem.scrollIntoView?.({ block: 'nearest' });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Cria a caixa de uma struct (ou union), com o deslocamento de cada campo
+     * e os bytes de preenchimento inseridos para o alinhamento
+     * @param {Object} item - Item do snapshot da memória com isStruct
+     * @returns {HTMLElement} Elemento da caixa
+     */
+    createStructBox(item) {
+        const box = document.createElement('div');
+        box.className = 'struct-box';
+        box.dataset.address = item.address;
+        if (this.completedScopes.has(item.scope)) {
+            box.classList.add('cell-completed');
+        }
+
+        const title = document.createElement('div');
+        title.className = 'struct-title';
+        title.textContent = `${item.address} · ${item.name} · ${item.structType} · ${item.size} bytes`;
+        box.appendChild(title);
+
+        for (const member of item.members) {
+            const memoryCell = document.createElement('div');
+
+            if (member.isPadding) {
+                memoryCell.className = 'memory-cell struct-padding';
+                memoryCell.textContent = `[+${member.offset}] preenchimento (${member.size} byte${member.size > 1 ? 's' : ''})`;
+                box.appendChild(memoryCell);
+                continue;
+            }
+
+            memoryCell.className = 'memory-cell';
+            memoryCell.dataset.address = member.address;
+
+            const addressElem = document.createElement('div');
+            addressElem.className = 'memory-address';
+            addressElem.textContent = `${member.address}:`;
+            memoryCell.appendChild(addressElem);
+
+            const nameElem = document.createElement('div');
+            nameElem.className = 'memory-name';
+            nameElem.textContent = `[+${member.offset}] .${member.name}`;
+            memoryCell.appendChild(nameElem);
+
+            const valueElem = document.createElement('div');
+            valueElem.className = 'memory-value';
+            valueElem.textContent = member.value;
+            memoryCell.appendChild(valueElem);
+            this.makeInspectable(memoryCell, member.address, `${item.name}.${member.name}`, member.floatingPoint);
+
+            if (member.isPointer && member.pointsTo) {
+                const arrowElem = document.createElement('div');
+                arrowElem.className = 'pointer-arrow';
+                arrowElem.textContent = ' → ';
+                memoryCell.appendChild(arrowElem);
+
+                const targetElem = document.createElement('div');
+                targetElem.className = 'memory-target';
+                targetElem.textContent = member.pointsTo;
+                memoryCell.appendChild(targetElem);
+
+                this.pointerConnections.set(member.address, member.pointsTo);
+            }
+
+            box.appendChild(memoryCell);
+        }
+
+        return box;
+    }
+
+    /**
+     * Cria a grade de um array multidimensional: uma linha da grade para cada linha da
+     * matriz (a última dimensão), na ordem em que estão na memória (row-major)
+     * @param {Array} elements - Itens do snapshot com os elementos do array, em ordem
+     * @returns {HTMLElement} Elemento da grade
+     */
+    createArrayGrid(elements) {
+        const first = elements[0];
+        const columns = first.dimensions[first.dimensions.length - 1];
+
+        const grid = document.createElement('div');
+        grid.className = 'array-grid';
+        grid.style.gridTemplateColumns = `auto repeat(${columns}, minmax(40px, auto))`;
+        if (this.completedScopes.has(first.scope)) {
+            grid.classList.add('cell-completed');
+        }
+
+        const title = document.createElement('div');
+        title.className = 'array-grid-title';
+        title.textContent = `${first.address} · ${first.arrayName}${first.dimensions.map(dimension => `[${dimension}]`).join('')}`;
+        grid.appendChild(title);
+
+        // Cabeçalho com os índices das colunas
+        grid.appendChild(document.createElement('div'));
+        for (let column = 0; column < columns; column++) {
+            const header = document.createElement('div');
+            header.className = 'array-grid-index';
+            header.textContent = `[${column}]`;
+            grid.appendChild(header);
+        }
+
+        elements.forEach((element, position) => {
+            if (position % columns === 0) {
+                // O nome do primeiro elemento da linha sem o último índice, como "m[1]"
+                const rowLabel = document.createElement('div');
+                rowLabel.className = 'array-grid-index';
+                rowLabel.textContent = element.name.replace(/\[\d+\](?=[^[]*$)/, '');
+                grid.appendChild(rowLabel);
+            }
+
+            const cell = document.createElement('div');
+            cell.className = 'memory-cell array-grid-cell';
+            cell.dataset.address = element.address;
+            cell.title = `${element.name} em ${element.address}`;
+            cell.textContent = element.isPointer && element.pointsTo ? `→ ${element.pointsTo}` : element.value;
+            this.makeInspectable(cell, element.address, element.name, element.floatingPoint);
+            if (element.isPointer && element.pointsTo) {
+                this.pointerConnections.set(element.address, element.pointsTo);
+            }
+            grid.appendChild(cell);
+        });
+
+        return grid;
+    }
+
+    /**
+     * Permite abrir o inspetor IEEE 754 clicando em uma célula float ou double
+     * @param {HTMLElement} cell - Elemento da célula
+     * @param {string} address - Endereço da célula
+     * @param {string} name - Nome exibido (variável, elemento ou campo)
+     * @param {Object | null} floatingPoint - Decomposição do valor (null se a célula não for de ponto flutuante)
+     */
+    makeInspectable(cell, address, name, floatingPoint) {
+        if (!floatingPoint) return;
+
+        this.floatingPointCells.set(address, { name, address, ...floatingPoint });
+        cell.classList.add('memory-cell-inspectable');
+        if (address === this.inspectedAddress) {
+            cell.classList.add('memory-cell-inspected');
+        }
+        cell.title = 'Clique para ver a representação IEEE 754';
+        cell.addEventListener('click', () => {
+            this.inspectedAddress = address;
+            this.memoryContainer.querySelectorAll('.memory-cell-inspected')
+                .forEach(inspected => inspected.classList.remove('memory-cell-inspected'));
+            cell.classList.add('memory-cell-inspected');
+            this.renderFloatInspector();
+        });
+    }
+
+    /**
+     * Desenha, no topo da memória, o inspetor da célula float/double selecionada:
+     * os bits de sinal, expoente e mantissa, como o valor é calculado a partir deles e os bytes
+     */
+    renderFloatInspector() {
+        this.memoryContainer.querySelector('.float-inspector')?.remove();
+        const cell = this.floatingPointCells.get(this.inspectedAddress);
+        if (!cell) return;
+
+        const inspector = document.createElement('div');
+        inspector.className = 'float-inspector';
+
+        const title = document.createElement('div');
+        title.className = 'float-inspector-title';
+        title.textContent = `${cell.address} · ${cell.name} · ${cell.type} · ${cell.value}`;
+        const closeButton = document.createElement('button');
+        closeButton.className = 'float-inspector-close';
+        closeButton.textContent = '×';
+        closeButton.title = 'Fechar o inspetor';
+        closeButton.addEventListener('click', () => {
+            this.inspectedAddress = null;
+            this.memoryContainer.querySelectorAll('.memory-cell-inspected')
+                .forEach(inspected => inspected.classList.remove('memory-cell-inspected'));
+            inspector.remove();
+        });
+        title.appendChild(closeButton);
+        inspector.appendChild(title);
+
+        // Os bits, coloridos por campo
+        const bits = document.createElement('div');
+        bits.className = 'float-bits';
+        for (const [field, value] of [['sign', cell.sign], ['exponent', cell.exponent], ['mantissa', cell.mantissa]]) {
+            const span = document.createElement('span');
+            span.className = `float-${field}`;
+            span.textContent = value;
+            bits.appendChild(span);
+        }
+        inspector.appendChild(bits);
+
+        const lines = [
+            `Sinal: ${cell.sign} (${cell.sign === '1' ? 'negativo' : 'positivo'})`,
+            `Expoente: ${cell.exponent} = ${cell.storedExponent}` +
+                (cell.exponentValue === null ? '' : ` → ${cell.exponentValue} (deslocamento de ${cell.bias})`),
+            `Mantissa: ${cell.mantissa.length} bits`
+        ];
+        switch (cell.kind) {
+            case 'normal':
+                lines.push(`Valor: (-1)^${cell.sign} × ${cell.significand} × 2^${cell.exponentValue}`);
+                break;
+            case 'subnormal':
+                lines.push(`Subnormal (sem o 1 implícito): (-1)^${cell.sign} × ${cell.significand} × 2^${cell.exponentValue}`);
+                break;
+            case 'zero':
+                lines.push('Zero: expoente e mantissa zerados');
+                break;
+            case 'infinito':
+                lines.push('Infinito: expoente com todos os bits 1 e mantissa zerada');
+                break;
+            default:
+                lines.push('NaN: expoente com todos os bits 1 e mantissa diferente de zero');
+        }
+        // A memória é little-endian: o hex dump mostra os mesmos bytes na ordem inversa
+        lines.push(`Bytes (hex, do mais para o menos significativo): ${cell.bytes.join(' ')}`);
+        lines.push(`Bytes na memória (little-endian, endereços crescentes): ${[...cell.bytes].reverse().join(' ')}`);
+
+        for (const text of lines) {
+            const line = document.createElement('div');
+            line.textContent = text;
+            inspector.appendChild(line);
+        }
+
+        this.memoryContainer.prepend(inspector);
+    }
+
+    /**
+     * Formata um valor para exibição; structs (passadas ou retornadas por valor) mostram os seus campos
+     * @param {*} value - Valor
+     * @returns {string} Texto exibido
+     */
+    formatValue(value) {
+        if (value && Array.isArray(value.fields)) {
+            return `{ ${value.fields.map(field => field.value).join(', ')} }`;
+        }
+        return String(value);
+    }
+
+    /**
+     * Desenha a seção do heap, com um grupo por bloco (alocado ou livre)
+     * @param {Array} heapSnapshot - Snapshot dos blocos do heap
+     */
+    renderHeap(heapSnapshot) {
+        if (!heapSnapshot || heapSnapshot.length === 0) return;
+
+        const heapHeader = document.createElement('div');
+        heapHeader.className = 'memory-scope-header heap-header';
+        heapHeader.textContent = 'Heap';
+        this.memoryContainer.appendChild(heapHeader);
+
+        for (const block of heapSnapshot) {
+            const blockElem = document.createElement('div');
+            blockElem.className = block.free ? 'heap-block heap-block-free' : 'heap-block';
+            // Faixa de endereços do bloco (cabeçalho incluído), para destacar acessos inválidos
+            blockElem.dataset.start = parseInt(block.header, 16);
+            blockElem.dataset.end = parseInt(block.address, 16) + block.capacity;
+
+            const blockTitle = document.createElement('div');
+            blockTitle.className = 'heap-block-title';
+            blockTitle.textContent = block.free
+                ? `${block.address} · ${block.size} bytes · livre`
+                : `${block.address} · ${block.size} bytes · alocado na linha ${block.line}`;
+            blockElem.appendChild(blockTitle);
+
+            for (const cell of block.cells) {
+                const memoryCell = document.createElement('div');
+                memoryCell.className = 'memory-cell';
+                memoryCell.dataset.address = cell.address;
+
+                const addressElem = document.createElement('div');
+                addressElem.className = 'memory-address';
+                addressElem.textContent = `${cell.address}:`;
+                memoryCell.appendChild(addressElem);
+
+                const nameElem = document.createElement('div');
+                nameElem.className = 'memory-name';
+                nameElem.textContent = `[+${cell.offset}]`;
+                memoryCell.appendChild(nameElem);
+
+                const valueElem = document.createElement('div');
+                valueElem.className = 'memory-value';
+                valueElem.textContent = cell.value;
+                memoryCell.appendChild(valueElem);
+                this.makeInspectable(memoryCell, cell.address, `${block.address}[+${cell.offset}]`, cell.floatingPoint);
+
+                if (cell.isPointer && cell.pointsTo) {
+                    const arrowElem = document.createElement('div');
+                    arrowElem.className = 'pointer-arrow';
+                    arrowElem.textContent = ' → ';
+                    memoryCell.appendChild(arrowElem);
+
+                    const targetElem = document.createElement('div');
+                    targetElem.className = 'memory-target';
+                    targetElem.textContent = cell.pointsTo;
+                    memoryCell.appendChild(targetElem);
+
+                    this.pointerConnections.set(cell.address, cell.pointsTo);
+                }
+
+                blockElem.appendChild(memoryCell);
+            }
+
+            this.memoryContainer.appendChild(blockElem);
+        }
+    }
+
     /**
      * Atualiza a visualização da pilha
      * @param {Array} stackSnapshot - Snapshot do estado atual da pilha
@@ -221,13 +653,13 @@ class CVisualizer {
         const stackVisual = document.createElement('div');
         stackVisual.className = 'stack-visual';
         
-        // Conjunto de funções que não estão mais na pilha atual
-        const currentFunctions = new Set(stackSnapshot.map(frame => frame.function));
+        // Conjunto de frames que estão na pilha atual
+        const currentScopes = new Set(stackSnapshot.map(frame => frame.scope));
         
-        // Verifica se há funções que foram removidas da pilha
+        // Verifica se há frames que foram removidos da pilha
         for (const frame of completedFrames || []) {
-            if (!currentFunctions.has(frame.function)) {
-                this.completedFunctions.add(frame.function);
+            if (!currentScopes.has(frame.scope)) {
+                this.completedScopes.add(frame.scope);
             }
         }
         
@@ -239,8 +671,8 @@ class CVisualizer {
             stackFrame.className = 'stack-frame';
             stackFrame.style.zIndex = 100 - i; // Garantir que os frames superiores fiquem à frente
             
-            // Marca o frame como uma função completada se já retornou anteriormente
-            if (this.completedFunctions.has(frame.function)) {
+            // Marca o frame como completado se já retornou
+            if (this.completedScopes.has(frame.scope)) {
                 stackFrame.classList.add('frame-completed');
             }
             
@@ -248,14 +680,28 @@ class CVisualizer {
             const frameHeader = document.createElement('div');
             frameHeader.className = 'stack-header';
             
-            // Se a função já retornou antes, destaca isso visualmente
-            if (this.completedFunctions.has(frame.function)) {
+            // Se o frame já retornou, destaca isso visualmente
+            if (this.completedScopes.has(frame.scope)) {
                 frameHeader.classList.add('header-completed');
             }
             
-            frameHeader.textContent = `${frame.function}()`;
+            frameHeader.textContent = `${frame.function}() #${frame.id}`;
             stackFrame.appendChild(frameHeader);
             
+            // Linha de onde a função foi chamada e chamada em andamento, se houver
+            if (frame.returnAddress !== null) {
+                const callElem = document.createElement('div');
+                callElem.className = 'stack-call-info';
+                callElem.textContent = `Chamada na linha ${frame.returnAddress} por ${frame.caller}()`;
+                stackFrame.appendChild(callElem);
+            }
+            if (i < stackSnapshot.length - 1) {
+                const awaitingElem = document.createElement('div');
+                awaitingElem.className = 'stack-call-info stack-awaiting';
+                awaitingElem.textContent = `Aguardando retorno de ${stackSnapshot[i + 1].function}()`;
+                stackFrame.appendChild(awaitingElem);
+            }
+            
             // Corpo do frame - contém as variáveis
             const frameBody = document.createElement('div');
             frameBody.className = 'stack-body';
@@ -293,7 +739,7 @@ class CVisualizer {
             if (frame.returnValue !== null) {
                 const returnElem = document.createElement('div');
                 returnElem.className = 'stack-return';
-                returnElem.textContent = `Retorno: ${frame.returnValue}`;
+                returnElem.textContent = `Retorno: ${this.formatValue(frame.returnValue)}`;
                 frameBody.appendChild(returnElem);
             }
             
@@ -307,15 +753,16 @@ class CVisualizer {
     }
 
     /**
-     * Atualiza a visualização da saída
-     * @param {Array} outputLines - Linhas de saída
+     * Atualiza a visualização da saída: o texto escrito pelo programa aparece exatamente como
+     * foi escrito, e as mensagens do simulador começam sempre em uma linha própria
+     * @param {Array} output - Trechos de saída { stream: 'stdout' | 'message', text }
      */
-    updateOutputView(outputLines) {
+    updateOutputView(output) {
         if (!this.outputContainer) return;
         
         this.outputContainer.innerHTML = '';
         
-        if (outputLines.length === 0) {
+        if (output.length === 0) {
             const emptyMsg = document.createElement('div');
             emptyMsg.className = 'output-empty';
             emptyMsg.textContent = 'Sem saída';
@@ -325,63 +772,94 @@ class CVisualizer {
         
         const outputText = document.createElement('pre');
         outputText.className = 'output-text';
-        outputText.textContent = outputLines.join('\n');
+        let written = '';
+        for (const { stream, text } of output) {
+            if (stream === 'stdout') {
+                outputText.appendChild(document.createTextNode(text));
+                written += text;
+                continue;
+            }
+            const message = document.createElement('span');
+            message.className = 'output-message';
+            message.textContent = `${written && !written.endsWith('\n') ? '\n' : ''}${text}\n`;
+            outputText.appendChild(message);
+            written += message.textContent;
+        }
         
         this.outputContainer.appendChild(outputText);
     }
 
     /**
-     * Destaca uma linha específica do código
+     * Atualiza a visualização da entrada padrão: os bytes que o programa ainda não leu,
+     * com as quebras de linha visíveis, e se a execução está esperando o usuário digitar
+     * @param {Object} input - Estado da entrada { buffer, closed, waiting }
+     */
+    updateInputView(input) {
+        if (!this.inputBufferContainer || !input) return;
+        
+        this.inputBufferContainer.innerHTML = '';
+        
+        const label = document.createElement('span');
+        label.className = 'stdin-status';
+        label.textContent = 'Não lido: ';
+        this.inputBufferContainer.appendChild(label);
+        
+        if (input.buffer) {
+            const pending = document.createElement('span');
+            pending.className = 'stdin-pending';
+            pending.textContent = input.buffer.replace(/\n/g, '↵\n');
+            this.inputBufferContainer.appendChild(pending);
+        }
+        
+        const status = document.createElement('span');
+        if (input.waiting) {
+            status.className = 'stdin-waiting';
+            status.textContent = ' Aguardando entrada...';
+        } else {
+            status.className = 'stdin-status';
+            status.textContent = input.closed ? ' (fim da entrada: EOF)' : input.buffer ? '' : '(vazio)';
+        }
+        this.inputBufferContainer.appendChild(status);
+    }
+
+    /**
+     * Destaca no código a instrução que está sendo executada
      * @param {Object} statement - Declaração atual sendo executada
      * @param {string} functionName - Nome da função atual
+     * @param {Object | null} lastReturn - Retorno que acabou de acontecer { function, value }, se houver
      */
-    highlightCodeLine(statement, functionName) {
+    highlightCodeLine(statement, functionName, lastReturn = null) {
         // Remove destaque anterior
         if (this.currentLine !== null) {
             this.unhighlightCurrentLine();
         }
         
-        // Determina a linha a ser destacada
-        let lineNumber = -1;
-        
         if (!statement) return;
         
-        switch (statement.type) {
-            case 'variable_declaration':
-                lineNumber = this.lineMap.get(`variable:${statement.name}`);
-                break;
-            case 'assignment':
-                lineNumber = this.lineMap.get(`assignment:${statement.name}`);
-                break;
-            case 'function_call':
-                lineNumber = this.lineMap.get(`call:${statement.name}`);
-                break;
-            case 'return':
-                // Procura por qualquer return na função atual
-                for (const [key, line] of this.lineMap.entries()) {
-                    if (key.startsWith('return:') && key.includes(functionName)) {
-                        lineNumber = line;
-                        break;
-                    }
-                }
-                break;
-            case 'if_condition':
-            case 'else_start':
-                // Procura por condicionais
-                for (const [key, line] of this.lineMap.entries()) {
-                    if (key.startsWith('conditional:')) {
-                        lineNumber = line;
-                        break;
-                    }
-                }
-                break;
-        }
+        const loc = this.getHighlightLocation(statement);
+        if (!loc) return;
         
-        if (lineNumber >= 0) {
-            this.highlightLineInTextarea(lineNumber);
-            
-            // Atualiza o indicador de linha
-            this.updateLineIndicator(lineNumber, statement, functionName);
+        this.highlightRangeInTextarea(loc);
+        
+        // Atualiza o indicador de linha (base 0, como no textarea)
+        this.updateLineIndicator(loc.start.line - 1, statement, functionName, lastReturn);
+    }
+
+    /**
+     * Determina o trecho de código a destacar para uma instrução
+     * Estruturas de controle destacam apenas o cabeçalho, não o corpo inteiro
+     * @param {Object} statement - Instrução ou marcador de controle
+     * @returns {Object | null} Localização { start, end } com linhas e colunas base 1
+     */
+    getHighlightLocation(statement) {
+        switch (statement.type) {
+            case 'if':
+            case 'while_loop':
+                return statement.condition.loc;
+            case 'for_loop':
+                return statement.header;
+            default:
+                return statement.loc || null;
         }
     }
     
@@ -390,8 +868,9 @@ class CVisualizer {
      * @param {number} lineNumber - Número da linha (base 0)
      * @param {Object} statement - Declaração atual sendo executada
      * @param {string} functionName - Nome da função atual
+     * @param {Object | null} lastReturn - Retorno que acabou de acontecer { function, value }, se houver
      */
-    updateLineIndicator(lineNumber, statement, functionName) {
+    updateLineIndicator(lineNumber, statement, functionName, lastReturn = null) {
         // Linha base 1 para exibição ao usuário
         const displayLineNumber = lineNumber + 1;
         
@@ -408,16 +887,33 @@ class CVisualizer {
         // Atualiza o contexto da linha
         if (this.lineContextElement) {
             let context = `${lineContent}`;
+            const expression = statement.type === 'expression_statement' ? statement.expression : null;
             
             // Adiciona contexto adicional baseado no tipo de instrução
-            if (statement.type === 'function_call') {
-                context += ` [Chamada de função: ${statement.name}()]`;
+            if (lastReturn) {
+                // A instrução da função chamadora é retomada com o valor retornado
+                const value = lastReturn.value === undefined ? 'sem valor' : this.formatValue(lastReturn.value);
+                context += ` [${lastReturn.function}() retornou ${value}]`;
+            } else if (expression && expression.type === 'function_call') {
+                context += ` [Chamada de função: ${expression.name}()]`;
             } else if (statement.type === 'return') {
                 context += ` [Retorno de ${functionName}()]`;
-            } else if (statement.type === 'variable_declaration') {
+            } else if (statement.type === 'variable_declaration' || statement.type === 'array_declaration') {
                 context += ` [Declaração de variável: ${statement.name}]`;
-            } else if (statement.type === 'assignment') {
-                context += ` [Atribuição: ${statement.name}]`;
+            } else if (expression && expression.type === 'assignment' && expression.target.type === 'identifier') {
+                context += ` [Atribuição: ${expression.target.name}]`;
+            } else if (statement.type === 'for_increment_execute') {
+                context += ' [Incremento do laço]';
+            } else if (['for_condition_check', 'while_condition_check', 'do_condition_check'].includes(statement.type)) {
+                context += ' [Condição do laço]';
+            } else if (statement.type === 'switch_selection') {
+                context += ' [Seleção do switch]';
+            } else if (statement.type === 'goto') {
+                context += ` [Salto para o rótulo ${statement.label}]`;
+            } else if (statement.type === 'jump') {
+                context += statement.target.type === 'switch_end' ? ' [Saída do switch]' : ' [Desvio do laço]';
+            } else if (statement.type === 'scope_exit') {
+                context += ' [Fim do bloco: variáveis locais deixam de existir]';
             }
             
             this.lineContextElement.textContent = context;
@@ -454,35 +950,34 @@ class CVisualizer {
     }
     
     /**
-     * Destaca uma linha no textarea
-     * @param {number} lineNumber - Número da linha a destacar (0-indexed)
+     * Destaca um trecho do código no textarea
+     * @param {Object} loc - Localização { start, end } com linhas e colunas base 1
      */
-    highlightLineInTextarea(lineNumber) {
+    highlightRangeInTextarea(loc) {
         const textarea = this.codeTextArea;
         if (!textarea) return;
         
         const text = textarea.value;
         const lines = text.split('\n');
         
-        // Encontra a posição do início da linha
-        let pos = 0;
-        for (let i = 0; i < lineNumber; i++) {
-            pos += lines[i].length + 1; // +1 para o caractere de nova linha
-        }
-        
-        // Define o range de seleção para a linha
-        const lineStart = pos;
-        const lineEnd = pos + lines[lineNumber].length;
+        // Converte linha/coluna em posição absoluta no texto
+        const toOffset = ({ line, column }) => {
+            let pos = 0;
+            for (let i = 0; i < line - 1 && i < lines.length; i++) {
+                pos += lines[i].length + 1; // +1 para o caractere de nova linha
+            }
+            return pos + column - 1;
+        };
         
         // Foca o textarea e define a seleção
         textarea.focus();
-        textarea.setSelectionRange(lineStart, lineEnd);
+        textarea.setSelectionRange(toOffset(loc.start), toOffset(loc.end));
         
-        // Salva a linha atual
-        this.currentLine = lineNumber;
+        // Salva a linha atual (0-indexed)
+        this.currentLine = loc.start.line - 1;
         
         // Rola para mostrar a linha destacada
-        this.scrollToLine(textarea, lineNumber, lines.length);
+        this.scrollToLine(textarea, this.currentLine, lines.length);
     }
     
     /**
@@ -533,13 +1028,17 @@ class CVisualizer {
      * @param {Array} completedFrames - Frames de função que foram finalizados
      */
     updateVisualizations(state, completedFrames = []) {
-        this.updateMemoryView(state.memory, state.stack);
+        this.updateMemoryView(state.memory, state.stack, state.heap);
+        this.updateHexDumpView(state.hexDump);
+        this.updateSegmentView(state.segments);
+        this.highlightErrorAddress(state.errorAddress);
         this.updateStackView(state.stack, completedFrames);
         this.updateOutputView(state.output);
+        this.updateInputView(state.input);
         
         // Destaca a linha atual no código
         if (state.statement) {
-            this.highlightCodeLine(state.statement, state.function);
+            this.highlightCodeLine(state.statement, state.function, state.lastReturn);
         }
     }
 
@@ -550,9 +1049,14 @@ class CVisualizer {
         if (this.memoryContainer) this.memoryContainer.innerHTML = '';
         if (this.stackContainer) this.stackContainer.innerHTML = '';
         if (this.outputContainer) this.outputContainer.innerHTML = '';
+        if (this.inputBufferContainer) this.inputBufferContainer.innerHTML = '';
+        if (this.hexDumpContainer) this.hexDumpContainer.innerHTML = '';
+        if (this.segmentContainer) this.segmentContainer.innerHTML = '';
         this.pointerConnections.clear();
         this.unhighlightCurrentLine();
-        this.completedFunctions.clear();
+        this.completedScopes.clear();
+        this.floatingPointCells.clear();
+        this.inspectedAddress = null;
     }
 }
 